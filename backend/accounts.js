@@ -0,0 +1,74 @@
+const nodemailer = require('nodemailer');
+const ImapSession = require('./imapSession');
+const users = require('./users');
+const dkim = require('./dkim');
+const { smtpOptions, imapOptions } = require('./providers');
+
+// Live connections per user: { imapSession, watchSession, transporter }
+const connections = new Map();
+
+// Email transporter setup - pooled, with limits kept low for Render,
+// DKIM-signing for the sender domains that have a key (see dkim.js)
+function createTransporter(settings) {
+  return dkim.attach(nodemailer.createTransport(smtpOptions(settings, {
+    pool: true,
+    maxConnections: 1, // Reduce for Render's limitations
+    rateDelta: 1000,
+    rateLimit: 5
+  })));
+}
+
+// Connections for a user's mail account, created on first use.
+// Returns null when the user has no mail account configured.
+function getConnections(userId) {
+  if (connections.has(userId)) {
+    return connections.get(userId);
+  }
+
+  const settings = users.getMailAccount(users.getUser(userId));
+  if (!settings) return null;
+
+  const entry = {
+    address: settings.address,
+    // Options are rebuilt on every (re)connect so OAuth2 tokens get refreshed
+    imapSession: new ImapSession(() => imapOptions(settings)),
+    // Second connection that stays on the inbox for live updates (see live.js);
+    // it only connects once a browser subscribes
+    watchSession: new ImapSession(() => imapOptions(settings)),
+    transporter: createTransporter(settings)
+  };
+  connections.set(userId, entry);
+  return entry;
+}
+
+// Drop a user's connections (after their mail settings change or the user is deleted)
+function invalidate(userId) {
+  const entry = connections.get(userId);
+  if (!entry) return;
+
+  connections.delete(userId);
+  entry.imapSession.end();
+  entry.watchSession.end();
+  entry.transporter.close();
+}
+
+// IMAP state of every open account, for health checks
+function sessionStates() {
+  const states = {};
+  connections.forEach(entry => {
+    const state = entry.imapSession.state;
+    states[state] = (states[state] || 0) + 1;
+  });
+  return states;
+}
+
+function closeAll() {
+  Array.from(connections.keys()).forEach(invalidate);
+}
+
+module.exports = {
+  getConnections,
+  invalidate,
+  sessionStates,
+  closeAll
+};
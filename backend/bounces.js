@@ -0,0 +1,223 @@
+const { simpleParser } = require('mailparser');
+const { Collection } = require('./store');
+const users = require('./users');
+const accounts = require('./accounts');
+const campaigns = require('./campaigns');
+const suppression = require('./suppression');
+const { searchRawMessages } = require('./mailbox');
+
+// Delivery status notifications (RFC 3464) found in users' inboxes
+const bounces = new Collection('bounces');
+// Per-user scan position: { id: userId, mailbox, uidValidity, lastUid }
+const scans = new Collection('bounceScans');
+
+const BOUNCE_MAILBOX = 'INBOX';
+const SCAN_INTERVAL = parseInt(process.env.BOUNCE_SCAN_INTERVAL_MS, 10) || 10 * 60 * 1000;
+// A scan from the start of the mailbox only looks this far back
+const FIRST_SCAN_DAYS = parseInt(process.env.BOUNCE_FIRST_SCAN_DAYS, 10) || 30;
+// Candidate DSNs: multipart/report messages, or anything from the usual bounce senders
+const DSN_CRITERIA = [['OR', ['HEADER', 'CONTENT-TYPE', 'report'], ['OR', ['FROM', 'mailer-daemon'], ['FROM', 'postmaster']]]];
+
+let scanTimer = null;
+
+// "Name: value" blocks of a message/delivery-status body, continuation lines unfolded.
+// The first block describes the message, every further block one recipient.
+function parseStatusBlocks(text) {
+  return String(text)
+    .replace(/\r\n/g, '\n')
+    .replace(/\n[ \t]+/g, ' ')
+    .split(/\n\s*\n/)
+    .map(block => {
+      const fields = {};
+      block.split('\n').forEach(line => {
+        const match = line.match(/^([\w-]+)\s*:\s*(.*)$/);
+        if (match) fields[match[1].toLowerCase()] = match[2].trim();
+      });
+      return fields;
+    })
+    .filter(fields => Object.keys(fields).length > 0);
+}
+
+// "rfc822; user@example.com" -> "user@example.com"
+function typedValue(value) {
+  const text = String(value || '');
+  const index = text.indexOf(';');
+  return (index === -1 ? text : text.slice(index + 1)).trim().replace(/^<|>$/g, '');
+}
+
+function headerValue(headersText, name) {
+  const unfolded = String(headersText).replace(/\r\n/g, '\n').replace(/\n[ \t]+/g, ' ');
+  const match = unfolded.match(new RegExp(`^${name}\\s*:\\s*(.*)$`, 'im'));
+  return match ? match[1].trim() : null;
+}
+
+// Hard bounces mean the address will never work (unknown user or domain,
+// disabled mailbox, no route); everything else - full mailboxes, policy or
+// reputation blocks, temporary server trouble - may succeed later.
+function classify(action, status, diagnostic) {
+  if (action === 'delayed' || /^4\./.test(status)) return 'soft';
+  if (/^5\.(1\.\d+|2\.1|4\.4)$/.test(status)) return 'hard';
+  if (/^5\.0\.0$/.test(status) && /user unknown|no such (user|recipient)|does not exist|unknown recipient|invalid recipient/i.test(diagnostic || '')) {
+    return 'hard';
+  }
+  return 'soft';
+}
+
+// Failed/delayed recipients of a DSN message, or null when it isn't one.
+// Returns { originalMessageId, reportingMta, recipients: [{ email, action, status, diagnostic, type }] }
+async function parseDsn(source) {
+  // keepDeliveryStatus: otherwise the status part is folded into the text body
+  const parsed = await simpleParser(source, { keepDeliveryStatus: true, skipHtmlToText: true, skipTextToHtml: true });
+  const attachments = parsed.attachments || [];
+  const statusPart = attachments.find(att => att.contentType === 'message/delivery-status' || att.contentType === 'message/global-delivery-status');
+  if (!statusPart) return null;
+
+  const [perMessage = {}, ...perRecipient] = parseStatusBlocks(statusPart.content.toString('utf8'));
+
+  // The returned original (full message or headers only) tells us which mail bounced
+  const original = attachments.find(att => ['message/rfc822', 'text/rfc822-headers', 'message/global', 'message/global-headers'].includes(att.contentType));
+  const originalHeaders = original ? original.content.toString('utf8').split(/\r?\n\r?\n/)[0] : '';
+
+  const recipients = perRecipient
+    .filter(fields => fields['final-recipient'] || fields['original-recipient'])
+    .map(fields => {
+      const action = (fields.action || '').toLowerCase();
+      const status = (fields.status || '').split(/\s/)[0];
+      const diagnostic = fields['diagnostic-code'] ? typedValue(fields['diagnostic-code']) : null;
+      return {
+        email: typedValue(fields['original-recipient'] || fields['final-recipient']).toLowerCase(),
+        action,
+        status,
+        diagnostic,
+        type: classify(action, status, diagnostic)
+      };
+    })
+    .filter(recipient => recipient.action === 'failed' || recipient.action === 'delayed');
+
+  return {
+    originalMessageId: headerValue(originalHeaders, 'Message-ID'),
+    reportingMta: perMessage['reporting-mta'] ? typedValue(perMessage['reporting-mta']) : null,
+    recipients
+  };
+}
+
+// Record one bounced recipient: bounce log, campaign results and (for hard
+// bounces) the suppression list
+function applyBounce(ownerId, dsn, recipient, uid) {
+  // Rescans (after a UIDVALIDITY change) see the same reports again
+  const known = bounces.find(bounce => bounce.ownerId === ownerId && bounce.email === recipient.email &&
+    bounce.action === recipient.action && bounce.originalMessageId === dsn.originalMessageId && dsn.originalMessageId);
+  if (known) return known;
+
+  const campaignId = campaigns.recordBounce(ownerId, {
+    email: recipient.email,
+    messageId: dsn.originalMessageId,
+    type: recipient.type,
+    action: recipient.action,
+    status: recipient.status,
+    diagnostic: recipient.diagnostic
+  });
+
+  // Anyone can mail us something that looks like a DSN: only reports about
+  // mail one of our campaigns actually sent may suppress an address
+  if (campaignId && recipient.type === 'hard' && recipient.action === 'failed') {
+    suppression.suppress(ownerId, recipient.email, {
+      reason: 'bounce',
+      campaignId,
+      detail: [recipient.status, recipient.diagnostic].filter(Boolean).join(' ')
+    });
+  }
+
+  return bounces.insert({
+    ownerId,
+    email: recipient.email,
+    type: recipient.type,
+    action: recipient.action,
+    status: recipient.status,
+    diagnostic: recipient.diagnostic,
+    reportingMta: dsn.reportingMta,
+    originalMessageId: dsn.originalMessageId,
+    campaignId,
+    mailbox: BOUNCE_MAILBOX,
+    uid
+  });
+}
+
+// Look for new DSNs in one user's inbox since the last scan
+async function scanUser(userId) {
+  const connections = accounts.getConnections(userId);
+  if (!connections) return { scanned: 0, bounces: 0 };
+
+  const state = scans.get(userId);
+  const afterUid = state && state.uidValidity ? state.lastUid : 0;
+  const since = afterUid ? null : new Date(Date.now() - FIRST_SCAN_DAYS * 24 * 60 * 60 * 1000);
+  const result = await searchRawMessages(connections.imapSession, BOUNCE_MAILBOX, DSN_CRITERIA, afterUid, { since });
+
+  // The mailbox was renumbered: every UID we remembered is meaningless, start over
+  if (state && state.uidValidity && state.uidValidity !== result.uidValidity) {
+    scans.update(userId, { uidValidity: result.uidValidity, lastUid: 0 });
+    return scanUser(userId);
+  }
+
+  let found = 0;
+  for (const message of result.messages) {
+    try {
+      const dsn = await parseDsn(message.source);
+      if (!dsn) continue;
+      dsn.recipients.forEach(recipient => {
+        applyBounce(userId, dsn, recipient, message.uid);
+      });
+      found += dsn.recipients.length;
+    } catch (error) {
+      console.error(`❌ Could not parse possible bounce UID ${message.uid}:`, error.message);
+    }
+  }
+
+  // The scan position only ever moves forward within one UIDVALIDITY
+  const position = { mailbox: BOUNCE_MAILBOX, uidValidity: result.uidValidity, lastUid: Math.max(afterUid, result.lastUid) };
+  if (state) {
+    scans.update(userId, position);
+  } else {
+    scans.insert(Object.assign({ id: userId }, position));
+  }
+
+  if (found) console.log(`↩️  ${found} bounce(s) recorded for user ${userId}`);
+  return { scanned: result.messages.length, bounces: found };
+}
+
+// Scan every user that has sent a campaign
+async function scanAll() {
+  const senders = new Set(campaigns.listCampaigns().map(campaign => campaign.ownerId));
+  for (const user of users.listUsers()) {
+    if (!senders.has(user.id) || !user.mail) continue;
+    try {
+      await scanUser(user.id);
+    } catch (error) {
+      console.error(`❌ Bounce scan failed for user ${user.id}:`, error.message);
+    }
+  }
+}
+
+function listBounces(ownerId, { campaignId, type } = {}) {
+  return bounces.all(bounce => bounce.ownerId === ownerId &&
+    (!campaignId || bounce.campaignId === campaignId) &&
+    (!type || bounce.type === type))
+    .sort((a, b) => b.createdAt.localeCompare(a.createdAt));
+}
+
+function start() {
+  clearInterval(scanTimer);
+  scanTimer = setInterval(() => {
+    scanAll().catch(error => console.error('❌ Bounce scan failed:', error.message));
+  }, SCAN_INTERVAL);
+  scanTimer.unref();
+}
+
+module.exports = {
+  parseDsn,
+  classify,
+  scanUser,
+  scanAll,
+  listBounces,
+  start
+};
@@ -0,0 +1,467 @@
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const { Collection } = require('./store');
+const accounts = require('./accounts');
+const { prepareRecipients } = require('./recipients');
+const { renderMessage } = require('./merge');
+const suppression = require('./suppression');
+const tracking = require('./tracking');
+const { parseSendAt, wakeAt } = require('./schedule');
+
+const campaigns = new Collection('campaigns');
+
+// Pause between two messages of a campaign (keeps us under provider rate limits)
+const SEND_DELAY = parseInt(process.env.CAMPAIGN_SEND_DELAY_MS, 10) || 1000;
+// Temporary failures (4xx, dropped connections) are retried with a growing delay
+const MAX_ATTEMPTS = 3;
+const RETRY_DELAY = 60000;
+// Sending progress is written to disk every this many messages or this often,
+// whichever comes first (the whole campaigns file is rewritten on each save)
+const PROGRESS_SAVE_EVERY = 25;
+const PROGRESS_SAVE_INTERVAL = 5000;
+// Campaign attachments are kept here until the campaign is finished
+const ATTACHMENT_DIR = path.resolve('uploads', 'campaigns');
+
+const ACTIVE_STATES = ['scheduled', 'queued', 'running', 'paused'];
+
+let working = false;
+let wanted = false;
+let scheduleTimer = null;
+// Campaign the worker is sending right now (a message may be in flight)
+let activeCampaignId = null;
+
+function sleep(ms) {
+  return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+function campaignError(message, status, details) {
+  return Object.assign(new Error(message), { status, details });
+}
+
+// Validate a campaign's message and recipient rows (see recipients.js) without queueing it
+function checkCampaign({ subject, text, html, fallbacks, requiredFields }, rows) {
+  if (!subject) throw campaignError('Subject is required', 400);
+  if (!text && !html) throw campaignError('Message text or HTML is required', 400);
+  if (fallbacks !== undefined && (typeof fallbacks !== 'object' || Array.isArray(fallbacks) || fallbacks === null)) {
+    throw campaignError('Fallbacks must be an object of field values', 400);
+  }
+
+  return prepareRecipients(rows, { subject, text, html, fallbacks: fallbacks || {}, requiredFields: requiredFields || [] });
+}
+
+// Queue a campaign. Rows with problems reject the whole campaign unless
+// `skipInvalidRows` is set. `trackOpens`/`trackClicks` turn on the open pixel
+// and link rewriting for HTML bodies. With `sendAt` (and `timeZone`, see
+// schedule.js) the campaign waits as "scheduled" until then. `files` are multer
+// uploads; they are moved out of the shared uploads folder so they survive
+// until the last message is sent.
+function createCampaign(ownerId, data, rows, files = []) {
+  const { from, subject, text, html, fallbacks, skipInvalidRows, trackOpens, trackClicks } = data;
+  const checked = checkCampaign(data, rows);
+  const when = parseSendAt(data.sendAt, data.timeZone);
+
+  if (checked.errors.length && !skipInvalidRows) {
+    throw campaignError(`${checked.errors.length} recipient row(s) are invalid`, 422, { errors: checked.errors });
+  }
+  if (checked.recipients.length === 0) throw campaignError('At least one recipient is required', 400);
+
+  const id = crypto.randomUUID();
+  const dir = path.join(ATTACHMENT_DIR, id);
+  const attachments = files.map(file => {
+    if (!fs.existsSync(dir)) fs.mkdirSync(dir, { recursive: true });
+    const target = path.join(dir, path.basename(file.path));
+    fs.renameSync(file.path, target);
+    return { filename: file.originalname, path: target, contentType: file.mimetype };
+  });
+
+  const campaign = campaigns.insert({
+    id,
+    ownerId,
+    status: when ? 'scheduled' : 'queued',
+    sendAt: when ? when.sendAt : null,
+    timeZone: when ? when.timeZone : null,
+    from: from || null,
+    subject,
+    text: text || null,
+    html: html || null,
+    fallbacks: fallbacks || {},
+    trackOpens: Boolean(trackOpens),
+    trackClicks: Boolean(trackClicks),
+    attachments,
+    recipients: checked.recipients.map(({ email, fields }) => ({ to: email, fields, status: 'pending', attempts: 0 })),
+    skippedCount: checked.errors.length,
+    sentCount: 0,
+    failedCount: 0,
+    startedAt: null,
+    finishedAt: null,
+    lastError: null
+  });
+
+  if (when) {
+    console.log(`🕒 Campaign ${id} scheduled for ${when.sendAt} (${checked.recipients.length} recipients)`);
+    armSchedule();
+  } else {
+    console.log(`📬 Campaign ${id} queued (${checked.recipients.length} recipients)`);
+    kick();
+  }
+  return campaign;
+}
+
+function getCampaign(id) {
+  return campaigns.get(id);
+}
+
+function listCampaigns(ownerId) {
+  return campaigns.all(campaign => !ownerId || campaign.ownerId === ownerId)
+    .sort((a, b) => b.createdAt.localeCompare(a.createdAt));
+}
+
+// Campaign as returned by the API; per-recipient results only on request
+function publicCampaign(campaign, withResults = false) {
+  const total = campaign.recipients.length;
+  const result = {
+    id: campaign.id,
+    status: campaign.status,
+    from: campaign.from,
+    subject: campaign.subject,
+    trackOpens: Boolean(campaign.trackOpens),
+    trackClicks: Boolean(campaign.trackClicks),
+    sendAt: campaign.sendAt || null,
+    timeZone: campaign.timeZone || null,
+    attachments: campaign.attachments.map(att => att.filename),
+    total,
+    sent: campaign.sentCount,
+    failed: campaign.failedCount,
+    suppressed: campaign.suppressedCount || 0,
+    bounced: campaign.bouncedCount || 0,
+    hardBounced: campaign.hardBounceCount || 0,
+    skipped: campaign.skippedCount || 0,
+    pending: campaign.recipients.filter(r => r.status === 'pending' || r.status === 'sending').length,
+    progress: total ? Math.round(((campaign.sentCount + campaign.failedCount + (campaign.suppressedCount || 0)) / total) * 100) : 100,
+    lastError: campaign.lastError,
+    createdAt: campaign.createdAt,
+    startedAt: campaign.startedAt,
+    finishedAt: campaign.finishedAt
+  };
+  if (withResults) {
+    result.results = campaign.recipients.map(({ to, status, messageId, error, sentAt, bounce }) => ({ to, status, messageId, error, sentAt, bounce }));
+  }
+  return result;
+}
+
+function pauseCampaign(id) {
+  const campaign = campaigns.get(id);
+  if (!['queued', 'running'].includes(campaign.status)) {
+    throw campaignError(`Cannot pause a ${campaign.status} campaign`, 409);
+  }
+  return campaigns.update(id, { status: 'paused' });
+}
+
+function resumeCampaign(id) {
+  const campaign = campaigns.get(id);
+  if (campaign.status !== 'paused') {
+    throw campaignError(`Cannot resume a ${campaign.status} campaign`, 409);
+  }
+  const updated = campaigns.update(id, { status: 'queued', lastError: null });
+  kick();
+  return updated;
+}
+
+// New send time for a campaign that hasn't started yet
+function rescheduleCampaign(id, { sendAt, timeZone }) {
+  const campaign = campaigns.get(id);
+  if (campaign.status !== 'scheduled') {
+    throw campaignError(`Cannot reschedule a ${campaign.status} campaign`, 409);
+  }
+  const when = parseSendAt(sendAt || campaign.sendAt, timeZone || campaign.timeZone);
+  if (!when) throw campaignError('sendAt is required', 400);
+
+  const updated = campaigns.update(id, when);
+  armSchedule();
+  return updated;
+}
+
+function cancelCampaign(id) {
+  const campaign = campaigns.get(id);
+  if (!ACTIVE_STATES.includes(campaign.status)) {
+    throw campaignError(`Cannot cancel a ${campaign.status} campaign`, 409);
+  }
+  campaign.recipients.forEach(recipient => {
+    if (recipient.status === 'pending') recipient.status = 'cancelled';
+  });
+  // The worker may be sending to this campaign with its attachments; it
+  // cleans up itself once that message is done (see runCampaign)
+  if (activeCampaignId === campaign.id) {
+    return campaigns.update(campaign.id, { status: 'cancelled' });
+  }
+  return finish(campaign, 'cancelled');
+}
+
+function finish(campaign, status, lastError = campaign.lastError) {
+  const dir = path.join(ATTACHMENT_DIR, campaign.id);
+  if (fs.existsSync(dir)) fs.rmSync(dir, { recursive: true, force: true });
+
+  console.log(`📪 Campaign ${campaign.id} ${status}: ${campaign.sentCount} sent, ${campaign.failedCount} failed`);
+  return campaigns.update(campaign.id, { status, lastError, finishedAt: new Date().toISOString() });
+}
+
+// Campaign mails always carry an opt-out link: templates can place it with
+// {{unsubscribeUrl}}, otherwise it is added as a footer
+function withUnsubscribeFooter(message, url) {
+  const result = Object.assign({}, message);
+  if (result.text && !result.text.includes(url)) {
+    result.text += `\n\n--\nTo stop receiving these emails, unsubscribe here: ${url}`;
+  }
+  if (result.html && !result.html.includes(url)) {
+    const footer = `<p style="margin-top:24px;font-size:12px;color:#64748b">Don't want these emails? <a href="${url}">Unsubscribe</a></p>`;
+    result.html = /<\/body>/i.test(result.html) ? result.html.replace(/<\/body>/i, `${footer}</body>`) : result.html + footer;
+  }
+  return result;
+}
+
+// 4xx replies and connection problems are worth another try; 5xx are final
+function isTemporary(error) {
+  if (error.responseCode) return error.responseCode >= 400 && error.responseCode < 500;
+  return ['ECONNECTION', 'ETIMEDOUT', 'ESOCKET', 'EDNS', 'EPROTOCOL'].includes(error.code);
+}
+
+// Send to every pending recipient of one campaign. Progress is saved in
+// batches (see PROGRESS_SAVE_EVERY) and whenever the run stops, so a restart
+// picks up where it stopped; after a crash the messages sent since the last
+// save may be sent twice.
+async function runCampaign(campaign) {
+  campaigns.update(campaign.id, { status: 'running', startedAt: campaign.startedAt || new Date().toISOString() });
+
+  // Recipient changes are made in memory; these count the ones not on disk yet
+  let unsaved = 0;
+  let savedAt = Date.now();
+  const saveProgress = () => {
+    campaigns.update(campaign.id, {});
+    unsaved = 0;
+    savedAt = Date.now();
+  };
+  const progressed = () => {
+    unsaved++;
+    if (unsaved >= PROGRESS_SAVE_EVERY || Date.now() - savedAt >= PROGRESS_SAVE_INTERVAL) saveProgress();
+  };
+
+  try {
+    await sendPending(campaign, progressed);
+  } finally {
+    if (unsaved) saveProgress();
+  }
+}
+
+async function sendPending(campaign, progressed) {
+  while (campaign.status === 'running') {
+    const now = Date.now();
+    const pending = campaign.recipients.filter(r => r.status === 'pending');
+    if (pending.length === 0) {
+      finish(campaign, 'completed');
+      return;
+    }
+
+    const recipient = pending.find(r => !r.retryAt || r.retryAt <= now);
+    if (!recipient) {
+      // Only retries left; wait for the earliest one (re-checking pause/cancel)
+      const wait = Math.min(...pending.map(r => r.retryAt)) - now;
+      await sleep(Math.min(wait, SEND_DELAY));
+      continue;
+    }
+
+    const connections = accounts.getConnections(campaign.ownerId);
+    if (!connections) {
+      finish(campaign, 'failed', 'No mail account configured');
+      return;
+    }
+
+    // Checked per message so opt-outs during a running campaign are honoured
+    if (suppression.isSuppressed(campaign.ownerId, recipient.to)) {
+      recipient.status = 'suppressed';
+      campaign.suppressedCount = (campaign.suppressedCount || 0) + 1;
+      progressed();
+      continue;
+    }
+
+    recipient.status = 'sending';
+    recipient.attempts++;
+    try {
+      const unsubscribeUrl = suppression.unsubscribeUrl(campaign.ownerId, recipient.to, campaign.id);
+      const fields = Object.assign({}, recipient.fields || { email: recipient.to }, { unsubscribeUrl });
+      const rendered = renderMessage(campaign, fields);
+      if (rendered.html && (campaign.trackOpens || campaign.trackClicks)) {
+        rendered.html = tracking.instrumentHtml(rendered.html, {
+          campaignId: campaign.id,
+          email: recipient.to,
+          trackOpens: campaign.trackOpens,
+          trackClicks: campaign.trackClicks,
+          skipUrls: [unsubscribeUrl]
+        });
+      }
+      const message = withUnsubscribeFooter(rendered, unsubscribeUrl);
+      const info = await connections.transporter.sendMail({
+        from: campaign.from || connections.address,
+        to: recipient.to,
+        subject: message.subject,
+        text: message.text || undefined,
+        html: message.html || message.text,
+        attachments: campaign.attachments,
+        // RFC 2369 + RFC 8058 one-click unsubscribe
+        list: { unsubscribe: { url: unsubscribeUrl, comment: 'Unsubscribe' } },
+        headers: { 'List-Unsubscribe-Post': 'List-Unsubscribe=One-Click' }
+      });
+      Object.assign(recipient, { status: 'sent', messageId: info.messageId, error: null, retryAt: null, sentAt: new Date().toISOString() });
+      campaign.sentCount++;
+    } catch (error) {
+      if (error.code === 'EAUTH') {
+        // Every other message would fail the same way; wait for new credentials
+        recipient.status = campaign.status === 'cancelled' ? 'cancelled' : 'pending';
+        recipient.attempts--;
+        if (campaign.status === 'cancelled') return;
+        campaigns.update(campaign.id, { status: 'paused', lastError: `SMTP authentication failed: ${error.message}` });
+        console.error(`❌ Campaign ${campaign.id} paused:`, error.message);
+        return;
+      }
+      if (isTemporary(error) && recipient.attempts < MAX_ATTEMPTS) {
+        Object.assign(recipient, { status: 'pending', error: error.message, retryAt: Date.now() + RETRY_DELAY * recipient.attempts });
+      } else {
+        Object.assign(recipient, { status: 'failed', error: error.message, retryAt: null });
+        campaign.failedCount++;
+      }
+    }
+
+    // A retry is moot when the campaign was cancelled during the send
+    if (campaign.status === 'cancelled' && recipient.status === 'pending') recipient.status = 'cancelled';
+    progressed();
+    await sleep(SEND_DELAY);
+  }
+}
+
+function normalizeMessageId(messageId) {
+  return String(messageId || '').trim().replace(/^<|>$/g, '').toLowerCase();
+}
+
+// Attach a bounce report (see bounces.js) to the campaign message it belongs
+// to: matched by the original Message-ID, otherwise the latest campaign mail
+// sent to that address. Failed deliveries turn the recipient into 'bounced';
+// delays are only noted. Returns the campaign id, or null when nothing matched.
+function recordBounce(ownerId, { email, messageId, type, action, status, diagnostic }) {
+  const wantedId = normalizeMessageId(messageId);
+  const address = String(email || '').toLowerCase();
+  const sent = listCampaigns(ownerId);
+
+  let campaign = null;
+  let recipient = null;
+  if (wantedId) {
+    campaign = sent.find(c => (recipient = c.recipients.find(r => r.messageId && normalizeMessageId(r.messageId) === wantedId)));
+  }
+  if (!campaign) {
+    campaign = sent.find(c => (recipient = c.recipients.find(r => r.to.toLowerCase() === address && ['sent', 'bounced'].includes(r.status))));
+  }
+  if (!campaign) return null;
+
+  const changes = {};
+  if (action === 'failed' && recipient.status === 'sent') {
+    recipient.status = 'bounced';
+    changes.bouncedCount = (campaign.bouncedCount || 0) + 1;
+    if (type === 'hard') changes.hardBounceCount = (campaign.hardBounceCount || 0) + 1;
+  }
+  // A later delay notice must not hide the final failure
+  if (!recipient.bounce || recipient.bounce.action !== 'failed' || action === 'failed') {
+    recipient.bounce = { type, action, status, diagnostic, at: new Date().toISOString() };
+  }
+  campaigns.update(campaign.id, changes);
+  return campaign.id;
+}
+
+// Oldest queued campaign first
+function nextCampaign() {
+  return campaigns.all(campaign => campaign.status === 'queued')
+    .sort((a, b) => a.createdAt.localeCompare(b.createdAt))[0] || null;
+}
+
+// Single worker: campaigns are sent one after another
+async function work() {
+  let campaign;
+  while ((campaign = nextCampaign())) {
+    activeCampaignId = campaign.id;
+    try {
+      await runCampaign(campaign);
+    } catch (error) {
+      console.error(`❌ Campaign ${campaign.id} failed:`, error);
+      finish(campaign, 'failed', error.message);
+    } finally {
+      activeCampaignId = null;
+    }
+    // Cancelled while a message was in flight: its attachments can go now
+    if (campaign.status === 'cancelled' && !campaign.finishedAt) finish(campaign, 'cancelled');
+  }
+}
+
+// Wake the worker; a wake-up that arrives while it is busy makes it look
+// for queued campaigns once more before going idle
+function kick() {
+  wanted = true;
+  if (working) return;
+  working = true;
+  setImmediate(async () => {
+    while (wanted) {
+      wanted = false;
+      await work();
+    }
+    working = false;
+  });
+}
+
+// Queue the scheduled campaigns whose time has come
+function releaseDue() {
+  const now = new Date().toISOString();
+  campaigns.all(campaign => campaign.status === 'scheduled' && campaign.sendAt <= now).forEach(campaign => {
+    campaigns.update(campaign.id, { status: 'queued' });
+    console.log(`📬 Scheduled campaign ${campaign.id} queued`);
+  });
+  kick();
+  armSchedule();
+}
+
+function armSchedule() {
+  clearTimeout(scheduleTimer);
+  const next = campaigns.all(campaign => campaign.status === 'scheduled')
+    .map(campaign => campaign.sendAt)
+    .sort()[0];
+  scheduleTimer = next ? wakeAt(next, releaseDue) : null;
+}
+
+// Requeue campaigns that were interrupted by a restart, queue scheduled ones
+// that came due while the server was down and start the worker
+function start() {
+  campaigns.all(campaign => campaign.status === 'running').forEach(campaign => {
+    campaign.recipients.forEach(recipient => {
+      if (recipient.status === 'sending') recipient.status = 'pending';
+    });
+    campaigns.update(campaign.id, { status: 'queued' });
+    console.log(`🔁 Resuming campaign ${campaign.id}`);
+  });
+  releaseDue();
+}
+
+// Write out sending progress not saved yet (on shutdown)
+function flush() {
+  if (activeCampaignId) campaigns.save();
+}
+
+module.exports = {
+  checkCampaign,
+  createCampaign,
+  getCampaign,
+  listCampaigns,
+  publicCampaign,
+  pauseCampaign,
+  resumeCampaign,
+  rescheduleCampaign,
+  cancelCampaign,
+  recordBounce,
+  flush,
+  start
+};
@@ -0,0 +1,162 @@
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const { simpleParser } = require('mailparser');
+
+// Replies and forwards of a received message: recipients, subject, quoted
+// body and the In-Reply-To/References headers that keep the thread together.
+const MODES = ['reply', 'replyAll', 'forward'];
+// Forward the original's attachments along with the quoted text, or the whole message as .eml
+const FORWARD_AS = ['inline', 'attachment'];
+
+// Forwarded attachments are written here so they travel like uploaded files
+const UPLOAD_DIR = 'uploads/';
+
+function composeError(message, status = 400) {
+  return Object.assign(new Error(message), { status });
+}
+
+// Plain addresses of a mailparser address object (groups flattened)
+function addresses(field) {
+  const result = [];
+  (Array.isArray(field) ? field : field ? [field] : []).forEach(group => {
+    (group.value || []).forEach(entry => {
+      if (entry.address) result.push(entry.address);
+      (entry.group || []).forEach(member => member.address && result.push(member.address));
+    });
+  });
+  return result;
+}
+
+// Drop our own addresses and duplicates (case-insensitively), also against `taken`
+function others(list, own, taken = []) {
+  const seen = new Set(own.concat(taken).map(address => address.toLowerCase()));
+  return list.filter(address => {
+    const key = address.toLowerCase();
+    if (seen.has(key)) return false;
+    seen.add(key);
+    return true;
+  });
+}
+
+function prefixed(prefix, pattern, subject) {
+  const text = String(subject || '').trim();
+  return pattern.test(text) ? text : `${prefix} ${text}`.trim();
+}
+
+function checkOriginal({ mode, forwardAs = 'inline' }) {
+  if (!MODES.includes(mode)) throw composeError(`Mode must be one of: ${MODES.join(', ')}`);
+  if (mode === 'forward' && !FORWARD_AS.includes(forwardAs)) {
+    throw composeError(`forwardAs must be one of: ${FORWARD_AS.join(', ')}`);
+  }
+}
+
+// Message-IDs of the thread so far, oldest first, ending with the original itself
+function referenceChain(parsed) {
+  const references = Array.isArray(parsed.references) ? parsed.references : (parsed.references ? [parsed.references] : []);
+  if (!references.length && parsed.inReplyTo) references.push(parsed.inReplyTo);
+  return parsed.messageId ? references.concat(parsed.messageId) : references;
+}
+
+function quoteReply(parsed) {
+  const from = parsed.from ? parsed.from.text : 'unknown sender';
+  const date = parsed.date ? parsed.date.toUTCString() : 'an unknown date';
+  const quoted = String(parsed.text || '').replace(/\r\n/g, '\n').split('\n').map(line => `> ${line}`).join('\n');
+  return `\n\nOn ${date}, ${from} wrote:\n${quoted}`;
+}
+
+function quoteForward(parsed) {
+  const header = [
+    '---------- Forwarded message ---------',
+    `From: ${parsed.from ? parsed.from.text : ''}`,
+    `Date: ${parsed.date ? parsed.date.toUTCString() : ''}`,
+    `Subject: ${parsed.subject || ''}`,
+    `To: ${parsed.to ? parsed.to.text : ''}`
+  ];
+  if (parsed.cc) header.push(`Cc: ${parsed.cc.text}`);
+  return `\n\n${header.join('\n')}\n\n${parsed.text || ''}`;
+}
+
+// Compose form contents for answering or forwarding `source` (a raw message).
+// `own` are the user's addresses, left out of reply-all recipients; `via` is
+// the first of them the original was sent to (the address to answer from).
+async function prepareResponse(source, { mode, forwardAs = 'inline' }, own = []) {
+  checkOriginal({ mode, forwardAs });
+  const parsed = await simpleParser(source, { skipTextToHtml: true });
+
+  const result = {
+    mode,
+    via: null,
+    subject: null,
+    to: [],
+    cc: [],
+    text: '',
+    inReplyTo: null,
+    references: referenceChain(parsed),
+    attachments: []
+  };
+  const ownKeys = own.map(address => address.toLowerCase());
+  const received = addresses(parsed.to).concat(addresses(parsed.cc)).find(address => ownKeys.includes(address.toLowerCase()));
+  result.via = received ? received.toLowerCase() : null;
+
+  if (mode === 'forward') {
+    result.subject = prefixed('Fwd:', /^(fwd?|fw|wg):/i, parsed.subject);
+    result.text = quoteForward(parsed);
+    result.forwardAs = forwardAs;
+    result.attachments = forwardAs === 'attachment'
+      ? [{ filename: emlFilename(parsed), contentType: 'message/rfc822', size: source.length }]
+      : (parsed.attachments || []).map(att => ({ filename: att.filename || 'attachment', contentType: att.contentType, size: att.size }));
+    return result;
+  }
+
+  const sender = addresses(parsed.replyTo).length ? addresses(parsed.replyTo) : addresses(parsed.from);
+  const originalTo = addresses(parsed.to);
+  let to = others(sender, own);
+  // Answering our own message (e.g. from Sent): go back to its recipients
+  if (to.length === 0) to = others(originalTo, own);
+  if (mode === 'replyAll') to = to.concat(others(originalTo, own, to));
+
+  result.to = to;
+  result.cc = mode === 'replyAll' ? others(addresses(parsed.cc), own, to) : [];
+  result.subject = prefixed('Re:', /^(re|aw|sv):/i, parsed.subject);
+  result.text = quoteReply(parsed);
+  result.inReplyTo = parsed.messageId || null;
+  return result;
+}
+
+function emlFilename(parsed) {
+  const name = String(parsed.subject || 'message').replace(/[\\/:*?"<>|\r\n]+/g, ' ').trim().slice(0, 100) || 'message';
+  return `${name}.eml`;
+}
+
+function writeUpload(filename, content, contentType) {
+  if (!fs.existsSync(UPLOAD_DIR)) fs.mkdirSync(UPLOAD_DIR);
+  const file = path.join(UPLOAD_DIR, `${Date.now()}-${crypto.randomUUID()}`);
+  fs.writeFileSync(file, content);
+  return { path: file, originalname: filename, mimetype: contentType, size: content.length };
+}
+
+// Headers and files for sending a reply or forward of `source`. Forwarded
+// attachments are written to the uploads folder in the shape of multer uploads,
+// so the caller sends (or schedules) and cleans them up like uploaded files.
+async function responseParts(source, { mode, forwardAs = 'inline' }) {
+  checkOriginal({ mode, forwardAs });
+  const parsed = await simpleParser(source, { skipTextToHtml: true, skipHtmlToText: true });
+  const references = referenceChain(parsed);
+
+  if (mode !== 'forward') {
+    return { headers: { inReplyTo: parsed.messageId || undefined, references: references.length ? references : undefined }, files: [] };
+  }
+
+  const files = forwardAs === 'attachment'
+    ? [writeUpload(emlFilename(parsed), source, 'message/rfc822')]
+    : (parsed.attachments || []).map(att => writeUpload(att.filename || 'attachment', att.content, att.contentType));
+  return { headers: { references: references.length ? references : undefined }, files };
+}
+
+module.exports = {
+  MODES,
+  FORWARD_AS,
+  prepareResponse,
+  responseParts
+};
@@ -0,0 +1,248 @@
+const { Collection } = require('./store');
+const csv = require('./csv');
+const { isValidEmail, rowEmail } = require('./recipients');
+
+// Address book per user: contacts with free-form merge fields, named lists and tags
+const contacts = new Collection('contacts');
+const lists = new Collection('contactLists');
+
+// CSV columns with a meaning of their own; everything else becomes a merge field
+const NAME_FIELDS = ['name', 'fullName', 'full_name'];
+const RESERVED_COLUMNS = ['email', 'e-mail', 'emailaddress', 'email_address', 'mail', 'tags', 'lists', 'id'].concat(NAME_FIELDS.map(f => f.toLowerCase()));
+
+function contactError(message, status = 400) {
+  return Object.assign(new Error(message), { status });
+}
+
+function normalizeTags(tags) {
+  const list = Array.isArray(tags) ? tags : String(tags || '').split(/[;,]/);
+  return Array.from(new Set(list.map(tag => String(tag).trim().toLowerCase()).filter(Boolean)));
+}
+
+function normalizeFields(fields) {
+  if (fields === undefined || fields === null) return {};
+  if (typeof fields !== 'object' || Array.isArray(fields)) {
+    throw contactError('Fields must be an object of values');
+  }
+  const result = {};
+  Object.keys(fields).forEach(key => {
+    const value = fields[key];
+    if (value !== undefined && value !== null && value !== '') result[key.trim()] = String(value);
+  });
+  return result;
+}
+
+function findByEmail(ownerId, email) {
+  const wanted = String(email || '').toLowerCase();
+  return contacts.find(contact => contact.ownerId === ownerId && contact.email.toLowerCase() === wanted);
+}
+
+// ---- Lists ----
+
+function listLists(ownerId) {
+  return lists.all(list => list.ownerId === ownerId)
+    .sort((a, b) => a.name.localeCompare(b.name))
+    .map(list => Object.assign({}, list, {
+      contactCount: contacts.all(contact => contact.ownerId === ownerId && contact.lists.includes(list.id)).length
+    }));
+}
+
+function getList(ownerId, id) {
+  const list = lists.get(id);
+  return list && list.ownerId === ownerId ? list : null;
+}
+
+function checkListName(ownerId, name, exceptId) {
+  const trimmed = String(name || '').trim();
+  if (!trimmed) throw contactError('List name is required');
+  const clash = lists.find(list => list.ownerId === ownerId && list.id !== exceptId && list.name.toLowerCase() === trimmed.toLowerCase());
+  if (clash) throw contactError('A list with that name already exists', 409);
+  return trimmed;
+}
+
+function createList(ownerId, { name, description }) {
+  return lists.insert({ ownerId, name: checkListName(ownerId, name), description: description || '' });
+}
+
+function updateList(ownerId, id, { name, description }) {
+  if (!getList(ownerId, id)) return null;
+  const changes = {};
+  if (name !== undefined) changes.name = checkListName(ownerId, name, id);
+  if (description !== undefined) changes.description = description || '';
+  return lists.update(id, changes);
+}
+
+// Deleting a list keeps its contacts, they just leave the list
+function deleteList(ownerId, id) {
+  if (!getList(ownerId, id)) return false;
+  contacts.batch(() => {
+    contacts.all(contact => contact.ownerId === ownerId && contact.lists.includes(id)).forEach(contact => {
+      contacts.update(contact.id, { lists: contact.lists.filter(listId => listId !== id) });
+    });
+  });
+  return lists.remove(id);
+}
+
+// Every list ID must belong to the owner
+function checkListIds(ownerId, listIds) {
+  const ids = Array.from(new Set(Array.isArray(listIds) ? listIds : [listIds].filter(Boolean)));
+  ids.forEach(id => {
+    if (!getList(ownerId, id)) throw contactError(`Unknown list ${id}`, 404);
+  });
+  return ids;
+}
+
+// ---- Contacts ----
+
+// Contacts of a user, optionally filtered by list, tag and a search over address/name/fields
+function listContacts(ownerId, { listId, tag, q } = {}) {
+  const wantedTag = tag ? String(tag).trim().toLowerCase() : null;
+  const query = q ? String(q).trim().toLowerCase() : null;
+
+  return contacts.all(contact => {
+    if (contact.ownerId !== ownerId) return false;
+    if (listId && !contact.lists.includes(listId)) return false;
+    if (wantedTag && !contact.tags.includes(wantedTag)) return false;
+    if (query) {
+      const haystack = [contact.email, contact.name].concat(Object.values(contact.fields)).join(' ').toLowerCase();
+      if (!haystack.includes(query)) return false;
+    }
+    return true;
+  }).sort((a, b) => a.email.localeCompare(b.email));
+}
+
+function getContact(ownerId, id) {
+  const contact = contacts.get(id);
+  return contact && contact.ownerId === ownerId ? contact : null;
+}
+
+function createContact(ownerId, { email, name, fields, tags, lists: listIds }) {
+  const address = String(email || '').trim();
+  if (!isValidEmail(address)) throw contactError(`Invalid email address "${address}"`);
+  if (findByEmail(ownerId, address)) throw contactError('A contact with that email already exists', 409);
+
+  return contacts.insert({
+    ownerId,
+    email: address,
+    name: name ? String(name).trim() : '',
+    fields: normalizeFields(fields),
+    tags: normalizeTags(tags),
+    lists: checkListIds(ownerId, listIds || [])
+  });
+}
+
+function updateContact(ownerId, id, { email, name, fields, tags, lists: listIds }) {
+  if (!getContact(ownerId, id)) return null;
+
+  const changes = {};
+  if (email !== undefined) {
+    const address = String(email).trim();
+    if (!isValidEmail(address)) throw contactError(`Invalid email address "${address}"`);
+    const existing = findByEmail(ownerId, address);
+    if (existing && existing.id !== id) throw contactError('A contact with that email already exists', 409);
+    changes.email = address;
+  }
+  if (name !== undefined) changes.name = name ? String(name).trim() : '';
+  if (fields !== undefined) changes.fields = normalizeFields(fields);
+  if (tags !== undefined) changes.tags = normalizeTags(tags);
+  if (listIds !== undefined) changes.lists = checkListIds(ownerId, listIds);
+  return contacts.update(id, changes);
+}
+
+function deleteContact(ownerId, id) {
+  if (!getContact(ownerId, id)) return false;
+  return contacts.remove(id);
+}
+
+// ---- CSV import/export ----
+
+// Import contacts from CSV text. Rows are matched to existing contacts by
+// address (case-insensitive): existing ones get their fields merged and are
+// added to the given lists/tags, duplicates within the file are skipped and
+// rows with a bad address are reported (1-based data row numbers).
+function importCsv(ownerId, text, { listId, tags } = {}) {
+  const listIds = checkListIds(ownerId, listId ? [listId] : []);
+  const extraTags = normalizeTags(tags);
+  const rows = csv.parse(text);
+  const seen = new Set();
+  const report = { total: rows.length, created: 0, updated: 0, duplicates: 0, invalid: [] };
+
+  contacts.batch(() => rows.forEach((row, index) => {
+    const email = rowEmail(row);
+    if (!email || !isValidEmail(email)) {
+      report.invalid.push({ row: index + 1, email, problem: email ? 'invalid email address' : 'missing email address' });
+      return;
+    }
+
+    const key = email.toLowerCase();
+    if (seen.has(key)) {
+      report.duplicates++;
+      return;
+    }
+    seen.add(key);
+
+    const nameKey = Object.keys(row).find(column => NAME_FIELDS.map(f => f.toLowerCase()).includes(column.toLowerCase()));
+    const tagsKey = Object.keys(row).find(column => column.toLowerCase() === 'tags');
+    const fields = {};
+    Object.keys(row).forEach(column => {
+      if (!RESERVED_COLUMNS.includes(column.toLowerCase()) && row[column] !== '') fields[column] = row[column];
+    });
+    const rowTags = normalizeTags((tagsKey ? normalizeTags(row[tagsKey]) : []).concat(extraTags));
+
+    const existing = findByEmail(ownerId, email);
+    if (existing) {
+      contacts.update(existing.id, {
+        name: (nameKey && row[nameKey]) || existing.name,
+        fields: Object.assign({}, existing.fields, fields),
+        tags: normalizeTags(existing.tags.concat(rowTags)),
+        lists: Array.from(new Set(existing.lists.concat(listIds)))
+      });
+      report.updated++;
+    } else {
+      contacts.insert({ ownerId, email, name: (nameKey && row[nameKey]) || '', fields, tags: rowTags, lists: listIds });
+      report.created++;
+    }
+  }));
+
+  return report;
+}
+
+// CSV of (filtered) contacts: email, name, tags, lists, then every merge field in use
+function exportCsv(ownerId, filter) {
+  const selected = listContacts(ownerId, filter);
+  const listNames = new Map(lists.all(list => list.ownerId === ownerId).map(list => [list.id, list.name]));
+  const fieldNames = Array.from(new Set([].concat(...selected.map(contact => Object.keys(contact.fields))))).sort();
+
+  const records = selected.map(contact => Object.assign({}, contact.fields, {
+    email: contact.email,
+    name: contact.name,
+    tags: contact.tags.join(';'),
+    lists: contact.lists.map(id => listNames.get(id)).filter(Boolean).join(';')
+  }));
+  return csv.stringify(records, ['email', 'name', 'tags', 'lists'].concat(fieldNames.filter(f => !RESERVED_COLUMNS.includes(f.toLowerCase()))));
+}
+
+// Campaign recipient rows for a list and/or tag: merge fields plus email and name
+function audienceRows(ownerId, { listId, tag }) {
+  if (listId && !getList(ownerId, listId)) throw contactError('List not found', 404);
+  return listContacts(ownerId, { listId, tag }).map(contact => Object.assign({}, contact.fields, {
+    email: contact.email,
+    name: contact.name
+  }));
+}
+
+module.exports = {
+  listLists,
+  getList,
+  createList,
+  updateList,
+  deleteList,
+  listContacts,
+  getContact,
+  createContact,
+  updateContact,
+  deleteContact,
+  importCsv,
+  exportCsv,
+  audienceRows
+};
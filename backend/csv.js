@@ -0,0 +1,88 @@
+// Small RFC 4180 CSV reader/writer: quoted fields, "" escapes, embedded
+// newlines, CRLF or LF line endings and a leading UTF-8 BOM are handled.
+
+// Parse CSV text into an array of rows (arrays of strings)
+function parseRows(text) {
+  const input = String(text).replace(/^\uFEFF/, '');
+  const rows = [];
+  let row = [];
+  let field = '';
+  let quoted = false;
+
+  for (let i = 0; i < input.length; i++) {
+    const char = input[i];
+
+    if (quoted) {
+      if (char === '"' && input[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (char === '"') {
+        quoted = false;
+      } else {
+        field += char;
+      }
+      continue;
+    }
+
+    if (char === '"' && field === '') {
+      quoted = true;
+    } else if (char === ',') {
+      row.push(field);
+      field = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && input[i + 1] === '\n') i++;
+      row.push(field);
+      rows.push(row);
+      row = [];
+      field = '';
+    } else {
+      field += char;
+    }
+  }
+
+  if (quoted) {
+    throw Object.assign(new Error('CSV has an unterminated quoted field'), { status: 400 });
+  }
+  if (field !== '' || row.length > 0) {
+    row.push(field);
+    rows.push(row);
+  }
+
+  // Blank lines carry no data
+  return rows.filter(cells => cells.length > 1 || cells[0].trim() !== '');
+}
+
+// Parse CSV text with a header line into objects keyed by the (trimmed) headers
+function parse(text) {
+  const [header, ...rows] = parseRows(text);
+  if (!header) return [];
+
+  const keys = header.map(name => name.trim());
+  return rows.map(cells => {
+    const record = {};
+    keys.forEach((key, index) => {
+      if (key) record[key] = (cells[index] || '').trim();
+    });
+    return record;
+  });
+}
+
+function escapeField(value) {
+  const text = value === undefined || value === null ? '' : String(value);
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+// Objects to CSV text with the given columns (CRLF line endings, per the RFC)
+function stringify(records, columns) {
+  const lines = [columns.map(escapeField).join(',')];
+  records.forEach(record => {
+    lines.push(columns.map(column => escapeField(record[column])).join(','));
+  });
+  return lines.join('\r\n') + '\r\n';
+}
+
+module.exports = {
+  parseRows,
+  parse,
+  stringify
+};
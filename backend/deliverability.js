@@ -0,0 +1,226 @@
+const dns = require('dns');
+const net = require('net');
+const dkim = require('./dkim');
+
+// Sender authentication: which custom headers a message may carry, and DNS
+// checks of a sending domain's SPF, DKIM and DMARC records.
+
+// Custom headers accepted on /api/send, compared case-insensitively. Anything
+// else is refused rather than dropped, so callers learn about it.
+// ALLOWED_HEADERS adds more (comma-separated). X-Priority and X-Mailer are left
+// out on purpose: spam filters score a forced high priority and forged mailer names.
+const ALLOWED_HEADERS = [
+  'Importance', 'Priority', 'Sensitivity',
+  'List-Id', 'List-Unsubscribe', 'List-Unsubscribe-Post', 'Precedence', 'Auto-Submitted',
+  'X-Auto-Response-Suppress', 'X-Entity-Ref-ID', 'Keywords', 'Comments'
+].concat(String(process.env.ALLOWED_HEADERS || '').split(',').map(name => name.trim()).filter(Boolean));
+const allowedNames = new Set(ALLOWED_HEADERS.map(name => name.toLowerCase()));
+
+// Longest header line SMTP allows
+const MAX_HEADER_LENGTH = 998;
+// DNS lookups give up after this long (per try)
+const DNS_TIMEOUT = 3000;
+// DKIM selectors tried when none is configured or asked for
+const COMMON_SELECTORS = ['default', 'mail', 'dkim', 'selector1', 'selector2', 'google', 'k1'];
+
+const DOMAIN = /^(?=.{1,253}$)([a-z0-9]([a-z0-9-]{0,61}[a-z0-9])?\.)+[a-z]{2,63}$/i;
+const SELECTOR = /^[a-z0-9]([a-z0-9-_.]{0,61}[a-z0-9])?$/i;
+
+function deliverabilityError(message, status = 400) {
+  return Object.assign(new Error(message), { status });
+}
+
+// Check { name: value } headers of a send request against the allow-list
+function customHeaders(headers) {
+  if (headers === undefined || headers === null) return undefined;
+  if (typeof headers !== 'object' || Array.isArray(headers)) {
+    throw deliverabilityError('Headers must be an object of header values');
+  }
+
+  const refused = Object.keys(headers).filter(name => !allowedNames.has(name.toLowerCase()));
+  if (refused.length) {
+    throw deliverabilityError(`Headers not allowed: ${refused.join(', ')} (allowed: ${ALLOWED_HEADERS.join(', ')})`);
+  }
+
+  const result = {};
+  Object.keys(headers).forEach(name => {
+    const value = String(headers[name]);
+    if (/[\r\n]/.test(value) || value.length > MAX_HEADER_LENGTH) {
+      throw deliverabilityError(`Invalid value for header ${name}`);
+    }
+    result[name] = value;
+  });
+  return Object.keys(result).length ? result : undefined;
+}
+
+// A DNS resolver using the given server ("1.1.1.1", "[2606:4700::1111]:53",
+// "9.9.9.9:5353"), or the system's when none is given
+function createResolver(server) {
+  const resolver = new dns.promises.Resolver({ timeout: DNS_TIMEOUT, tries: 2 });
+  if (!server) return resolver;
+
+  const match = /^\[([^\]]+)\](?::(\d+))?$|^([^:]+)(?::(\d+))?$|^([0-9a-f:]+)$/i.exec(String(server).trim());
+  const host = match && (match[1] || match[3] || match[5]);
+  const port = match && (match[2] || match[4]);
+  if (!host || !net.isIP(host) || (port && (Number(port) < 1 || Number(port) > 65535))) {
+    throw deliverabilityError('Resolver must be an IP address, optionally with a port');
+  }
+  resolver.setServers([port ? (net.isIPv6(host) ? `[${host}]:${port}` : `${host}:${port}`) : host]);
+  return resolver;
+}
+
+// TXT records of a name, each joined into one string; [] when there are none
+async function txtRecords(resolver, name) {
+  try {
+    const records = await resolver.resolveTxt(name);
+    return records.map(chunks => chunks.join(''));
+  } catch (error) {
+    if (['ENODATA', 'ENOTFOUND'].includes(error.code)) return [];
+    throw Object.assign(new Error(`DNS lookup of ${name} failed: ${error.code || error.message}`), { status: 502 });
+  }
+}
+
+// "v=DKIM1; k=rsa; p=..." -> { v: 'DKIM1', k: 'rsa', p: '...' }
+function parseTags(record) {
+  const tags = {};
+  record.split(';').forEach(part => {
+    const index = part.indexOf('=');
+    if (index === -1) return;
+    tags[part.slice(0, index).trim().toLowerCase()] = part.slice(index + 1).replace(/\s+/g, '');
+  });
+  return tags;
+}
+
+async function checkSpf(resolver, domain) {
+  const records = (await txtRecords(resolver, domain)).filter(record => /^v=spf1(\s|$)/i.test(record));
+  if (records.length === 0) {
+    return { status: 'fail', record: null, messages: ['No SPF record: receivers can\'t tell which servers may send for this domain'] };
+  }
+  if (records.length > 1) {
+    return { status: 'fail', record: null, records, messages: ['More than one SPF record: receivers treat this as an error'] };
+  }
+
+  const record = records[0];
+  const messages = [];
+  let status = 'pass';
+  const all = /(^|\s)([+?~-]?)all(\s|$)/i.exec(record);
+  if (!all) {
+    status = 'warn';
+    messages.push('No "all" mechanism: mail from unlisted servers is not rejected');
+  } else if (all[2] === '+' || all[2] === '') {
+    status = 'fail';
+    messages.push('"+all" lets every server on the internet send for this domain');
+  } else if (all[2] === '?') {
+    status = 'warn';
+    messages.push('"?all" is neutral: unlisted servers are neither trusted nor rejected');
+  }
+  const lookups = (record.match(/(^|\s)[+?~-]?(include|a|mx|ptr|exists|redirect)(?=[:=/\s]|$)/gi) || []).length;
+  if (lookups > 10) {
+    status = 'fail';
+    messages.push(`${lookups} DNS lookups: SPF allows at most 10`);
+  }
+  return { status, record, includes: (record.match(/include:(\S+)/gi) || []).map(entry => entry.slice(8)), messages };
+}
+
+async function checkDkimSelector(resolver, domain, selector) {
+  const name = `${selector}._domainkey.${domain}`;
+  const record = (await txtRecords(resolver, name)).find(entry => /(^|;)\s*(v=DKIM1|p=)/i.test(entry)) || null;
+  const result = { selector, name, status: 'fail', record, messages: [] };
+  if (!record) {
+    result.messages.push(`No DKIM record at ${name}`);
+    return result;
+  }
+
+  const tags = parseTags(record);
+  if (!tags.p) {
+    result.messages.push('The key has been revoked (empty p= tag)');
+    return result;
+  }
+  result.status = 'pass';
+  if (tags.t && tags.t.split(':').includes('y')) {
+    result.status = 'warn';
+    result.messages.push('Testing mode (t=y): receivers may ignore the signature');
+  }
+
+  // The key this server signs with must be the published one
+  const key = dkim.keyFor(domain);
+  if (key && key.domainName === domain && key.keySelector === selector) {
+    result.matchesSigningKey = dkim.publicKeyOf(key) === tags.p;
+    if (!result.matchesSigningKey) {
+      result.status = 'fail';
+      result.messages.push('The published key doesn\'t match the private key configured on this server');
+    }
+  }
+  return result;
+}
+
+async function checkDkim(resolver, domain, selectors) {
+  const key = dkim.keyFor(domain);
+  const wanted = selectors.length ? selectors : (key && key.domainName === domain ? [key.keySelector] : COMMON_SELECTORS);
+  const results = await Promise.all(wanted.map(selector => checkDkimSelector(resolver, domain, selector)));
+
+  // Without a known selector a miss only means we guessed wrong
+  const found = results.filter(result => result.record);
+  const guessed = !selectors.length && !(key && key.domainName === domain);
+  const statuses = (guessed ? found : results).map(result => result.status);
+  const status = statuses.includes('fail') || statuses.length === 0 ? 'fail' : (statuses.includes('warn') ? 'warn' : 'pass');
+
+  return {
+    status,
+    signing: key ? { domain: key.domainName, selector: key.keySelector } : null,
+    selectors: guessed ? found : results,
+    messages: guessed && !found.length ? [`No DKIM record found for the common selectors (${COMMON_SELECTORS.join(', ')}); pass ?selector= to check yours`] : []
+  };
+}
+
+async function checkDmarc(resolver, domain) {
+  const name = `_dmarc.${domain}`;
+  const records = (await txtRecords(resolver, name)).filter(record => /^v=DMARC1\s*(;|$)/i.test(record));
+  if (records.length !== 1) {
+    return {
+      status: 'fail',
+      record: null,
+      messages: [records.length ? 'More than one DMARC record: receivers ignore them all' : `No DMARC record at ${name}`]
+    };
+  }
+
+  const record = records[0];
+  const tags = parseTags(record);
+  const policy = (tags.p || '').toLowerCase();
+  const result = { status: 'pass', record, policy: policy || null, reports: tags.rua || null, messages: [] };
+  if (!['none', 'quarantine', 'reject'].includes(policy)) {
+    result.status = 'fail';
+    result.messages.push('Missing or invalid p= policy');
+  } else if (policy === 'none') {
+    result.status = 'warn';
+    result.messages.push('Policy "none" only monitors: failing mail is still delivered');
+  }
+  if (tags.pct && Number(tags.pct) < 100) {
+    result.status = result.status === 'fail' ? 'fail' : 'warn';
+    result.messages.push(`The policy applies to ${tags.pct}% of failing mail only`);
+  }
+  return result;
+}
+
+// SPF, DKIM and DMARC of a domain, looked up through `resolver` (see createResolver).
+// `selectors` are the DKIM selectors to check; by default the one this server
+// signs with, or a few common ones.
+async function checkDomain(domain, { resolver = createResolver(), selectors = [] } = {}) {
+  const name = String(domain || '').trim().toLowerCase().replace(/\.$/, '');
+  if (!DOMAIN.test(name)) throw deliverabilityError('A valid domain name is required');
+  const invalid = selectors.find(selector => !SELECTOR.test(selector));
+  if (invalid) throw deliverabilityError(`Invalid DKIM selector: ${invalid}`);
+
+  const [spf, dkimResult, dmarc] = await Promise.all([
+    checkSpf(resolver, name),
+    checkDkim(resolver, name, selectors),
+    checkDmarc(resolver, name)
+  ]);
+  return { domain: name, resolver: resolver.getServers(), spf, dkim: dkimResult, dmarc };
+}
+
+module.exports = {
+  customHeaders,
+  createResolver,
+  checkDomain
+};
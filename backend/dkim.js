@@ -0,0 +1,73 @@
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+
+// DKIM signing of outgoing mail. Private keys are configured on the server,
+// one PEM file per sender domain in DKIM_DIR, named after the DNS record that
+// holds the public key: <selector>._domainkey.<domain>.pem
+// (e.g. mail._domainkey.example.com.pem). Mail from news.example.com is signed
+// with the news.example.com key, or else with the example.com one.
+// Like the data directory it lives next to this file unless DKIM_DIR is set.
+const DKIM_DIR = process.env.DKIM_DIR ? path.resolve(process.env.DKIM_DIR) : path.join(__dirname, 'dkim');
+
+// domain -> { domainName, keySelector, privateKey }
+const keys = loadKeys();
+
+function loadKeys() {
+  const result = new Map();
+  if (!fs.existsSync(DKIM_DIR)) return result;
+
+  fs.readdirSync(DKIM_DIR).forEach(file => {
+    const match = /^([\w-]+)\._domainkey\.(.+)\.pem$/i.exec(file);
+    if (!match) return;
+    const privateKey = fs.readFileSync(path.join(DKIM_DIR, file), 'utf8');
+    try {
+      crypto.createPrivateKey(privateKey);
+    } catch (error) {
+      console.warn(`⚠️  Skipping DKIM key ${file}: ${error.message}`);
+      return;
+    }
+    const domain = match[2].toLowerCase();
+    result.set(domain, { domainName: domain, keySelector: match[1], privateKey });
+  });
+
+  if (result.size) {
+    console.log(`🔏 DKIM keys loaded for: ${Array.from(result.keys()).join(', ')}`);
+  }
+  return result;
+}
+
+// Signing key for a sender address or domain (parent domains included), or null
+function keyFor(addressOrDomain) {
+  let domain = String(addressOrDomain || '').split('@').pop().trim().toLowerCase();
+  while (domain.includes('.')) {
+    if (keys.has(domain)) return keys.get(domain);
+    domain = domain.slice(domain.indexOf('.') + 1);
+  }
+  return null;
+}
+
+// The public key (base64 DER, as in the p= tag of the DNS record) of a signing key
+function publicKeyOf(key) {
+  return crypto.createPublicKey(key.privateKey).export({ type: 'spki', format: 'der' }).toString('base64');
+}
+
+// Sign everything a transporter sends with the key of the From address's
+// domain; messages that bring their own dkim option keep it
+function attach(transporter) {
+  transporter.use('stream', (mail, done) => {
+    if (!mail.data.dkim) {
+      const from = (mail.message.getAddresses().from || [])[0];
+      const key = from && keyFor(from.address);
+      if (key) mail.data.dkim = key;
+    }
+    done();
+  });
+  return transporter;
+}
+
+module.exports = {
+  keyFor,
+  publicKeyOf,
+  attach
+};
@@ -0,0 +1,143 @@
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const { Collection } = require('./store');
+const { MODES, FORWARD_AS } = require('./compose');
+
+// Unsent messages from the compose form, saved as the user types
+const drafts = new Collection('drafts');
+
+// Draft attachments live here (one folder per draft) until the draft is sent or deleted
+const ATTACHMENT_DIR = path.resolve('uploads', 'drafts');
+
+// Compose form fields kept in a draft, all plain strings
+const DRAFT_FIELDS = ['from', 'senderName', 'replyTo', 'to', 'cc', 'bcc', 'subject', 'text', 'html', 'signature'];
+// Which editor the draft was written in
+const FORMATS = ['text', 'html'];
+
+function draftError(message, status = 400) {
+  return Object.assign(new Error(message), { status });
+}
+
+function draftDir(id) {
+  return path.join(ATTACHMENT_DIR, id);
+}
+
+// Fields present in `data` (absent ones are left as they are on update)
+function pickFields(data) {
+  const fields = {};
+  DRAFT_FIELDS.forEach(field => {
+    if (data[field] === undefined || data[field] === null) return;
+    if (typeof data[field] !== 'string') throw draftError(`${field} must be a string`);
+    fields[field] = data[field];
+  });
+  if (data.original !== undefined) fields.original = pickOriginal(data.original);
+  if (data.format !== undefined) {
+    if (!FORMATS.includes(data.format)) throw draftError(`Format must be one of: ${FORMATS.join(', ')}`);
+    fields.format = data.format;
+  }
+  return fields;
+}
+
+// The message a reply/forward draft answers (see compose.js), or null
+function pickOriginal(original) {
+  if (original === null) return null;
+  const uid = parseInt(original && original.uid, 10);
+  if (!Number.isFinite(uid) || uid <= 0 || !MODES.includes(original.mode)) {
+    throw draftError('Original must be { mailbox, uid, mode, forwardAs }');
+  }
+  return {
+    mailbox: String(original.mailbox || 'INBOX'),
+    uid,
+    mode: original.mode,
+    forwardAs: FORWARD_AS.includes(original.forwardAs) ? original.forwardAs : 'inline'
+  };
+}
+
+// Move multer uploads into the draft's folder
+function storeFiles(id, files) {
+  return files.map(file => {
+    const dir = draftDir(id);
+    if (!fs.existsSync(dir)) fs.mkdirSync(dir, { recursive: true });
+    const target = path.join(dir, path.basename(file.path));
+    fs.renameSync(file.path, target);
+    return { id: crypto.randomUUID(), filename: file.originalname, path: target, contentType: file.mimetype, size: file.size };
+  });
+}
+
+function listDrafts(ownerId) {
+  return drafts.all(draft => draft.ownerId === ownerId)
+    .sort((a, b) => b.updatedAt.localeCompare(a.updatedAt));
+}
+
+function getDraft(ownerId, id) {
+  return drafts.find(draft => draft.id === id && draft.ownerId === ownerId);
+}
+
+// Draft as returned by the API; the list leaves out the bodies
+function publicDraft(draft, withBody = true) {
+  const result = { id: draft.id };
+  DRAFT_FIELDS.forEach(field => {
+    if (withBody || !['text', 'html', 'signature'].includes(field)) result[field] = draft[field];
+  });
+  return Object.assign(result, {
+    format: draft.format,
+    original: draft.original || null,
+    attachments: draft.attachments.map(({ id, filename, contentType, size }) => ({ id, filename, contentType, size })),
+    createdAt: draft.createdAt,
+    updatedAt: draft.updatedAt
+  });
+}
+
+function createDraft(ownerId, data, files = []) {
+  const fields = pickFields(data);
+  const id = crypto.randomUUID();
+  const draft = { id, ownerId, format: 'text', original: null, attachments: storeFiles(id, files) };
+  DRAFT_FIELDS.forEach(field => {
+    draft[field] = '';
+  });
+  return drafts.insert(Object.assign(draft, fields));
+}
+
+// Autosave: replaces the fields given in `data`, adds uploaded `files` and
+// drops the attachments listed in `data.removeAttachments` (ids)
+function updateDraft(draft, data, files = []) {
+  const fields = pickFields(data);
+  const remove = Array.isArray(data.removeAttachments) ? data.removeAttachments : [];
+
+  const attachments = draft.attachments.filter(att => {
+    if (!remove.includes(att.id)) return true;
+    if (fs.existsSync(att.path)) fs.unlinkSync(att.path);
+    return false;
+  });
+
+  return drafts.update(draft.id, Object.assign(fields, { attachments: attachments.concat(storeFiles(draft.id, files)) }));
+}
+
+function deleteDraft(draft) {
+  const dir = draftDir(draft.id);
+  if (fs.existsSync(dir)) fs.rmSync(dir, { recursive: true, force: true });
+  return drafts.remove(draft.id);
+}
+
+function getAttachment(draft, attachmentId) {
+  return draft.attachments.find(att => att.id === attachmentId) || null;
+}
+
+// Draft attachments in the shape of multer uploads, for sending the draft
+function attachmentFiles(draft) {
+  return draft.attachments
+    .filter(att => fs.existsSync(att.path))
+    .map(att => ({ path: att.path, originalname: att.filename, mimetype: att.contentType, size: att.size }));
+}
+
+module.exports = {
+  listDrafts,
+  getDraft,
+  publicDraft,
+  createDraft,
+  updateDraft,
+  deleteDraft,
+  getAttachment,
+  attachmentFiles
+};
@@ -0,0 +1,197 @@
+const { Collection } = require('./store');
+const { PUBLIC_URL, createToken, readToken } = require('./links');
+const { isValidEmail, addressRow } = require('./recipients');
+const { escapeHtml } = require('./merge');
+
+// Sender identities per user: the addresses mail may go out from, each with a
+// display name, reply-to and signature. The mail account's own address is
+// always verified; any other address must be confirmed through a link mailed
+// to it before /api/send and campaigns accept it as From.
+const identities = new Collection('identities');
+
+// Verification links stop working after this long
+const VERIFY_TTL = 7 * 24 * 60 * 60 * 1000;
+
+function identityError(message, status = 400) {
+  return Object.assign(new Error(message), { status });
+}
+
+function normalize(address) {
+  return String(address || '').trim().toLowerCase();
+}
+
+function isVerified(identity, accountAddress) {
+  return Boolean(identity.verifiedAt) || normalize(identity.address) === normalize(accountAddress);
+}
+
+function findByAddress(ownerId, address) {
+  const wanted = normalize(address);
+  return identities.find(identity => identity.ownerId === ownerId && identity.address === wanted);
+}
+
+// Editable fields present in `data`
+function pickFields(data) {
+  const fields = {};
+  ['name', 'signature'].forEach(field => {
+    if (data[field] === undefined || data[field] === null) return;
+    if (typeof data[field] !== 'string') throw identityError(`${field} must be a string`);
+    fields[field] = field === 'name' ? data[field].replace(/[\r\n"<>]+/g, ' ').trim() : data[field];
+  });
+  if (data.replyTo !== undefined && data.replyTo !== null) {
+    const replyTo = String(data.replyTo).trim();
+    if (replyTo && !isValidEmail(replyTo)) throw identityError('Reply-to must be an email address');
+    fields.replyTo = replyTo;
+  }
+  if (data.isDefault !== undefined) fields.isDefault = Boolean(data.isDefault);
+  return fields;
+}
+
+// Only one identity per user is the default
+function clearDefault(ownerId, exceptId) {
+  identities.all(identity => identity.ownerId === ownerId && identity.id !== exceptId && identity.isDefault)
+    .forEach(identity => identities.update(identity.id, { isDefault: false }));
+}
+
+// The account address is an identity of its own, added on first use
+function ensureAccountIdentity(ownerId, accountAddress) {
+  if (!accountAddress || findByAddress(ownerId, accountAddress)) return;
+  const first = !identities.find(identity => identity.ownerId === ownerId);
+  identities.insert({ ownerId, address: normalize(accountAddress), name: '', replyTo: '', signature: '', isDefault: first, verifiedAt: null, verificationSentAt: null });
+}
+
+function listIdentities(ownerId, accountAddress) {
+  ensureAccountIdentity(ownerId, accountAddress);
+  return identities.all(identity => identity.ownerId === ownerId)
+    .sort((a, b) => Number(b.isDefault) - Number(a.isDefault) || a.address.localeCompare(b.address));
+}
+
+function getIdentity(ownerId, id) {
+  return identities.find(identity => identity.id === id && identity.ownerId === ownerId);
+}
+
+function publicIdentity(identity, accountAddress) {
+  return {
+    id: identity.id,
+    address: identity.address,
+    name: identity.name,
+    replyTo: identity.replyTo,
+    signature: identity.signature,
+    isDefault: identity.isDefault,
+    verified: isVerified(identity, accountAddress),
+    verificationSentAt: identity.verificationSentAt,
+    createdAt: identity.createdAt,
+    updatedAt: identity.updatedAt
+  };
+}
+
+// { address, name, replyTo, signature, isDefault }
+function createIdentity(ownerId, data) {
+  const address = normalize(data.address);
+  if (!isValidEmail(address)) throw identityError('A valid email address is required');
+  if (findByAddress(ownerId, address)) throw identityError('An identity with that address already exists', 409);
+
+  const fields = pickFields(data);
+  if (fields.isDefault) clearDefault(ownerId);
+  return identities.insert(Object.assign({ ownerId, address, name: '', replyTo: '', signature: '', isDefault: false, verifiedAt: null, verificationSentAt: null }, fields));
+}
+
+// The address itself can't change (it was verified); add a new identity instead
+function updateIdentity(identity, data) {
+  if (data.address !== undefined && normalize(data.address) !== identity.address) {
+    throw identityError('The address of an identity can\'t be changed; add a new identity instead');
+  }
+  const fields = pickFields(data);
+  if (fields.isDefault) clearDefault(identity.ownerId, identity.id);
+  return identities.update(identity.id, fields);
+}
+
+function deleteIdentity(identity) {
+  return identities.remove(identity.id);
+}
+
+// Mail (nodemailer options) asking the owner of the address to confirm it.
+// It goes out from the account address, which is always allowed.
+function verificationMail(identity, accountAddress) {
+  const token = createToken({ i: identity.id, a: identity.address, x: Date.now() + VERIFY_TTL });
+  const url = `${PUBLIC_URL}/api/identities/verify/${token}`;
+  identities.update(identity.id, { verificationSentAt: new Date().toISOString() });
+  return {
+    from: accountAddress,
+    to: identity.address,
+    subject: 'Confirm your sender address',
+    text: `Someone (hopefully you) wants to send mail as ${identity.address} from ${accountAddress}.\n\nConfirm it here: ${url}\n\nThe link works for 7 days. If you didn't ask for this, ignore this mail.`,
+    html: `<p>Someone (hopefully you) wants to send mail as <strong>${escapeHtml(identity.address)}</strong> from ${escapeHtml(accountAddress)}.</p>` +
+      `<p><a href="${escapeHtml(url)}">Confirm the address</a></p>` +
+      '<p>The link works for 7 days. If you didn\'t ask for this, ignore this mail.</p>'
+  };
+}
+
+// The identity a verification token is for, or null when the token is invalid,
+// expired or the identity is gone
+function readVerificationToken(token) {
+  const data = readToken(token);
+  if (!data || !data.i || !data.a || !(data.x > Date.now())) return null;
+  const identity = identities.get(data.i);
+  return identity && identity.address === data.a ? identity : null;
+}
+
+function confirmIdentity(identity) {
+  return identity.verifiedAt ? identity : identities.update(identity.id, { verifiedAt: new Date().toISOString() });
+}
+
+// Sender of an outgoing message: `from` ("Name <address>" or an address) or
+// `identityId` picks the identity, else the default one. The address must be
+// verified. The request's senderName and replyTo win over the identity's.
+function resolveSender(ownerId, accountAddress, { from, identityId, senderName, replyTo } = {}) {
+  const list = listIdentities(ownerId, accountAddress);
+  const requested = from ? addressRow(from) : null;
+
+  let identity;
+  if (identityId) {
+    identity = list.find(entry => entry.id === identityId);
+    if (!identity) throw identityError('Sender identity not found', 404);
+  } else if (requested) {
+    identity = list.find(entry => entry.address === normalize(requested.email));
+  } else {
+    identity = list.find(entry => entry.isDefault && isVerified(entry, accountAddress)) ||
+      list.find(entry => isVerified(entry, accountAddress));
+  }
+
+  if (!identity || !isVerified(identity, accountAddress)) {
+    const address = identity ? identity.address : (requested ? requested.email : 'none');
+    // 422, not 403: the dashboard reads 403 as an expired session
+    throw identityError(`Sender address is not verified: ${address}`, 422);
+  }
+
+  const name = senderName !== undefined && senderName !== null && senderName !== ''
+    ? String(senderName).replace(/[\r\n"<>]+/g, ' ').trim()
+    : ((requested && requested.name) || identity.name);
+  return {
+    identity,
+    address: identity.address,
+    name,
+    from: name ? `"${name}" <${identity.address}>` : identity.address,
+    replyTo: replyTo || identity.replyTo || undefined
+  };
+}
+
+// All verified addresses of a user (reply-all leaves them out)
+function ownAddresses(ownerId, accountAddress) {
+  return listIdentities(ownerId, accountAddress)
+    .filter(identity => isVerified(identity, accountAddress))
+    .map(identity => identity.address);
+}
+
+module.exports = {
+  listIdentities,
+  getIdentity,
+  publicIdentity,
+  createIdentity,
+  updateIdentity,
+  deleteIdentity,
+  verificationMail,
+  readVerificationToken,
+  confirmIdentity,
+  resolveSender,
+  ownAddresses
+};
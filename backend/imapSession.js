@@ -0,0 +1,247 @@
+const EventEmitter = require('events');
+const Imap = require('imap');
+
+// Reconnect backoff bounds
+const MIN_RECONNECT_DELAY = 1000;
+const MAX_RECONNECT_DELAY = 60000;
+// A queued task that takes longer than this fails and the connection is reset,
+// so one stuck command can't block the account (long attachment downloads included)
+const TASK_TIMEOUT = 2 * 60 * 1000;
+
+// Persistent IMAP session: one authenticated connection that is reused across
+// requests, reconnected with exponential backoff when it drops, and that runs
+// commands one at a time so concurrent requests never interleave on the socket.
+//
+// States: 'disconnected' -> 'connecting' -> 'connected'
+//                              ^                 |
+//                              +- 'reconnecting' <+ (error / close)
+//
+// `config` is a node-imap options object, or a (possibly async) function
+// returning one, called again before each reconnect.
+class ImapSession extends EventEmitter {
+  constructor(config, options = {}) {
+    super();
+    this.config = config;
+    this.minDelay = options.minDelay || MIN_RECONNECT_DELAY;
+    this.maxDelay = options.maxDelay || MAX_RECONNECT_DELAY;
+    this.taskTimeout = options.taskTimeout || TASK_TIMEOUT;
+
+    this.state = 'disconnected';
+    this.imap = null;
+    this.connecting = null;
+    this.queue = Promise.resolve();
+    this.retries = 0;
+    this.reconnectTimer = null;
+    this.nextAttemptAt = null;
+    this.connectedAt = null;
+    this.lastError = null;
+    this.closed = false;
+    // Bumped by end(), so a connection that was still opening knows it's unwanted
+    this.generation = 0;
+  }
+
+  // Resolve with a ready connection, opening one if needed
+  connect() {
+    if (this.state === 'connected' && this.imap) {
+      return Promise.resolve(this.imap);
+    }
+    if (this.connecting) {
+      return this.connecting;
+    }
+    if (this.state === 'reconnecting') {
+      const error = new Error(`IMAP server unavailable, retrying in ${Math.ceil((this.nextAttemptAt - Date.now()) / 1000)}s`);
+      error.code = 'IMAP_UNAVAILABLE';
+      error.cause = this.lastError;
+      return Promise.reject(error);
+    }
+    return this._open();
+  }
+
+  _open() {
+    clearTimeout(this.reconnectTimer);
+    this.reconnectTimer = null;
+    this.closed = false;
+    this._setState('connecting');
+    const generation = this.generation;
+
+    const config = typeof this.config === 'function'
+      ? Promise.resolve().then(() => this.config())
+      : Promise.resolve(this.config);
+
+    this.connecting = config.catch(error => {
+      if (generation !== this.generation) throw this._closedError();
+      // Couldn't even build the options (e.g. OAuth2 token refresh failed)
+      this.connecting = null;
+      this.lastError = error;
+      this._lost(Object.assign(new EventEmitter(), { __generation: generation }), error);
+      throw error;
+    }).then(options => new Promise((resolve, reject) => {
+      if (generation !== this.generation) return reject(this._closedError());
+      const imap = new Imap(options);
+      imap.__generation = generation;
+      let ready = false;
+
+      imap.once('ready', () => {
+        ready = true;
+        // end() was called while we were connecting: close this one too
+        if (generation !== this.generation) {
+          imap.end();
+          reject(this._closedError());
+          return;
+        }
+        this.imap = imap;
+        this.retries = 0;
+        this.lastError = null;
+        this.connectedAt = new Date();
+        this.connecting = null;
+        this._setState('connected');
+        resolve(imap);
+      });
+
+      imap.on('error', err => {
+        if (!ready) reject(err);
+        if (generation === this.generation) {
+          this.lastError = err;
+          if (!ready) this.connecting = null;
+        }
+        this._lost(imap, err);
+      });
+
+      // Unsolicited server updates for whichever box is open
+      imap.on('mail', count => this.emit('mail', count));
+      imap.on('expunge', seqno => this.emit('expunge', seqno));
+      imap.on('update', (seqno, info) => this.emit('update', seqno, info));
+      imap.on('uidvalidity', uidValidity => this.emit('uidvalidity', uidValidity));
+
+      imap.once('close', () => this._lost(imap));
+      imap.once('end', () => this._lost(imap));
+
+      imap.connect();
+    }));
+
+    return this.connecting;
+  }
+
+  // Connection went away; schedule a reconnect unless we closed it on purpose
+  _lost(imap, err) {
+    if (imap.__lost) return;
+    imap.__lost = true;
+    imap.removeAllListeners('mail');
+    imap.removeAllListeners('expunge');
+    imap.removeAllListeners('update');
+    imap.removeAllListeners('uidvalidity');
+    if (this.imap === imap) this.imap = null;
+
+    this.emit('disconnected', err);
+
+    // A connection from before end(): the session has moved on without it
+    if (imap.__generation !== this.generation) return;
+
+    this.connectedAt = null;
+    if (this.closed) {
+      this._setState('disconnected');
+      return;
+    }
+
+    const delay = Math.min(this.maxDelay, this.minDelay * Math.pow(2, this.retries));
+    this.retries++;
+    this.nextAttemptAt = Date.now() + delay;
+    this._setState('reconnecting');
+
+    console.warn(`📭 IMAP connection lost${err ? ` (${err.message})` : ''}, reconnecting in ${delay / 1000}s`);
+    this.reconnectTimer = setTimeout(() => {
+      this.reconnectTimer = null;
+      this._open().catch(error => {
+        console.error('❌ IMAP reconnect failed:', error.message);
+      });
+    }, delay);
+    this.reconnectTimer.unref();
+  }
+
+  _closedError() {
+    const error = new Error('IMAP session closed');
+    error.code = 'IMAP_UNAVAILABLE';
+    return error;
+  }
+
+  _setState(state) {
+    if (this.state === state) return;
+    this.state = state;
+    this.emit('state', state);
+  }
+
+  // Queue a task that receives the live connection. Tasks run strictly one
+  // after another, and a task is rejected if the connection drops under it or
+  // it runs longer than taskTimeout (the connection is then reset).
+  run(task) {
+    const result = this.queue.then(() => this._exec(task));
+    this.queue = result.catch(() => {});
+    return result;
+  }
+
+  _exec(task) {
+    return this.connect().then(imap => new Promise((resolve, reject) => {
+      const onDisconnect = err => reject(err || new Error('IMAP connection lost'));
+      this.once('disconnected', onDisconnect);
+
+      const timer = setTimeout(() => {
+        const error = new Error(`IMAP command timed out after ${Math.round(this.taskTimeout / 1000)}s`);
+        error.code = 'IMAP_UNAVAILABLE';
+        reject(error);
+        console.warn('⏱️  IMAP task timed out, resetting the connection');
+        imap.destroy();
+      }, this.taskTimeout);
+
+      Promise.resolve()
+        .then(() => task(imap))
+        .then(resolve, reject)
+        .finally(() => {
+          clearTimeout(timer);
+          this.removeListener('disconnected', onDisconnect);
+        });
+    }));
+  }
+
+  // Open (or reuse the already selected) mailbox on a connection. The open
+  // box is remembered per connection; a failed open leaves none selected.
+  openBox(imap, name, readOnly = false) {
+    const current = imap.__openBox;
+    if (current && current.name === name && current.readOnly === readOnly) {
+      return Promise.resolve(current.box);
+    }
+    imap.__openBox = null;
+    return new Promise((resolve, reject) => {
+      imap.openBox(name, readOnly, (err, box) => {
+        if (err) return reject(err);
+        imap.__openBox = { name, readOnly, box };
+        resolve(box);
+      });
+    });
+  }
+
+  // Close the connection for good (no reconnect). A connection still being
+  // opened is closed as soon as it is ready.
+  end() {
+    this.closed = true;
+    this.generation++;
+    this.connecting = null;
+    this.connectedAt = null;
+    clearTimeout(this.reconnectTimer);
+    this.reconnectTimer = null;
+    if (this.imap) this.imap.end();
+    this._setState('disconnected');
+  }
+
+  // Snapshot for health checks
+  status() {
+    return {
+      state: this.state,
+      connectedAt: this.connectedAt ? this.connectedAt.toISOString() : null,
+      retries: this.retries,
+      nextAttemptAt: this.state === 'reconnecting' ? new Date(this.nextAttemptAt).toISOString() : null,
+      lastError: this.lastError ? this.lastError.message : null
+    };
+  }
+}
+
+module.exports = ImapSession;
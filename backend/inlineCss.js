@@ -0,0 +1,237 @@
+const { parseDocument, DomUtils } = require('htmlparser2');
+
+// Copy the rules of <style> blocks into style="" attributes, since many mail
+// clients (Gmail apps, Outlook) drop or ignore <style>. Supported selectors:
+// tag, *, #id, .class, [attr] and [attr=value], combined with descendant and
+// child (>) combinators. Rules that can't be inlined (@media, :hover, a + b,
+// ...) stay in a <style> block for the clients that do read it.
+
+// One simple selector of a compound such as a.button[target=_blank]
+const SIMPLE_SELECTOR = /\*|([.#]?)([\w-]+)|\[\s*([\w-]+)\s*(?:=\s*(?:"([^"]*)"|'([^']*)'|([^\]\s]*))\s*)?\]/y;
+
+// Parse one selector into compounds, right-most last; null when not supported
+function parseSelector(selector) {
+  const tokens = selector.trim().replace(/\s*>\s*/g, ' > ').split(/\s+/);
+  const compounds = [];
+  let combinator = ' ';
+
+  for (const token of tokens) {
+    if (token === '>') {
+      if (!compounds.length || combinator === '>') return null;
+      combinator = '>';
+      continue;
+    }
+
+    const compound = { combinator, tag: null, id: null, classes: [], attributes: [] };
+    SIMPLE_SELECTOR.lastIndex = 0;
+    while (SIMPLE_SELECTOR.lastIndex < token.length) {
+      const match = SIMPLE_SELECTOR.exec(token);
+      if (!match) return null;
+      if (match[0] === '*') continue;
+      if (match[3]) {
+        const value = [match[4], match[5], match[6]].find(part => part !== undefined);
+        compound.attributes.push({ name: match[3].toLowerCase(), value: value === undefined ? null : value });
+      } else if (match[1] === '#') {
+        compound.id = match[2];
+      } else if (match[1] === '.') {
+        compound.classes.push(match[2]);
+      } else {
+        compound.tag = match[2].toLowerCase();
+      }
+    }
+    compounds.push(compound);
+    combinator = ' ';
+  }
+
+  return compounds.length && combinator === ' ' ? compounds : null;
+}
+
+// [ids, classes and attributes, tags], compared left to right
+function specificity(compounds) {
+  return compounds.reduce((sum, compound) => [
+    sum[0] + (compound.id ? 1 : 0),
+    sum[1] + compound.classes.length + compound.attributes.length,
+    sum[2] + (compound.tag ? 1 : 0)
+  ], [0, 0, 0]);
+}
+
+function matchesCompound(element, compound) {
+  const attribs = element.attribs || {};
+  if (compound.tag && element.name !== compound.tag) return false;
+  if (compound.id && attribs.id !== compound.id) return false;
+  const classes = String(attribs.class || '').split(/\s+/);
+  if (!compound.classes.every(name => classes.includes(name))) return false;
+  return compound.attributes.every(({ name, value }) => attribs[name] !== undefined && (value === null || attribs[name] === value));
+}
+
+function parentElement(element) {
+  const parent = element.parent;
+  return parent && DomUtils.isTag(parent) ? parent : null;
+}
+
+// Match compounds[0..index] against `element` and its ancestors
+function matches(element, compounds, index = compounds.length - 1) {
+  if (!matchesCompound(element, compounds[index])) return false;
+  if (index === 0) return true;
+
+  const combinator = compounds[index].combinator;
+  let ancestor = parentElement(element);
+  if (combinator === '>') return Boolean(ancestor) && matches(ancestor, compounds, index - 1);
+  while (ancestor) {
+    if (matches(ancestor, compounds, index - 1)) return true;
+    ancestor = parentElement(ancestor);
+  }
+  return false;
+}
+
+// Split `text` at every `separator` that is not inside quotes, parentheses
+// or brackets: url(data:image/png;base64,...), "a;b" and [title="a,b"] stay whole
+function splitTopLevel(text, separator) {
+  const parts = [];
+  let depth = 0;
+  let quote = null;
+  let start = 0;
+
+  for (let index = 0; index < text.length; index++) {
+    const char = text[index];
+    if (char === '\\') {
+      index++;
+    } else if (quote) {
+      if (char === quote) quote = null;
+    } else if (char === '"' || char === "'") {
+      quote = char;
+    } else if (char === '(' || char === '[') {
+      depth++;
+    } else if ((char === ')' || char === ']') && depth > 0) {
+      depth--;
+    } else if (char === separator && depth === 0) {
+      parts.push(text.slice(start, index));
+      start = index + 1;
+    }
+  }
+  parts.push(text.slice(start));
+  return parts;
+}
+
+// "color: red; font-weight: bold !important" -> [{ property, value, important }]
+function parseDeclarations(text) {
+  return splitTopLevel(text, ';').map(part => {
+    const colon = part.indexOf(':');
+    if (colon === -1) return null;
+    const property = part.slice(0, colon).trim().toLowerCase();
+    let value = part.slice(colon + 1).trim();
+    const important = /!\s*important$/i.test(value);
+    if (important) value = value.replace(/\s*!\s*important$/i, '');
+    return property && value ? { property, value, important } : null;
+  }).filter(Boolean);
+}
+
+// Split a stylesheet into plain rules (selector list + declarations) and the
+// text of everything else (at-rules), which is kept as it is
+function parseStylesheet(css) {
+  const rules = [];
+  const kept = [];
+  const text = css.replace(/\/\*[\s\S]*?\*\//g, '');
+  let position = 0;
+
+  while (position < text.length) {
+    const open = text.indexOf('{', position);
+    if (open === -1) break;
+    let prelude = text.slice(position, open).trim();
+    // Block-less statements before the rule (@import ...; @charset ...;)
+    const statementEnd = prelude.lastIndexOf(';');
+    if (statementEnd !== -1) {
+      kept.push(prelude.slice(0, statementEnd + 1).trim());
+      prelude = prelude.slice(statementEnd + 1).trim();
+    }
+
+    // Find the matching brace (at-rules such as @media nest blocks)
+    let depth = 1;
+    let close = open + 1;
+    while (close < text.length && depth > 0) {
+      if (text[close] === '{') depth++;
+      if (text[close] === '}') depth--;
+      close++;
+    }
+    const body = text.slice(open + 1, close - 1);
+    position = close;
+
+    if (prelude.startsWith('@')) {
+      kept.push(`${prelude} {${body}}`);
+    } else {
+      rules.push({ selectors: splitTopLevel(prelude, ','), declarations: parseDeclarations(body), text: `${prelude} {${body}}` });
+    }
+  }
+
+  return { rules, kept };
+}
+
+function inlineCss(html) {
+  if (!html || !/<style[\s>]/i.test(html)) return html || '';
+
+  const document = parseDocument(html, { decodeEntities: false });
+  const styles = DomUtils.getElementsByTagName('style', document, true);
+  const elements = DomUtils.getElementsByTagName(() => true, document, true);
+
+  // element -> [{ specificity, order, declarations }]
+  const applied = new Map();
+  const leftover = [];
+  let order = 0;
+
+  styles.forEach(style => {
+    const { rules, kept } = parseStylesheet(DomUtils.textContent(style));
+    leftover.push(...kept);
+
+    rules.forEach(rule => {
+      const selectors = rule.selectors.map(parseSelector);
+      // A rule with any selector we can't handle stays in <style> as a whole
+      if (selectors.some(selector => !selector)) {
+        leftover.push(rule.text);
+        return;
+      }
+      selectors.forEach(compounds => {
+        const entry = { specificity: specificity(compounds), order: order++, declarations: rule.declarations };
+        elements.filter(element => element.name !== 'style' && matches(element, compounds)).forEach(element => {
+          if (!applied.has(element)) applied.set(element, []);
+          applied.get(element).push(entry);
+        });
+      });
+    });
+  });
+
+  applied.forEach((entries, element) => {
+    entries.sort((a, b) => a.specificity[0] - b.specificity[0] || a.specificity[1] - b.specificity[1] ||
+      a.specificity[2] - b.specificity[2] || a.order - b.order);
+
+    const result = new Map();
+    // Later declarations win (the style attribute comes last), except over !important ones
+    const set = ({ property, value, important }) => {
+      const current = result.get(property);
+      if (current && current.important && !important) return;
+      result.set(property, { value, important });
+    };
+    entries.forEach(entry => entry.declarations.forEach(set));
+    // Attributes aren't entity-decoded here; quotes come back as &quot; when serialized
+    parseDeclarations(String(element.attribs.style || '').replace(/&quot;|&#0*34;/gi, '"').replace(/&apos;|&#0*39;/gi, "'")).forEach(set);
+
+    element.attribs.style = Array.from(result.entries())
+      .map(([property, { value, important }]) => `${property}: ${value}${important ? ' !important' : ''}`)
+      .join('; ');
+  });
+
+  // Keep what couldn't be inlined in the first <style> block, drop the others
+  styles.forEach((style, index) => {
+    if (index === 0 && leftover.length) {
+      style.children = style.children.slice(0, 1);
+      style.children[0].data = `\n${leftover.join('\n')}\n`;
+    } else {
+      DomUtils.removeElement(style);
+    }
+  });
+
+  return DomUtils.getOuterHTML(document, { decodeEntities: false });
+}
+
+module.exports = {
+  inlineCss
+};
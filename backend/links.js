@@ -0,0 +1,39 @@
+const crypto = require('crypto');
+
+// Signed public links that go out in mails (unsubscribe, tracking). The data
+// travels in the link itself, so the signature keeps it from being forged.
+const LINK_SECRET = process.env.LINK_SECRET || process.env.JWT_SECRET || 'fallback-secret-change-in-production';
+// Public base URL of this backend, used in the links we put into mails
+const PUBLIC_URL = (process.env.PUBLIC_URL || `http://localhost:${process.env.PORT || 3000}`).replace(/\/+$/, '');
+
+function sign(payload) {
+  return crypto.createHmac('sha256', LINK_SECRET).update(payload).digest('base64url');
+}
+
+// Object -> "<payload>.<signature>" (both base64url)
+function createToken(data) {
+  const payload = Buffer.from(JSON.stringify(data)).toString('base64url');
+  return `${payload}.${sign(payload)}`;
+}
+
+// The signed object, or null when the token is malformed or was tampered with
+function readToken(token) {
+  const [payload, signature] = String(token || '').split('.');
+  if (!payload || !signature) return null;
+
+  const expected = Buffer.from(sign(payload));
+  const given = Buffer.from(signature);
+  if (expected.length !== given.length || !crypto.timingSafeEqual(expected, given)) return null;
+
+  try {
+    return JSON.parse(Buffer.from(payload, 'base64url').toString('utf8'));
+  } catch (error) {
+    return null;
+  }
+}
+
+module.exports = {
+  PUBLIC_URL,
+  createToken,
+  readToken
+};
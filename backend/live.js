@@ -0,0 +1,203 @@
+const accounts = require('./accounts');
+const { fetchHeaders, mailboxSnapshot } = require('./mailbox');
+
+// New-mail push. While a user has the dashboard open, their watch session
+// (see accounts.js) sits on the inbox - idling when the server supports IDLE -
+// and the server's updates are forwarded to the browser as Server-Sent Events:
+//
+//   ready     { mailbox, unread }            once the inbox has been read
+//   message   { mailbox, uid, from, ... }     new mail
+//   expunged  { mailbox, uid }                message deleted or moved away
+//   flags     { mailbox, uid, flags, unread } read/starred state changed
+//   unread    { mailbox, unread }             after any change to the count
+//   resync    { mailbox }                     reload the list (reconnect, UIDVALIDITY change)
+//   status    { state }                       IMAP connection state of the watcher
+
+const WATCH_MAILBOX = 'INBOX';
+// Comment lines keep proxies from closing a quiet stream
+const HEARTBEAT_INTERVAL = 25 * 1000;
+// The IMAP connection stays open this long after the last tab closes (page reloads)
+const IDLE_GRACE = 60 * 1000;
+// New messages announced at once; a bigger batch just asks the browser to reload
+const MAX_NEW_MESSAGES = 20;
+
+// userId -> watcher
+const watchers = new Map();
+
+function send(res, event, data) {
+  res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+}
+
+function broadcast(watcher, event, data) {
+  watcher.clients.forEach(res => send(res, event, data));
+}
+
+function unreadEvent(watcher) {
+  broadcast(watcher, 'unread', { mailbox: WATCH_MAILBOX, unread: watcher.unseen.size });
+}
+
+// Live tasks run one after another so the UID list is never updated twice at once
+function enqueue(watcher, task) {
+  watcher.pending = watcher.pending.then(task).catch(error => {
+    console.error(`❌ Live update failed for user ${watcher.userId}:`, error.message);
+  });
+  return watcher.pending;
+}
+
+// Read the inbox from scratch; `announce` tells open tabs to reload their list
+function resync(watcher, announce) {
+  return enqueue(watcher, async () => {
+    const snapshot = await mailboxSnapshot(watcher.session, WATCH_MAILBOX);
+    watcher.uidValidity = snapshot.uidValidity;
+    watcher.uids = snapshot.uids;
+    watcher.unseen = new Set(snapshot.unseen);
+
+    if (!watcher.ready) {
+      watcher.ready = true;
+      broadcast(watcher, 'ready', { mailbox: WATCH_MAILBOX, unread: watcher.unseen.size });
+      return;
+    }
+    if (announce) broadcast(watcher, 'resync', { mailbox: WATCH_MAILBOX });
+    unreadEvent(watcher);
+  });
+}
+
+function fetchNew(watcher) {
+  return enqueue(watcher, async () => {
+    if (!watcher.ready) return;
+    const lastUid = watcher.uids.length ? watcher.uids[watcher.uids.length - 1] : 0;
+    const result = await fetchHeaders(watcher.session, WATCH_MAILBOX, { limit: MAX_NEW_MESSAGES + 1, after: lastUid });
+    if (result.messages.length === 0) return;
+
+    // Lots of mail at once (e.g. a folder was moved in): cheaper to start over
+    // (queued behind this task, so not awaited)
+    if (result.messages.length > MAX_NEW_MESSAGES) {
+      resync(watcher, true);
+      return;
+    }
+
+    result.messages.sort((a, b) => a.uid - b.uid).forEach(message => {
+      watcher.uids.push(message.uid);
+      if (message.unread) watcher.unseen.add(message.uid);
+      broadcast(watcher, 'message', {
+        mailbox: WATCH_MAILBOX,
+        uid: message.uid,
+        from: message.from,
+        fromAddress: message.fromAddress,
+        subject: message.subject,
+        date: message.date,
+        unread: message.unread,
+        flagged: message.flagged
+      });
+    });
+    unreadEvent(watcher);
+  });
+}
+
+// EXPUNGE and FETCH responses carry sequence numbers, not UIDs
+function onExpunge(watcher, seqno) {
+  if (!watcher.ready || seqno > watcher.uids.length) return;
+  const [uid] = watcher.uids.splice(seqno - 1, 1);
+  watcher.unseen.delete(uid);
+  broadcast(watcher, 'expunged', { mailbox: WATCH_MAILBOX, uid });
+  unreadEvent(watcher);
+}
+
+function onUpdate(watcher, seqno, info) {
+  if (!watcher.ready || !info || !info.flags) return;
+  const uid = info.uid || watcher.uids[seqno - 1];
+  if (!uid) return;
+
+  const unread = !info.flags.includes('\\Seen');
+  const changed = unread !== watcher.unseen.has(uid);
+  if (unread) watcher.unseen.add(uid);
+  else watcher.unseen.delete(uid);
+
+  broadcast(watcher, 'flags', { mailbox: WATCH_MAILBOX, uid, flags: info.flags, unread, flagged: info.flags.includes('\\Flagged') });
+  if (changed) unreadEvent(watcher);
+}
+
+function createWatcher(userId, connections) {
+  const watcher = {
+    userId,
+    connections,
+    session: connections.watchSession,
+    clients: new Set(),
+    pending: Promise.resolve(),
+    ready: false,
+    uidValidity: null,
+    uids: [],
+    unseen: new Set(),
+    stopTimer: null,
+    wasConnected: false
+  };
+
+  watcher.handlers = {
+    mail: () => fetchNew(watcher),
+    expunge: seqno => onExpunge(watcher, seqno),
+    update: (seqno, info) => onUpdate(watcher, seqno, info),
+    uidvalidity: () => resync(watcher, true),
+    state: state => {
+      broadcast(watcher, 'status', { state });
+      // Updates made while we were away were missed
+      if (state === 'connected' && watcher.wasConnected) resync(watcher, true);
+      if (state === 'connected') watcher.wasConnected = true;
+    }
+  };
+  Object.keys(watcher.handlers).forEach(event => watcher.session.on(event, watcher.handlers[event]));
+
+  watcher.heartbeat = setInterval(() => {
+    watcher.clients.forEach(res => res.write(': ping\n\n'));
+  }, HEARTBEAT_INTERVAL);
+  watcher.heartbeat.unref();
+
+  watchers.set(userId, watcher);
+  resync(watcher, false);
+  return watcher;
+}
+
+function stopWatcher(watcher) {
+  clearInterval(watcher.heartbeat);
+  clearTimeout(watcher.stopTimer);
+  Object.keys(watcher.handlers).forEach(event => watcher.session.removeListener(event, watcher.handlers[event]));
+  watcher.session.end();
+  if (watchers.get(watcher.userId) === watcher) watchers.delete(watcher.userId);
+}
+
+// The user's watcher; a new one after their mail settings changed (the
+// connections entry is replaced then), taking over the open tabs
+function watcherFor(userId) {
+  const connections = accounts.getConnections(userId);
+  const current = watchers.get(userId);
+  if (current && current.connections === connections) return current;
+
+  const watcher = createWatcher(userId, connections);
+  if (current) {
+    current.clients.forEach(res => watcher.clients.add(res));
+    current.clients.clear();
+    stopWatcher(current);
+  }
+  return watcher;
+}
+
+// Stream live updates to an SSE response; returns the unsubscribe function
+function subscribe(userId, res) {
+  const watcher = watcherFor(userId);
+  clearTimeout(watcher.stopTimer);
+  watcher.stopTimer = null;
+  watcher.clients.add(res);
+
+  send(res, 'status', { state: watcher.session.state });
+  if (watcher.ready) send(res, 'ready', { mailbox: WATCH_MAILBOX, unread: watcher.unseen.size });
+
+  return () => {
+    const owner = watchers.get(userId);
+    if (!owner || !owner.clients.delete(res) || owner.clients.size > 0) return;
+    owner.stopTimer = setTimeout(() => stopWatcher(owner), IDLE_GRACE);
+    owner.stopTimer.unref();
+  };
+}
+
+module.exports = {
+  subscribe
+};
@@ -0,0 +1,521 @@
+const libqp = require('libqp');
+const libbase64 = require('libbase64');
+const { parseMessage, parseHeaders, attachmentsFromStruct } = require('./messages');
+
+// Mailbox operations on top of an ImapSession (see imapSession.js). Every
+// function takes the session of the account it should run against.
+
+// Special-use folders for servers that don't advertise RFC 6154 attributes
+const SPECIAL_USE_FALLBACKS = {
+  'INBOX': '\\Inbox',
+  '[Gmail]/Sent Mail': '\\Sent',
+  '[Gmail]/Drafts': '\\Drafts',
+  '[Gmail]/Trash': '\\Trash',
+  '[Gmail]/Spam': '\\Junk',
+  '[Gmail]/All Mail': '\\All',
+  '[Gmail]/Starred': '\\Flagged',
+  'Sent': '\\Sent',
+  'Drafts': '\\Drafts',
+  'Archive': '\\Archive',
+  'Trash': '\\Trash'
+};
+const SPECIAL_USE_ORDER = ['\\Inbox', '\\Sent', '\\Drafts', '\\Flagged', '\\Archive', '\\All', '\\Junk', '\\Trash'];
+
+// Flatten the nested getBoxes() tree into a list of selectable mailboxes
+function flattenMailboxes(boxes, parent = '') {
+  const result = [];
+
+  Object.keys(boxes || {}).forEach(name => {
+    const box = boxes[name];
+    const path = parent ? parent + box.delimiter + name : name;
+    const attribs = box.attribs || [];
+
+    if (!attribs.some(attr => attr.toUpperCase() === '\\NOSELECT')) {
+      const specialUse = attribs.find(attr => SPECIAL_USE_ORDER.includes(attr)) ||
+        SPECIAL_USE_FALLBACKS[path] || null;
+      result.push({
+        path,
+        name: path === 'INBOX' ? 'Inbox' : name,
+        delimiter: box.delimiter,
+        specialUse
+      });
+    }
+
+    result.push(...flattenMailboxes(box.children, path));
+  });
+
+  return result;
+}
+
+// Function to list mailboxes
+function listMailboxes(session) {
+  return session.run(imap => new Promise((resolve, reject) => {
+    imap.getBoxes((err, boxes) => {
+      if (err) return reject(err);
+
+      // Special-use folders first (Inbox, Sent, ...), then everything else by name
+      const rank = box => {
+        const index = SPECIAL_USE_ORDER.indexOf(box.specialUse);
+        return index === -1 ? SPECIAL_USE_ORDER.length : index;
+      };
+      resolve(flattenMailboxes(boxes).sort((a, b) => rank(a) - rank(b) || a.path.localeCompare(b.path)));
+    });
+  }));
+}
+
+// Fetch full sources for a set of UIDs on an open mailbox and parse them
+function fetchParsedMessages(imap, uids, mailbox, parseOptions) {
+  return new Promise((resolve, reject) => {
+    const parsing = [];
+    const fetch = imap.fetch(uids, {
+      bodies: '',
+      struct: true
+    });
+
+    fetch.on('message', (msg) => {
+      let source = Buffer.alloc(0);
+      let attributes = {};
+
+      msg.on('body', (stream) => {
+        const chunks = [];
+        stream.on('data', chunk => chunks.push(chunk));
+        stream.on('end', () => {
+          source = Buffer.concat(chunks);
+        });
+      });
+      msg.once('attributes', attrs => {
+        attributes = attrs;
+      });
+
+      msg.once('end', () => parsing.push(parseMessage(source, attributes, mailbox, parseOptions)));
+    });
+
+    fetch.once('error', reject);
+    fetch.once('end', () => Promise.all(parsing).then(resolve, reject));
+  });
+}
+
+// Function to fetch a single message by UID
+function fetchMessage(session, mailbox, uid, options = {}) {
+  const { blockRemoteImages = true } = options;
+
+  return session.run(async imap => {
+    await session.openBox(imap, mailbox);
+    const [message] = await fetchParsedMessages(imap, [uid], mailbox, { blockRemoteImages });
+    return message || null;
+  });
+}
+
+// Paging defaults for message listings
+const DEFAULT_PAGE_SIZE = 20;
+const MAX_PAGE_SIZE = 100;
+
+// Read paging options (?limit, ?before, ?after, ?page, ?uidValidity) and the
+// ?remoteImages=allow rendering switch from a request query
+function parsePageOptions(query) {
+  const toInt = value => {
+    const number = parseInt(value, 10);
+    return Number.isFinite(number) && number > 0 ? number : undefined;
+  };
+
+  return {
+    limit: Math.min(toInt(query.limit) || DEFAULT_PAGE_SIZE, MAX_PAGE_SIZE),
+    before: toInt(query.before || query.cursor),
+    after: toInt(query.after),
+    page: toInt(query.page),
+    uidValidity: toInt(query.uidValidity),
+    blockRemoteImages: query.remoteImages !== 'allow'
+  };
+}
+
+// Function to fetch one page of emails, newest first.
+// Paging is UID based: `before` returns messages older than that UID (the
+// `nextCursor` of the previous page), `after` returns only messages newer than
+// that UID (incremental refresh). Both stay stable when new mail arrives.
+function fetchEmails(session, mailbox = 'INBOX', options = {}) {
+  const { limit = DEFAULT_PAGE_SIZE, before, after, page, uidValidity, blockRemoteImages = true } = options;
+
+  return session.run(async imap => {
+    const box = await session.openBox(imap, mailbox);
+
+    const result = {
+      mailbox,
+      uidValidity: box.uidvalidity,
+      total: box.messages.total,
+      messages: [],
+      nextCursor: null,
+      hasMore: false
+    };
+
+    // Cursors are meaningless once the server renumbers the mailbox
+    if (uidValidity && uidValidity !== box.uidvalidity && (before || after)) {
+      const error = new Error('Mailbox UIDVALIDITY changed, restart paging');
+      error.code = 'UIDVALIDITY_CHANGED';
+      throw error;
+    }
+
+    if (result.total === 0) {
+      return result;
+    }
+
+    const uids = await new Promise((resolve, reject) => {
+      imap.search(['ALL'], (err, found) => err ? reject(err) : resolve(found));
+    });
+
+    let candidates = uids.sort((a, b) => b - a);
+    if (before) candidates = candidates.filter(uid => uid < before);
+    if (after) candidates = candidates.filter(uid => uid > after);
+
+    const offset = !before && page ? (page - 1) * limit : 0;
+    const pageUids = candidates.slice(offset, offset + limit);
+    result.hasMore = candidates.length > offset + pageUids.length;
+    result.nextCursor = result.hasMore ? pageUids[pageUids.length - 1] : null;
+
+    if (pageUids.length === 0) {
+      return result;
+    }
+
+    const emails = await fetchParsedMessages(imap, pageUids, mailbox, { blockRemoteImages });
+
+    // Newest UID first, which is arrival order for the mailbox
+    result.messages = emails.sort((a, b) => b.uid - a.uid);
+    return result;
+  });
+}
+
+// Full messages for a set of UIDs of one mailbox, in no particular order
+function fetchMessages(session, mailbox, uids, options = {}) {
+  const { blockRemoteImages = true } = options;
+
+  return session.run(async imap => {
+    await session.openBox(imap, mailbox);
+    if (uids.length === 0) return [];
+    return fetchParsedMessages(imap, uids, mailbox, { blockRemoteImages });
+  });
+}
+
+// Headers fetched for threading (everything else stays on the server)
+const THREAD_HEADER_FIELDS = 'HEADER.FIELDS (FROM TO CC SUBJECT DATE MESSAGE-ID IN-REPLY-TO REFERENCES)';
+
+// Threading headers and flags of the newest `limit` messages of a mailbox
+// (only those with a UID above `after`, when given)
+function fetchHeaders(session, mailbox, { limit, after = 0 }) {
+  return session.run(async imap => {
+    const box = await session.openBox(imap, mailbox);
+    const result = { mailbox, uidValidity: box.uidvalidity, total: box.messages.total, messages: [] };
+    if (result.total === 0) return result;
+
+    const uids = await new Promise((resolve, reject) => {
+      imap.search(['ALL'], (err, found) => err ? reject(err) : resolve(found));
+    });
+    const wanted = uids.filter(uid => uid > after).sort((a, b) => b - a).slice(0, limit);
+    if (wanted.length === 0) return result;
+
+    result.messages = await new Promise((resolve, reject) => {
+      const parsing = [];
+      const fetch = imap.fetch(wanted, { bodies: THREAD_HEADER_FIELDS });
+
+      fetch.on('message', msg => {
+        let source = Buffer.alloc(0);
+        let attributes = {};
+        msg.on('body', stream => {
+          const chunks = [];
+          stream.on('data', chunk => chunks.push(chunk));
+          stream.on('end', () => {
+            source = Buffer.concat(chunks);
+          });
+        });
+        msg.once('attributes', attrs => {
+          attributes = attrs;
+        });
+        msg.once('end', () => parsing.push(parseHeaders(source, attributes, mailbox)));
+      });
+      fetch.once('error', reject);
+      fetch.once('end', () => Promise.all(parsing).then(resolve, reject));
+    });
+    return result;
+  });
+}
+
+// UIDs of a mailbox in sequence order (index + 1 is the sequence number) and
+// the unread ones, for following the server's EXPUNGE/FETCH updates
+function mailboxSnapshot(session, mailbox) {
+  return session.run(async imap => {
+    const box = await session.openBox(imap, mailbox);
+    const search = criteria => new Promise((resolve, reject) => {
+      imap.search(criteria, (err, found) => err ? reject(err) : resolve(found));
+    });
+    if (box.messages.total === 0) return { uidValidity: box.uidvalidity, uids: [], unseen: [] };
+    return {
+      uidValidity: box.uidvalidity,
+      uids: (await search(['ALL'])).sort((a, b) => a - b),
+      unseen: await search(['UNSEEN'])
+    };
+  });
+}
+
+// Full RFC 822 source of one message, or null when the UID doesn't exist
+function fetchRawMessage(session, mailbox, uid) {
+  return session.run(async imap => {
+    await session.openBox(imap, mailbox);
+    return new Promise((resolve, reject) => {
+      let source = null;
+      const fetch = imap.fetch(uid, { bodies: '' });
+      fetch.on('message', msg => msg.on('body', stream => {
+        const chunks = [];
+        stream.on('data', chunk => chunks.push(chunk));
+        stream.on('end', () => {
+          source = Buffer.concat(chunks);
+        });
+      }));
+      fetch.once('error', reject);
+      fetch.once('end', () => resolve(source));
+    });
+  });
+}
+
+// Raw sources of the messages matching IMAP SEARCH `criteria` whose UID is
+// above `afterUid` (for incremental scans; restart from 0 when the returned
+// uidValidity differs from the one the caller saw last time). `since` limits
+// the search to messages received on or after that date.
+function searchRawMessages(session, mailbox, criteria, afterUid = 0, { since } = {}) {
+  return session.run(async imap => {
+    const box = await session.openBox(imap, mailbox);
+    // uidnext may come from an earlier SELECT and be stale: never report a
+    // position below the one we were asked to continue from
+    const result = { uidValidity: box.uidvalidity, lastUid: Math.max(afterUid, box.uidnext ? box.uidnext - 1 : 0), messages: [] };
+
+    const search = [['UID', `${afterUid + 1}:*`]].concat(since ? [['SINCE', since]] : [], criteria);
+    const uids = await new Promise((resolve, reject) => {
+      imap.search(search, (err, found) => err ? reject(err) : resolve(found));
+    });
+
+    // "n:*" always matches the newest message, even when its UID is lower
+    const wanted = uids.filter(uid => uid > afterUid);
+    if (wanted.length === 0) return result;
+
+    result.messages = await new Promise((resolve, reject) => {
+      const messages = [];
+      const fetch = imap.fetch(wanted, { bodies: '' });
+
+      fetch.on('message', msg => {
+        const message = { uid: null, source: null };
+        msg.on('body', stream => {
+          const chunks = [];
+          stream.on('data', chunk => chunks.push(chunk));
+          stream.on('end', () => {
+            message.source = Buffer.concat(chunks);
+          });
+        });
+        msg.once('attributes', attrs => {
+          message.uid = attrs.uid;
+        });
+        msg.once('end', () => messages.push(message));
+      });
+      fetch.once('error', reject);
+      fetch.once('end', () => resolve(messages.sort((a, b) => a.uid - b.uid)));
+    });
+    result.lastUid = Math.max(afterUid, result.lastUid, ...wanted);
+    return result;
+  });
+}
+
+// One page of the messages matching IMAP SEARCH `criteria`, newest first.
+// IMAP can't search for attachments, so with `hasAttachment` the candidates'
+// body structures are checked here.
+function searchMessages(session, mailbox, criteria, options = {}) {
+  const { limit = DEFAULT_PAGE_SIZE, page = 1, hasAttachment = false, blockRemoteImages = true } = options;
+
+  return session.run(async imap => {
+    const box = await session.openBox(imap, mailbox);
+    const result = { mailbox, uidValidity: box.uidvalidity, total: 0, page, messages: [], hasMore: false };
+
+    let uids = await new Promise((resolve, reject) => {
+      imap.search(criteria, (err, found) => err ? reject(err) : resolve(found));
+    });
+
+    if (hasAttachment && uids.length) {
+      uids = await new Promise((resolve, reject) => {
+        const matching = [];
+        const fetch = imap.fetch(uids, { struct: true });
+        fetch.on('message', msg => msg.once('attributes', attrs => {
+          if (attachmentsFromStruct(attrs.struct).some(att => !att.inline)) matching.push(attrs.uid);
+        }));
+        fetch.once('error', reject);
+        fetch.once('end', () => resolve(matching));
+      });
+    }
+
+    const candidates = uids.sort((a, b) => b - a);
+    const offset = (page - 1) * limit;
+    const pageUids = candidates.slice(offset, offset + limit);
+    result.total = candidates.length;
+    result.hasMore = candidates.length > offset + pageUids.length;
+    if (pageUids.length === 0) return result;
+
+    const emails = await fetchParsedMessages(imap, pageUids, mailbox, { blockRemoteImages });
+    result.messages = emails.sort((a, b) => b.uid - a.uid);
+    return result;
+  });
+}
+
+// Set (`add`) and clear (`remove`) flags on messages of one mailbox
+function updateFlags(session, mailbox, uids, { add = [], remove = [] }) {
+  return session.run(async imap => {
+    await session.openBox(imap, mailbox);
+    const store = (method, flags) => flags.length === 0 ? null : new Promise((resolve, reject) => {
+      imap[method](uids, flags, err => err ? reject(err) : resolve());
+    });
+    await store('addFlags', add);
+    await store('delFlags', remove);
+  });
+}
+
+// Move messages to another mailbox: MOVE where supported, otherwise COPY and
+// mark the originals \Deleted. Those are only expunged by UID (UIDPLUS); a
+// plain EXPUNGE would also remove every other message marked \Deleted, so
+// without UIDPLUS they stay until the user expunges. Resolves with whether
+// the originals are gone.
+function moveMessages(session, mailbox, uids, target) {
+  return session.run(async imap => {
+    await session.openBox(imap, mailbox);
+    const call = (method, ...args) => new Promise((resolve, reject) => {
+      imap[method](...args, (err, result) => err ? reject(err) : resolve(result));
+    });
+
+    if (imap.serverSupports('MOVE')) {
+      await call('move', uids, target);
+      return true;
+    }
+
+    await call('copy', uids, target);
+    await call('addFlags', uids, '\\Deleted');
+    if (!imap.serverSupports('UIDPLUS')) return false;
+    await call('expunge', uids);
+    return true;
+  });
+}
+
+// Delete messages for good. Without UIDPLUS a plain EXPUNGE would also remove
+// other messages already marked \Deleted, so those are unmarked meanwhile.
+function expungeMessages(session, mailbox, uids) {
+  return session.run(async imap => {
+    await session.openBox(imap, mailbox);
+    const call = (method, ...args) => new Promise((resolve, reject) => {
+      imap[method](...args, (err, result) => err ? reject(err) : resolve(result));
+    });
+
+    await call('addFlags', uids, '\\Deleted');
+    if (imap.serverSupports('UIDPLUS')) {
+      await call('expunge', uids);
+      return;
+    }
+
+    const others = (await call('search', ['DELETED'])).filter(uid => !uids.includes(uid));
+    if (others.length) await call('delFlags', others, '\\Deleted');
+    try {
+      await call('expunge');
+    } finally {
+      if (others.length) await call('addFlags', others, '\\Deleted');
+    }
+  });
+}
+
+// Path of the mailbox with a special use (\Trash, \Archive, ...), or null
+async function findSpecialMailbox(session, ...specialUses) {
+  const mailboxes = await listMailboxes(session);
+  for (const specialUse of specialUses) {
+    const match = mailboxes.find(mailbox => mailbox.specialUse === specialUse);
+    if (match) return match.path;
+  }
+  return null;
+}
+
+// Attachment types the browser may render inline (no scriptable formats such as SVG or HTML)
+const INLINE_PREVIEW_TYPES = ['image/png', 'image/jpeg', 'image/gif', 'image/webp', 'image/bmp', 'application/pdf'];
+
+// Content-Disposition value with an ASCII fallback and an RFC 5987 UTF-8 filename
+function contentDisposition(type, filename) {
+  const fallback = filename.replace(/[^\x20-\x7e]|["\\]/g, '_');
+  return `${type}; filename="${fallback}"; filename*=UTF-8''${encodeURIComponent(filename)}`;
+}
+
+// Stream one decoded MIME part of a message to an HTTP response
+function streamAttachment(session, mailbox, uid, partId, res, { download = false } = {}) {
+  return session.run(async imap => {
+    await session.openBox(imap, mailbox);
+
+    // Look the part up in the body structure first for its type, name and encoding
+    const struct = await new Promise((resolve, reject) => {
+      let found = null;
+      const fetch = imap.fetch(uid, { struct: true });
+      fetch.on('message', msg => msg.once('attributes', attrs => {
+        found = attrs.struct;
+      }));
+      fetch.once('error', reject);
+      fetch.once('end', () => resolve(found));
+    });
+
+    const attachment = struct && attachmentsFromStruct(struct).find(att => att.partId === partId);
+    if (!attachment) {
+      const error = new Error('Attachment not found');
+      error.code = 'NOT_FOUND';
+      throw error;
+    }
+
+    const inline = !download && INLINE_PREVIEW_TYPES.includes(attachment.contentType);
+    res.set('Content-Type', attachment.contentType);
+    res.set('Content-Disposition', contentDisposition(inline ? 'inline' : 'attachment', attachment.filename));
+    res.set('Cache-Control', 'private, max-age=3600');
+
+    // Settles once the response is done, or as soon as the fetch ends without
+    // a body (message gone meanwhile), so the session queue never hangs
+    await new Promise((resolve, reject) => {
+      const fetch = imap.fetch(uid, { bodies: [partId] });
+      let streaming = false;
+
+      fetch.on('message', msg => msg.on('body', stream => {
+        streaming = true;
+        let decoder = null;
+        if (attachment.encoding === 'base64') decoder = new libbase64.Decoder();
+        if (attachment.encoding === 'quoted-printable') decoder = new libqp.Decoder();
+
+        const output = decoder ? stream.pipe(decoder) : stream;
+        output.on('error', reject);
+        output.pipe(res);
+      }));
+      fetch.once('error', reject);
+      fetch.once('end', () => {
+        if (streaming) return;
+        ['Content-Type', 'Content-Disposition', 'Cache-Control'].forEach(name => res.removeHeader(name));
+        reject(Object.assign(new Error('Attachment not found'), { code: 'NOT_FOUND' }));
+      });
+      res.once('finish', resolve);
+      res.once('close', resolve);
+    });
+  });
+}
+
+// Mailbox errors that mean "no such folder" rather than a server failure
+function isMissingMailboxError(error) {
+  return error.textCode === 'NONEXISTENT' || /nonexistent|unknown mailbox|invalid mailbox|doesn't exist/i.test(error.message || '');
+}
+
+module.exports = {
+  listMailboxes,
+  fetchEmails,
+  fetchMessage,
+  fetchMessages,
+  fetchHeaders,
+  mailboxSnapshot,
+  streamAttachment,
+  fetchRawMessage,
+  searchRawMessages,
+  searchMessages,
+  updateFlags,
+  moveMessages,
+  expungeMessages,
+  findSpecialMailbox,
+  parsePageOptions,
+  isMissingMailboxError
+};
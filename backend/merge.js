@@ -0,0 +1,103 @@
+// Mail-merge placeholders: {{firstName}} is replaced with the recipient row's
+// value, {{firstName|there}} (or {{firstName|"there"}}) falls back to "there"
+// when the row has no value. Field names are matched case-insensitively.
+const PLACEHOLDER = /\{\{\s*([\w.-]+)\s*(?:\|\s*([^}]*?)\s*)?\}\}/g;
+// Filled in by the sender for every recipient, never required from the rows
+const BUILTIN_FIELDS = ['unsubscribeUrl'];
+
+function escapeHtml(value) {
+  return String(value)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&#39;');
+}
+
+function unquote(value) {
+  return /^(["']).*\1$/.test(value) ? value.slice(1, -1) : value;
+}
+
+// Value of a field in a row (exact key first, then ignoring case); empty counts
+// as missing. Only the row's own keys count: {{constructor}} is not a field.
+function fieldValue(row, name) {
+  let value = Object.prototype.hasOwnProperty.call(row, name) ? row[name] : undefined;
+  if (value === undefined) {
+    const wanted = name.toLowerCase();
+    const key = Object.keys(row).find(k => k.toLowerCase() === wanted);
+    value = key === undefined ? undefined : row[key];
+  }
+  return value === undefined || value === null || String(value).trim() === '' ? null : String(value);
+}
+
+// Placeholders used in a template: [{ name, fallback }] (fallback null when none given)
+function placeholders(template) {
+  const found = [];
+  String(template || '').replace(PLACEHOLDER, (match, name, fallback) => {
+    found.push({ name, fallback: fallback === undefined ? null : unquote(fallback) });
+    return match;
+  });
+  return found;
+}
+
+// Fields a row must have: placeholders with neither an inline nor a
+// campaign-level fallback, plus any explicitly required ones
+function requiredFields(templates, fallbacks = {}, extra = []) {
+  const required = new Set(extra);
+  templates.forEach(template => {
+    placeholders(template).forEach(({ name, fallback }) => {
+      if (BUILTIN_FIELDS.includes(name)) return;
+      if (fallback === null && fieldValue(fallbacks, name) === null) required.add(name);
+    });
+  });
+  return Array.from(required);
+}
+
+// Fill in a template for one row. `escape` is set for HTML bodies so row
+// values can't inject markup. Placeholders without a value or fallback are
+// left empty and reported in `missing`. With `keep` placeholders stay in place
+// instead: 'missing' keeps the ones without a value or fallback, 'unfilled'
+// every one the row has no value for (fallback included, for a later render).
+function render(template, row, { fallbacks = {}, escape = false, singleLine = false, keep = null } = {}) {
+  const missing = [];
+  const output = String(template || '').replace(PLACEHOLDER, (match, name, fallback) => {
+    let value = fieldValue(row, name);
+    if (value === null && keep === 'unfilled') return match;
+    if (value === null) value = fallback !== undefined ? unquote(fallback) : fieldValue(fallbacks, name);
+    if (value === null) {
+      missing.push(name);
+      return keep === 'missing' ? match : '';
+    }
+    if (singleLine) value = value.replace(/[\r\n]+/g, ' ');
+    return escape ? escapeHtml(value) : value;
+  });
+  return { output, missing };
+}
+
+// Personalized subject/text/html of a message for one recipient row
+function renderMessage({ subject, text, html, fallbacks }, row) {
+  const parts = {
+    subject: render(subject, row, { fallbacks, singleLine: true }),
+    text: text ? render(text, row, { fallbacks }) : null,
+    html: html ? render(html, row, { fallbacks, escape: true }) : null
+  };
+
+  const missing = new Set();
+  Object.values(parts).forEach(part => part && part.missing.forEach(name => missing.add(name)));
+
+  return {
+    subject: parts.subject.output,
+    text: parts.text ? parts.text.output : null,
+    html: parts.html ? parts.html.output : null,
+    missing: Array.from(missing)
+  };
+}
+
+module.exports = {
+  escapeHtml,
+  placeholders,
+  requiredFields,
+  fieldValue,
+  render,
+  renderMessage
+};
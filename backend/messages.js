@@ -0,0 +1,167 @@
+const { simpleParser } = require('mailparser');
+const libmime = require('libmime');
+const { sanitizeEmailHtml } = require('./sanitize');
+
+// Turn a mailparser address object into display text
+function addressText(address) {
+  return address ? address.text : '';
+}
+
+// Turn a mailparser address object into a plain list of email addresses
+function addressList(address) {
+  if (!address) return [];
+  const groups = Array.isArray(address) ? address : [address];
+  const result = [];
+  groups.forEach(group => {
+    (group.value || []).forEach(entry => {
+      if (entry.address) result.push(entry.address);
+      (entry.group || []).forEach(member => member.address && result.push(member.address));
+    });
+  });
+  return result;
+}
+
+// Decode an encoded-word (=?utf-8?...?=) or RFC 2231 (utf-8''...) parameter value
+function decodeName(value, extended = false) {
+  if (!value) return value;
+  try {
+    if (extended) {
+      const match = /^([^']*)'[^']*'(.*)$/.exec(value);
+      return match ? decodeURIComponent(match[2]) : value;
+    }
+    return libmime.decodeWords(value);
+  } catch (error) {
+    return value;
+  }
+}
+
+// Filename of a BODYSTRUCTURE part from its disposition or content-type params
+function partFilename(part) {
+  const sources = [part.disposition && part.disposition.params, part.params];
+  for (const params of sources) {
+    if (!params) continue;
+    if (params['filename*']) return decodeName(params['filename*'], true);
+    if (params.filename) return decodeName(params.filename);
+    if (params['name*']) return decodeName(params['name*'], true);
+    if (params.name) return decodeName(params.name);
+  }
+  return null;
+}
+
+// Walk an IMAP BODYSTRUCTURE and collect the parts that are attachments
+// (anything with a filename, an attachment disposition, or a non-text inline
+// part such as an embedded image). partId is the IMAP section number used to
+// fetch that part on its own later.
+function attachmentsFromStruct(struct, result = []) {
+  if (!Array.isArray(struct)) return result;
+
+  struct.forEach((part, index) => {
+    // The first entry of a multipart is the container description, the rest are children
+    if (Array.isArray(part)) {
+      attachmentsFromStruct(part, result);
+      return;
+    }
+    if (index !== 0 || !part.partID) return;
+
+    const contentType = `${part.type}/${part.subtype}`.toLowerCase();
+    const disposition = part.disposition ? String(part.disposition.type).toLowerCase() : null;
+    const filename = partFilename(part);
+    const isBodyText = (contentType === 'text/plain' || contentType === 'text/html') && !filename && disposition !== 'attachment';
+
+    if (isBodyText || contentType.startsWith('multipart/')) return;
+    if (!filename && disposition !== 'attachment' && disposition !== 'inline' && contentType.startsWith('text/')) return;
+
+    result.push({
+      partId: part.partID,
+      filename: filename || (contentType === 'message/rfc822' ? 'message.eml' : `part-${part.partID}`),
+      contentType,
+      size: part.size || 0,
+      encoding: part.encoding ? String(part.encoding).toLowerCase() : '7bit',
+      contentId: part.id ? part.id.replace(/^<|>$/g, '') : null,
+      inline: disposition === 'inline' || (!disposition && Boolean(part.id))
+    });
+  });
+
+  return result;
+}
+
+// Parse a full RFC 822 source into the message shape returned by the API.
+// The raw HTML body never leaves this function: `html` is the sanitized
+// rendition (cid: images inlined as data: URIs, remote images optionally blocked).
+async function parseMessage(source, attributes = {}, mailbox = 'INBOX', options = {}) {
+  const parsed = await simpleParser(source, { skipTextToHtml: true });
+  const text = parsed.text || '';
+  const { html, remoteImagesBlocked } = sanitizeEmailHtml(parsed.html, options);
+  const flags = attributes.flags || [];
+
+  return {
+    id: attributes.uid,
+    uid: attributes.uid,
+    mailbox,
+    messageId: parsed.messageId || null,
+    inReplyTo: parsed.inReplyTo || null,
+    references: Array.isArray(parsed.references) ? parsed.references : (parsed.references ? [parsed.references] : []),
+    from: addressText(parsed.from),
+    fromAddress: addressList(parsed.from)[0] || '',
+    to: addressText(parsed.to),
+    toAddresses: addressList(parsed.to),
+    cc: addressText(parsed.cc),
+    ccAddresses: addressList(parsed.cc),
+    replyTo: addressText(parsed.replyTo),
+    subject: parsed.subject || '',
+    date: (parsed.date || attributes.date || new Date(0)).toISOString(),
+    text,
+    html,
+    remoteImagesBlocked,
+    body: text,
+    preview: text.replace(/\s+/g, ' ').trim().substring(0, 200),
+    size: attributes.size || source.length,
+    attachments: attachmentsFromStruct(attributes.struct),
+    flags,
+    unread: !flags.includes('\\Seen'),
+    flagged: flags.includes('\\Flagged')
+  };
+}
+
+// { name, address } entries of a mailparser address object (groups flattened)
+function addressEntries(address) {
+  if (!address) return [];
+  const groups = Array.isArray(address) ? address : [address];
+  const result = [];
+  groups.forEach(group => {
+    (group.value || []).forEach(entry => {
+      if (entry.address) result.push({ name: entry.name || '', address: entry.address });
+      (entry.group || []).forEach(member => member.address && result.push({ name: member.name || '', address: member.address }));
+    });
+  });
+  return result;
+}
+
+// Parse just the header block of a message (see THREAD_HEADER_FIELDS in
+// mailbox.js) into what threading needs: ids, subject, people, date and flags
+async function parseHeaders(source, attributes = {}, mailbox = 'INBOX') {
+  const parsed = await simpleParser(source, { skipHtmlToText: true, skipTextToHtml: true });
+  const flags = attributes.flags || [];
+
+  return {
+    uid: attributes.uid,
+    mailbox,
+    messageId: parsed.messageId || null,
+    inReplyTo: parsed.inReplyTo || null,
+    references: Array.isArray(parsed.references) ? parsed.references : (parsed.references ? [parsed.references] : []),
+    from: addressText(parsed.from),
+    fromAddress: addressList(parsed.from)[0] || '',
+    people: addressEntries(parsed.from).concat(addressEntries(parsed.to), addressEntries(parsed.cc)),
+    subject: parsed.subject || '',
+    date: (parsed.date || attributes.date || new Date(0)).toISOString(),
+    unread: !flags.includes('\\Seen'),
+    flagged: flags.includes('\\Flagged')
+  };
+}
+
+module.exports = {
+  parseMessage,
+  parseHeaders,
+  attachmentsFromStruct,
+  addressList
+};
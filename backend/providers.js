@@ -0,0 +1,254 @@
+const nodemailer = require('nodemailer');
+const XOAuth2 = require('nodemailer/lib/xoauth2');
+const Imap = require('imap');
+
+// Connection presets; "custom" leaves everything to the account settings.
+// Local stand-in servers (mailpit, GreenMail, smtp4dev...) work with "custom",
+// security "none" and auth method "none"/"password".
+const PROVIDER_PRESETS = {
+  gmail: {
+    label: 'Gmail / Google Workspace',
+    smtp: { host: 'smtp.gmail.com', port: 587, security: 'starttls' },
+    imap: { host: 'imap.gmail.com', port: 993, security: 'tls' },
+    oauth2: { accessUrl: 'https://accounts.google.com/o/oauth2/token' }
+  },
+  outlook: {
+    label: 'Outlook / Microsoft 365',
+    smtp: { host: 'smtp.office365.com', port: 587, security: 'starttls' },
+    imap: { host: 'outlook.office365.com', port: 993, security: 'tls' },
+    oauth2: { accessUrl: 'https://login.microsoftonline.com/common/oauth2/v2.0/token' }
+  },
+  yahoo: {
+    label: 'Yahoo Mail',
+    smtp: { host: 'smtp.mail.yahoo.com', port: 465, security: 'tls' },
+    imap: { host: 'imap.mail.yahoo.com', port: 993, security: 'tls' }
+  },
+  custom: {
+    label: 'Custom SMTP/IMAP server',
+    smtp: {},
+    imap: {}
+  }
+};
+
+const SECURITY_MODES = ['tls', 'starttls', 'none'];
+const AUTH_METHODS = ['password', 'oauth2', 'none'];
+// Auth fields that are encrypted at rest and never returned by the API
+const SECRET_FIELDS = ['pass', 'accessToken', 'refreshToken', 'clientSecret'];
+
+function invalid(message) {
+  return Object.assign(new Error(message), { status: 400 });
+}
+
+// Validate one side (smtp or imap) of the settings and fill in preset defaults
+function normalizeEndpoint(kind, input, preset, fallbackAuth) {
+  const endpoint = Object.assign({}, preset[kind], input);
+  const auth = Object.assign({ method: 'password' }, fallbackAuth, input && input.auth);
+
+  if (!endpoint.host) throw invalid(`${kind.toUpperCase()} host is required`);
+
+  endpoint.port = parseInt(endpoint.port, 10);
+  if (!Number.isInteger(endpoint.port) || endpoint.port < 1 || endpoint.port > 65535) {
+    throw invalid(`${kind.toUpperCase()} port must be between 1 and 65535`);
+  }
+  if (!SECURITY_MODES.includes(endpoint.security)) {
+    throw invalid(`${kind.toUpperCase()} security must be one of: ${SECURITY_MODES.join(', ')}`);
+  }
+  if (!AUTH_METHODS.includes(auth.method) || (kind === 'imap' && auth.method === 'none')) {
+    throw invalid(`${kind.toUpperCase()} auth method must be one of: ${AUTH_METHODS.filter(m => kind === 'smtp' || m !== 'none').join(', ')}`);
+  }
+  if (auth.method !== 'none' && !auth.user) {
+    throw invalid(`${kind.toUpperCase()} user is required`);
+  }
+
+  return {
+    host: String(endpoint.host).trim(),
+    port: endpoint.port,
+    security: endpoint.security,
+    rejectUnauthorized: endpoint.rejectUnauthorized !== false,
+    auth: {
+      method: auth.method,
+      user: auth.user || null,
+      pass: auth.pass || null,
+      accessToken: auth.accessToken || null,
+      refreshToken: auth.refreshToken || null,
+      clientId: auth.clientId || null,
+      clientSecret: auth.clientSecret || null,
+      accessUrl: auth.accessUrl || (preset.oauth2 && preset.oauth2.accessUrl) || null
+    }
+  };
+}
+
+// Turn API input into complete mail settings. Shorthand is accepted: top-level
+// `user`/`pass` apply to both protocols, and `provider` picks host/port presets.
+// Secrets left out of the input are taken from `existing` (the stored settings).
+function normalizeMailSettings(input, existing) {
+  const provider = input.provider || (existing && existing.provider) || 'gmail';
+  const preset = PROVIDER_PRESETS[provider];
+  if (!preset) {
+    throw invalid(`Provider must be one of: ${Object.keys(PROVIDER_PRESETS).join(', ')}`);
+  }
+
+  const sharedAuth = input.user ? { user: input.user, pass: input.pass } : {};
+  const settings = {
+    provider,
+    address: input.address || input.user || (input.smtp && input.smtp.auth && input.smtp.auth.user) || null,
+    smtp: normalizeEndpoint('smtp', input.smtp, preset, sharedAuth),
+    imap: normalizeEndpoint('imap', input.imap, preset, sharedAuth)
+  };
+
+  if (!settings.address) throw invalid('Sender address is required');
+
+  // Keep stored secrets the client didn't resend
+  if (existing) {
+    ['smtp', 'imap'].forEach(kind => {
+      const previous = existing[kind] && existing[kind].auth;
+      if (!previous || previous.user !== settings[kind].auth.user) return;
+      SECRET_FIELDS.forEach(field => {
+        if (!settings[kind].auth[field] && previous[field]) settings[kind].auth[field] = previous[field];
+      });
+    });
+  }
+
+  ['smtp', 'imap'].forEach(kind => {
+    const auth = settings[kind].auth;
+    if (auth.method === 'password' && !auth.pass) {
+      throw invalid(`${kind.toUpperCase()} password is required`);
+    }
+    if (auth.method === 'oauth2' && !auth.accessToken && !(auth.refreshToken && auth.clientId && auth.clientSecret)) {
+      throw invalid(`${kind.toUpperCase()} OAuth2 needs an accessToken, or refreshToken + clientId + clientSecret`);
+    }
+  });
+
+  return settings;
+}
+
+// Settings as returned by the API: secrets replaced by has* flags
+function publicMailSettings(settings) {
+  if (!settings) return null;
+
+  const endpoint = kind => {
+    const { auth } = settings[kind];
+    const result = Object.assign({}, settings[kind], {
+      auth: { method: auth.method, user: auth.user, clientId: auth.clientId, accessUrl: auth.accessUrl }
+    });
+    SECRET_FIELDS.forEach(field => {
+      result.auth[`has${field[0].toUpperCase()}${field.slice(1)}`] = Boolean(auth[field]);
+    });
+    return result;
+  };
+
+  return { provider: settings.provider, address: settings.address, smtp: endpoint('smtp'), imap: endpoint('imap') };
+}
+
+// nodemailer transport options
+function smtpOptions(settings, overrides = {}) {
+  const { smtp } = settings;
+  const options = {
+    host: smtp.host,
+    port: smtp.port,
+    secure: smtp.security === 'tls',
+    requireTLS: smtp.security === 'starttls',
+    ignoreTLS: smtp.security === 'none',
+    tls: { rejectUnauthorized: smtp.rejectUnauthorized },
+    connectionTimeout: 30000, // 30 seconds
+    greetingTimeout: 30000,
+    socketTimeout: 30000
+  };
+
+  if (smtp.auth.method === 'password') {
+    options.auth = { user: smtp.auth.user, pass: smtp.auth.pass };
+  } else if (smtp.auth.method === 'oauth2') {
+    options.auth = {
+      type: 'OAuth2',
+      user: smtp.auth.user,
+      accessToken: smtp.auth.accessToken || undefined,
+      refreshToken: smtp.auth.refreshToken || undefined,
+      clientId: smtp.auth.clientId || undefined,
+      clientSecret: smtp.auth.clientSecret || undefined,
+      accessUrl: smtp.auth.accessUrl || undefined
+    };
+  }
+
+  return Object.assign(options, overrides);
+}
+
+// XOAUTH2 SASL string for IMAP, refreshing the access token when we can
+function imapXOAuth2(auth) {
+  const token = new XOAuth2({
+    user: auth.user,
+    accessToken: auth.accessToken || undefined,
+    refreshToken: auth.refreshToken || undefined,
+    clientId: auth.clientId || undefined,
+    clientSecret: auth.clientSecret || undefined,
+    accessUrl: auth.accessUrl || undefined
+  });
+
+  return new Promise((resolve, reject) => {
+    token.getToken(!auth.accessToken, (err, accessToken) => {
+      if (err) return reject(err);
+      resolve(token.buildXOAuth2Token(accessToken));
+    });
+  });
+}
+
+// node-imap connection options (async because OAuth2 may need a token refresh)
+async function imapOptions(settings) {
+  const { imap } = settings;
+  const options = {
+    user: imap.auth.user,
+    host: imap.host,
+    port: imap.port,
+    tls: imap.security === 'tls',
+    autotls: imap.security === 'starttls' ? 'required' : 'never',
+    tlsOptions: { rejectUnauthorized: imap.rejectUnauthorized, servername: imap.host },
+    connTimeout: 30000,
+    authTimeout: 30000
+  };
+
+  if (imap.auth.method === 'oauth2') {
+    options.xoauth2 = await imapXOAuth2(imap.auth);
+  } else {
+    options.password = imap.auth.pass;
+  }
+
+  return options;
+}
+
+// Log in once over IMAP and log out again
+async function testImap(settings) {
+  const options = await imapOptions(settings);
+
+  return new Promise((resolve, reject) => {
+    const imap = new Imap(options);
+    imap.once('ready', () => {
+      imap.end();
+      resolve();
+    });
+    imap.once('error', reject);
+    imap.connect();
+  });
+}
+
+// Verify SMTP and IMAP settings without saving them
+async function testConnection(settings) {
+  const describe = error => ({ ok: false, error: error.message, code: error.code || error.textCode || null });
+
+  const smtp = nodemailer.createTransport(smtpOptions(settings, { connectionTimeout: 15000, greetingTimeout: 15000 }));
+  const [smtpResult, imapResult] = await Promise.all([
+    smtp.verify().then(() => ({ ok: true }), describe),
+    testImap(settings).then(() => ({ ok: true }), describe)
+  ]);
+  smtp.close();
+
+  return { ok: smtpResult.ok && imapResult.ok, smtp: smtpResult, imap: imapResult };
+}
+
+module.exports = {
+  PROVIDER_PRESETS,
+  SECRET_FIELDS,
+  normalizeMailSettings,
+  publicMailSettings,
+  smtpOptions,
+  imapOptions,
+  testConnection
+};
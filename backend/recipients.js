@@ -0,0 +1,112 @@
+const fs = require('fs');
+const path = require('path');
+const csv = require('./csv');
+const { fieldValue, requiredFields } = require('./merge');
+
+// Deliberately liberal: one @, no spaces or address-list punctuation, a dot in the domain
+const EMAIL_PATTERN = /^[^\s@"<>(),;:]+@[^\s@"<>(),;:]+\.[^\s@"<>(),;:.]+$/;
+// Column names accepted for the recipient address (case-insensitive)
+const EMAIL_FIELDS = ['email', 'e-mail', 'emailAddress', 'email_address', 'mail'];
+
+function recipientError(message, status = 400) {
+  return Object.assign(new Error(message), { status });
+}
+
+function isValidEmail(address) {
+  return EMAIL_PATTERN.test(String(address || ''));
+}
+
+// "Jane Doe <jane@example.com>" or "jane@example.com" -> { email, name? }
+function addressRow(value) {
+  const text = String(value).trim();
+  const match = text.match(/^"?([^"<]*?)"?\s*<([^>]+)>$/);
+  if (!match) return { email: text };
+  return match[1] ? { email: match[2].trim(), name: match[1].trim() } : { email: match[2].trim() };
+}
+
+// Bare address of a "Name <address>" string
+function addressOf(value) {
+  return addressRow(value).email;
+}
+
+function rowEmail(row) {
+  for (const field of EMAIL_FIELDS) {
+    const value = fieldValue(row, field);
+    if (value !== null) return value.trim();
+  }
+  return null;
+}
+
+// Recipient rows from the request: an uploaded CSV/JSON file, an array of
+// row objects or addresses, or the old comma-separated address string
+function readRows(recipients, file) {
+  let rows = recipients;
+
+  if (file) {
+    const content = fs.readFileSync(file.path, 'utf8');
+    const isJson = file.mimetype === 'application/json' || path.extname(file.originalname).toLowerCase() === '.json';
+    try {
+      rows = isJson ? JSON.parse(content) : csv.parse(content);
+    } catch (error) {
+      throw recipientError(`Could not read ${file.originalname}: ${error.message}`);
+    }
+  } else if (typeof rows === 'string') {
+    rows = rows.split(/[,\n]/).filter(value => value.trim());
+  }
+
+  if (!Array.isArray(rows)) {
+    throw recipientError('Recipients must be a list of addresses or rows');
+  }
+
+  return rows.map(row => {
+    if (typeof row === 'string') return addressRow(row);
+    if (row && typeof row === 'object' && !Array.isArray(row)) return row;
+    throw recipientError('Each recipient must be an address or an object of fields');
+  });
+}
+
+// Check rows against the message templates. Returns the usable recipients
+// ({ email, fields }), per-row problems (1-based row numbers) and how many
+// duplicate addresses were dropped (the first row for an address wins).
+function prepareRecipients(rows, { subject, text, html, fallbacks = {}, requiredFields: extra = [] }) {
+  const required = requiredFields([subject, text, html], fallbacks, extra);
+  const seen = new Set();
+  const result = { recipients: [], errors: [], duplicates: 0, requiredFields: required };
+
+  rows.forEach((row, index) => {
+    const email = rowEmail(row);
+    const problems = [];
+
+    if (!email) {
+      problems.push('missing email address');
+    } else if (!isValidEmail(email)) {
+      problems.push(`invalid email address "${email}"`);
+    }
+    const missing = required.filter(name => fieldValue(row, name) === null);
+    if (missing.length) problems.push(`missing ${missing.join(', ')}`);
+
+    if (problems.length) {
+      result.errors.push({ row: index + 1, email, missing, problems });
+      return;
+    }
+
+    const key = email.toLowerCase();
+    if (seen.has(key)) {
+      result.duplicates++;
+      return;
+    }
+    seen.add(key);
+    result.recipients.push({ email, fields: row });
+  });
+
+  return result;
+}
+
+module.exports = {
+  isValidEmail,
+  addressRow,
+  addressOf,
+  rowEmail,
+  readRows,
+  prepareRecipients
+};
@@ -0,0 +1,122 @@
+const sanitizeHtml = require('sanitize-html');
+
+// Presentational attributes newsletters rely on; no event handlers, no form targets
+const LAYOUT_ATTRIBUTES = [
+  'style', 'class', 'dir', 'lang', 'title', 'align', 'valign', 'width', 'height',
+  'bgcolor', 'background', 'border', 'cellpadding', 'cellspacing', 'colspan', 'rowspan'
+];
+
+// Remote resources referenced from CSS: url(http://...), url(//...)
+const REMOTE_CSS_URL = /url\(\s*['"]?\s*(?:https?:)?\/\/[^)]*\)/gi;
+// CSS constructs that can run code or pull in other stylesheets
+const DANGEROUS_CSS = /expression\s*\(|javascript:|vbscript:|-moz-binding|behavior\s*:|@import/gi;
+
+// Characters escapes may hide keywords with: \75rl( is url(, u\72l( too
+const KEYWORD_CHAR = /[\w\-:/().@]/;
+
+// Resolve CSS escapes (hex or literal) that spell out keyword characters and
+// drop comments, so the checks below see what the browser will parse. Other
+// escapes (quotes, backslashes) are left alone so strings stay intact.
+function unescapeCss(css) {
+  return css
+    .replace(/\/\*[\s\S]*?(\*\/|$)/g, '')
+    .replace(/\\([0-9a-f]{1,6})[ \t\n\r\f]?|\\([^0-9a-f\r\n\f])/gi, (match, hex, literal) => {
+      const code = hex ? parseInt(hex, 16) : null;
+      const char = hex ? (code > 0 && code <= 0x10ffff ? String.fromCodePoint(code) : '') : literal;
+      return KEYWORD_CHAR.test(char) ? char : match;
+    });
+}
+
+function hasRemoteCss(css) {
+  return unescapeCss(css).search(REMOTE_CSS_URL) !== -1;
+}
+
+function cleanCss(css, blockRemoteImages) {
+  const result = unescapeCss(css).replace(DANGEROUS_CSS, '');
+  return blockRemoteImages ? result.replace(REMOTE_CSS_URL, 'none') : result;
+}
+
+function isRemoteUrl(url) {
+  return /^\s*(https?:)?\/\//i.test(url || '');
+}
+
+// Produce the HTML rendition of an email that is safe to show in the dashboard:
+// scripts, event handlers, forms, embeds and javascript:/vbscript: URLs are
+// removed, links open in a new tab, and with blockRemoteImages every remote
+// image (including CSS backgrounds) is dropped so opening a mail can't be tracked.
+// Inline images must already be data: URIs (mailparser rewrites cid: references).
+function sanitizeEmailHtml(html, { blockRemoteImages = false } = {}) {
+  let remoteImagesBlocked = 0;
+
+  if (!html) {
+    return { html: null, remoteImagesBlocked };
+  }
+
+  // Shared clean-up for the style/background attributes every tag may carry
+  const cleanAttributes = attribs => {
+    const result = Object.assign({}, attribs);
+    if (result.style) {
+      if (blockRemoteImages && hasRemoteCss(result.style)) remoteImagesBlocked++;
+      result.style = cleanCss(result.style, blockRemoteImages);
+    }
+    if (result.background) {
+      if (!isRemoteUrl(result.background)) {
+        delete result.background;
+      } else if (blockRemoteImages) {
+        remoteImagesBlocked++;
+        delete result.background;
+      }
+    }
+    return result;
+  };
+
+  const clean = sanitizeHtml(html, {
+    allowedTags: sanitizeHtml.defaults.allowedTags.concat(['img', 'font', 'center', 'style', 'del', 'ins']),
+    allowVulnerableTags: true, // <style> is kept (minus url()/expression()) for newsletter layouts
+    allowedAttributes: {
+      '*': LAYOUT_ATTRIBUTES,
+      a: ['href', 'name', 'target', 'rel'],
+      img: ['src', 'alt', 'width', 'height'],
+      font: ['color', 'face', 'size'],
+      td: ['nowrap'],
+      ol: ['start', 'type'],
+      ul: ['type']
+    },
+    allowedSchemes: ['http', 'https', 'mailto', 'tel'],
+    allowedSchemesByTag: { img: ['http', 'https', 'data'] },
+    allowProtocolRelative: false,
+    disallowedTagsMode: 'discard',
+    nonTextTags: ['script', 'textarea', 'option', 'noscript', 'title', 'head', 'iframe', 'object', 'embed', 'form', 'select', 'button'],
+    transformTags: {
+      a: (tagName, attribs) => ({
+        tagName,
+        attribs: Object.assign(cleanAttributes(attribs), { target: '_blank', rel: 'noopener noreferrer' })
+      }),
+      img: (tagName, attribs) => {
+        const result = cleanAttributes(attribs);
+        const src = result.src || '';
+        // Only raster images may come in as data: URIs
+        if (/^data:/i.test(src) && !/^data:image\/(png|jpe?g|gif|webp|bmp);/i.test(src)) {
+          delete result.src;
+        } else if (blockRemoteImages && isRemoteUrl(src)) {
+          remoteImagesBlocked++;
+          delete result.src;
+        }
+        return { tagName, attribs: result };
+      },
+      '*': (tagName, attribs) => ({ tagName, attribs: cleanAttributes(attribs) })
+    },
+  });
+
+  // sanitize-html passes <style> contents through untouched, so clean them here
+  const result = clean.replace(/(<style[^>]*>)([\s\S]*?)(<\/style>)/gi, (match, open, css, close) => {
+    if (blockRemoteImages && hasRemoteCss(css)) remoteImagesBlocked++;
+    return open + cleanCss(css, blockRemoteImages) + close;
+  });
+
+  return { html: result, remoteImagesBlocked };
+}
+
+module.exports = {
+  sanitizeEmailHtml
+};
@@ -0,0 +1,292 @@
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const { Collection } = require('./store');
+const accounts = require('./accounts');
+const suppression = require('./suppression');
+const { addressOf } = require('./recipients');
+
+// Single emails to be sent later. Scheduled campaigns are kept with the other
+// campaigns (status "scheduled", see campaigns.js).
+const scheduledEmails = new Collection('scheduledEmails');
+
+// Attachments of scheduled emails are kept here until they are sent
+const ATTACHMENT_DIR = path.resolve('uploads', 'scheduled');
+// setTimeout can't wait longer than ~24.8 days, so far-off items are re-checked hourly
+const MAX_TIMER_DELAY = 60 * 60 * 1000;
+// A send time this little in the past (clock skew, slow form) still counts as "now"
+const PAST_TOLERANCE = 60 * 1000;
+
+// Fields of a scheduled email that can be changed before it is sent
+const EDITABLE_FIELDS = ['to', 'cc', 'bcc', 'subject', 'text', 'html'];
+
+let timer = null;
+let sending = false;
+
+function scheduleError(message, status = 400) {
+  return Object.assign(new Error(message), { status });
+}
+
+function isTimeZone(timeZone) {
+  try {
+    new Intl.DateTimeFormat('en-US', { timeZone });
+    return true;
+  } catch (error) {
+    return false;
+  }
+}
+
+// Milliseconds the zone's wall clock is ahead of UTC at `date`
+function zoneOffset(date, timeZone) {
+  const parts = {};
+  new Intl.DateTimeFormat('en-US', {
+    timeZone,
+    hourCycle: 'h23',
+    year: 'numeric',
+    month: '2-digit',
+    day: '2-digit',
+    hour: '2-digit',
+    minute: '2-digit',
+    second: '2-digit'
+  }).formatToParts(date).forEach(part => {
+    parts[part.type] = part.value;
+  });
+  const wall = Date.UTC(+parts.year, parts.month - 1, +parts.day, +parts.hour, +parts.minute, +parts.second);
+  return wall - Math.floor(date.getTime() / 1000) * 1000;
+}
+
+// Send time of a request: an ISO 8601 date-time with an offset
+// ("2025-03-01T09:00:00+01:00", "...Z"), or a local one ("2025-03-01T09:00")
+// read as wall-clock time in `timeZone` (IANA name, default UTC).
+// Returns { sendAt (UTC ISO string), timeZone }, or null when no time was given.
+function parseSendAt(sendAt, timeZone) {
+  if (sendAt === undefined || sendAt === null || sendAt === '') return null;
+
+  const zone = timeZone || 'UTC';
+  if (!isTimeZone(zone)) throw scheduleError(`Unknown time zone: ${timeZone}`);
+
+  const text = String(sendAt).trim();
+  const local = text.match(/^(\d{4})-(\d{2})-(\d{2})[T ](\d{2}):(\d{2})(?::(\d{2}))?$/);
+  let date;
+  if (local) {
+    const wall = Date.UTC(+local[1], local[2] - 1, +local[3], +local[4], +local[5], +(local[6] || 0));
+    // Reject dates that don't exist (2025-02-30 would silently roll over)
+    if (new Date(wall).toISOString().slice(0, 16) !== `${local[1]}-${local[2]}-${local[3]}T${local[4]}:${local[5]}`) {
+      throw scheduleError(`Invalid sendAt: ${text}`);
+    }
+    // The second pass corrects guesses that land on the other side of a DST change
+    const guess = wall - zoneOffset(new Date(wall), zone);
+    date = new Date(wall - zoneOffset(new Date(guess), zone));
+  } else if (/^\d{4}-\d{2}-\d{2}T.+(Z|[+-]\d{2}:?\d{2})$/i.test(text)) {
+    date = new Date(text);
+  } else {
+    throw scheduleError('sendAt must be an ISO 8601 date-time such as 2025-03-01T09:00 or 2025-03-01T09:00:00+01:00');
+  }
+
+  if (isNaN(date.getTime())) throw scheduleError(`Invalid sendAt: ${text}`);
+  if (date.getTime() < Date.now() - PAST_TOLERANCE) throw scheduleError('sendAt must be in the future');
+
+  return { sendAt: date.toISOString(), timeZone: zone };
+}
+
+// setTimeout for a point in time that may be weeks away: fires at `time` or
+// after MAX_TIMER_DELAY, whichever is first (the callback re-arms itself)
+function wakeAt(time, callback) {
+  const handle = setTimeout(callback, Math.min(Math.max(new Date(time).getTime() - Date.now(), 0), MAX_TIMER_DELAY));
+  handle.unref();
+  return handle;
+}
+
+function addressList(value) {
+  if (!value) return [];
+  return (Array.isArray(value) ? value : String(value).split(',')).map(address => address.trim()).filter(Boolean);
+}
+
+function removeAttachments(entry) {
+  const dir = path.join(ATTACHMENT_DIR, entry.id);
+  if (fs.existsSync(dir)) fs.rmSync(dir, { recursive: true, force: true });
+}
+
+// Keep a message (nodemailer options without attachments) until `sendAt`.
+// `files` are multer uploads; they are moved out of the shared uploads folder.
+function scheduleEmail(ownerId, message, { sendAt, timeZone }, files = []) {
+  const id = crypto.randomUUID();
+  const dir = path.join(ATTACHMENT_DIR, id);
+  const attachments = files.map(file => {
+    if (!fs.existsSync(dir)) fs.mkdirSync(dir, { recursive: true });
+    const target = path.join(dir, path.basename(file.path));
+    fs.renameSync(file.path, target);
+    return { filename: file.originalname, path: target, contentType: file.mimetype };
+  });
+
+  const entry = scheduledEmails.insert({
+    id,
+    ownerId,
+    status: 'scheduled',
+    sendAt,
+    timeZone,
+    message: Object.assign({}, message, { to: addressList(message.to), cc: addressList(message.cc), bcc: addressList(message.bcc) }),
+    attachments,
+    messageId: null,
+    error: null,
+    sentAt: null
+  });
+
+  console.log(`🕒 Email ${id} scheduled for ${sendAt}`);
+  arm();
+  return entry;
+}
+
+function getScheduledEmail(ownerId, id) {
+  return scheduledEmails.find(entry => entry.id === id && entry.ownerId === ownerId);
+}
+
+// Upcoming emails of a user; `all` adds the sent, failed and cancelled ones
+function listScheduledEmails(ownerId, { all = false } = {}) {
+  return scheduledEmails.all(entry => entry.ownerId === ownerId && (all || entry.status === 'scheduled'))
+    .sort((a, b) => a.sendAt.localeCompare(b.sendAt));
+}
+
+function publicScheduledEmail(entry) {
+  return {
+    id: entry.id,
+    type: 'email',
+    status: entry.status,
+    sendAt: entry.sendAt,
+    timeZone: entry.timeZone,
+    from: entry.message.from,
+    to: entry.message.to,
+    cc: entry.message.cc,
+    bcc: entry.message.bcc,
+    subject: entry.message.subject,
+    attachments: entry.attachments.map(att => att.filename),
+    messageId: entry.messageId,
+    error: entry.error,
+    sentAt: entry.sentAt,
+    createdAt: entry.createdAt
+  };
+}
+
+// Change the send time and/or message of an email that hasn't gone out yet.
+// A failed email can be rescheduled this way.
+function updateScheduledEmail(entry, changes) {
+  if (!['scheduled', 'failed'].includes(entry.status)) {
+    throw scheduleError(`Cannot edit a ${entry.status} email`, 409);
+  }
+
+  const message = Object.assign({}, entry.message);
+  EDITABLE_FIELDS.forEach(field => {
+    if (changes[field] === undefined) return;
+    message[field] = ['to', 'cc', 'bcc'].includes(field) ? addressList(changes[field]) : changes[field];
+  });
+  if (message.to.length + message.cc.length + message.bcc.length === 0) {
+    throw scheduleError('At least one recipient is required');
+  }
+  if (!message.subject) throw scheduleError('Subject is required');
+
+  const update = { message, status: 'scheduled', error: null };
+  if (changes.sendAt !== undefined || changes.timeZone !== undefined) {
+    const when = parseSendAt(changes.sendAt || entry.sendAt, changes.timeZone || entry.timeZone);
+    if (!when) throw scheduleError('sendAt is required');
+    Object.assign(update, when);
+  } else if (entry.status === 'failed') {
+    throw scheduleError('A new sendAt is required to reschedule a failed email');
+  }
+
+  const updated = scheduledEmails.update(entry.id, update);
+  arm();
+  return updated;
+}
+
+function cancelScheduledEmail(entry) {
+  if (!['scheduled', 'failed'].includes(entry.status)) {
+    throw scheduleError(`Cannot cancel a ${entry.status} email`, 409);
+  }
+  removeAttachments(entry);
+  const updated = scheduledEmails.update(entry.id, { status: 'cancelled' });
+  arm();
+  return updated;
+}
+
+async function sendScheduledEmail(entry) {
+  scheduledEmails.update(entry.id, { status: 'sending' });
+
+  const connections = accounts.getConnections(entry.ownerId);
+  if (!connections) {
+    scheduledEmails.update(entry.id, { status: 'failed', error: 'No mail account configured' });
+    return;
+  }
+
+  // Addresses that opted out since the email was scheduled are left out
+  const allowed = list => list.filter(address => !suppression.isSuppressed(entry.ownerId, addressOf(address)));
+  const to = allowed(entry.message.to);
+  const cc = allowed(entry.message.cc);
+  const bcc = allowed(entry.message.bcc);
+  if (to.length + cc.length + bcc.length === 0) {
+    scheduledEmails.update(entry.id, { status: 'failed', error: 'All recipients are on the suppression list' });
+    return;
+  }
+
+  try {
+    const info = await connections.transporter.sendMail(Object.assign({}, entry.message, {
+      to,
+      cc: cc.length ? cc : undefined,
+      bcc: bcc.length ? bcc : undefined,
+      attachments: entry.attachments
+    }));
+    removeAttachments(entry);
+    scheduledEmails.update(entry.id, { status: 'sent', messageId: info.messageId, sentAt: new Date().toISOString() });
+    console.log(`📤 Scheduled email ${entry.id} sent`);
+  } catch (error) {
+    // Attachments are kept so the email can be rescheduled
+    scheduledEmails.update(entry.id, { status: 'failed', error: error.message });
+    console.error(`❌ Scheduled email ${entry.id} failed:`, error.message);
+  }
+}
+
+// Send everything that is due, then wait for the next one
+async function sendDue() {
+  if (sending) return;
+  sending = true;
+  try {
+    let due;
+    while ((due = scheduledEmails.all(entry => entry.status === 'scheduled' && entry.sendAt <= new Date().toISOString())).length) {
+      for (const entry of due) {
+        await sendScheduledEmail(entry);
+      }
+    }
+  } finally {
+    sending = false;
+    arm();
+  }
+}
+
+function arm() {
+  clearTimeout(timer);
+  const next = scheduledEmails.all(entry => entry.status === 'scheduled')
+    .map(entry => entry.sendAt)
+    .sort()[0];
+  timer = next ? wakeAt(next, () => {
+    sendDue().catch(error => console.error('❌ Scheduled sending failed:', error.message));
+  }) : null;
+}
+
+// Emails that were being sent during a restart go out again (they may be sent twice)
+function start() {
+  scheduledEmails.all(entry => entry.status === 'sending').forEach(entry => {
+    scheduledEmails.update(entry.id, { status: 'scheduled' });
+  });
+  arm();
+}
+
+module.exports = {
+  parseSendAt,
+  wakeAt,
+  scheduleEmail,
+  getScheduledEmail,
+  listScheduledEmails,
+  publicScheduledEmail,
+  updateScheduledEmail,
+  cancelScheduledEmail,
+  start
+};
@@ -0,0 +1,256 @@
+const { Collection } = require('./store');
+
+// Mail search. Filters come from query parameters or from operators typed
+// into the search bar ("from:ann subject:report has:attachment invoice").
+// The IMAP server does the matching; messages the user has already opened
+// are also kept in a small local index for instant, typo-tolerant search.
+// The index holds headers and the short preview only, never whole bodies.
+const index = new Collection('searchIndex');
+// Ids of indexed messages, so listing pages already seen costs no lookups
+const indexedIds = new Set(index.all().map(entry => entry.id));
+
+// Per user; the least recently dated messages are dropped beyond this
+const MAX_INDEX_ENTRIES = 5000;
+const DEFAULT_PAGE_SIZE = 20;
+const MAX_PAGE_SIZE = 100;
+
+// Operators understood in `q`, with the filter they set
+const OPERATORS = {
+  from: 'from',
+  to: 'to',
+  subject: 'subject',
+  body: 'body',
+  after: 'since',
+  since: 'since',
+  before: 'before',
+  in: 'mailbox',
+  has: 'has'
+};
+const TEXT_FILTERS = ['from', 'to', 'subject', 'body'];
+
+function searchError(message, status = 400) {
+  return Object.assign(new Error(message), { status });
+}
+
+function checkDate(value, name) {
+  if (!value) return null;
+  const date = new Date(`${value}T00:00:00Z`);
+  if (!/^\d{4}-\d{2}-\d{2}$/.test(value) || isNaN(date.getTime()) || date.toISOString().slice(0, 10) !== value) {
+    throw searchError(`${name} must be a date such as 2025-03-01`);
+  }
+  return value;
+}
+
+// Split "from:ann \"quarterly report\" x" into operators and free words
+function parseQueryText(text) {
+  const result = { words: [] };
+  const pattern = /(?:(\w+):)?(?:"([^"]*)"|(\S+))/g;
+  let match;
+  while ((match = pattern.exec(String(text || ''))) !== null) {
+    const operator = match[1] && OPERATORS[match[1].toLowerCase()];
+    const value = match[2] !== undefined ? match[2] : match[3];
+    if (operator) {
+      result[operator] = value;
+    } else {
+      // Unknown "word:thing" is searched as typed
+      result.words.push(match[1] ? `${match[1]}:${value}` : value);
+    }
+  }
+  result.words = result.words.filter(Boolean);
+  return result;
+}
+
+// Search filters of a request: operators in ?q, overridden by explicit
+// ?from, ?to, ?subject, ?body, ?since, ?before (YYYY-MM-DD, before is
+// exclusive), ?hasAttachment=1 and ?mailbox. ?local=1 searches the local index.
+function parseSearchOptions(query) {
+  const typed = parseQueryText(query.q);
+  const toInt = value => {
+    const number = parseInt(value, 10);
+    return Number.isFinite(number) && number > 0 ? number : undefined;
+  };
+
+  const filters = { words: typed.words };
+  TEXT_FILTERS.forEach(name => {
+    const value = query[name] !== undefined ? query[name] : typed[name];
+    if (value) filters[name] = String(value);
+  });
+  filters.since = checkDate(query.since || query.after || typed.since, 'since');
+  filters.before = checkDate(query.before || typed.before, 'before');
+  filters.hasAttachment = query.hasAttachment !== undefined
+    ? ['1', 'true', 'yes'].includes(String(query.hasAttachment).toLowerCase())
+    : /^attachments?$/i.test(typed.has || '');
+
+  if (!filters.words.length && !TEXT_FILTERS.some(name => filters[name]) && !filters.since && !filters.before && !filters.hasAttachment) {
+    throw searchError('Enter something to search for');
+  }
+
+  return {
+    filters,
+    mailbox: query.mailbox || typed.mailbox || null,
+    local: ['1', 'true'].includes(String(query.local)),
+    limit: Math.min(toInt(query.limit) || DEFAULT_PAGE_SIZE, MAX_PAGE_SIZE),
+    page: toInt(query.page) || 1,
+    blockRemoteImages: query.remoteImages !== 'allow'
+  };
+}
+
+// Local midnight: node-imap formats search dates in the process time zone
+function imapDate(value) {
+  const [year, month, day] = value.split('-').map(Number);
+  return new Date(year, month - 1, day);
+}
+
+// IMAP SEARCH criteria for the filters (all of them must match)
+function buildCriteria(filters) {
+  const criteria = [];
+  if (filters.from) criteria.push(['FROM', filters.from]);
+  if (filters.to) criteria.push(['TO', filters.to]);
+  if (filters.subject) criteria.push(['SUBJECT', filters.subject]);
+  if (filters.body) criteria.push(['BODY', filters.body]);
+  filters.words.forEach(word => criteria.push(['TEXT', word]));
+  // SENT*: the Date header shown in the message list, not the arrival time
+  if (filters.since) criteria.push(['SENTSINCE', imapDate(filters.since)]);
+  if (filters.before) criteria.push(['SENTBEFORE', imapDate(filters.before)]);
+  // Narrows the candidates; the body structure check in searchMessages decides
+  if (filters.hasAttachment) criteria.push(['HEADER', 'CONTENT-TYPE', 'multipart']);
+  return criteria.length ? criteria : ['ALL'];
+}
+
+// ==================== LOCAL INDEX ====================
+
+// Remember fetched messages (parsed, see messages.js) of one mailbox. The
+// file is only written when a message was added or dropped.
+function indexMessages(ownerId, account, mailbox, uidValidity, messages) {
+  if (!messages.length || !uidValidity) return;
+
+  const idOf = message => `${ownerId}:${account}:${mailbox}:${message.uid}`;
+  const renumbered = index.find(entry => entry.ownerId === ownerId && entry.account === account && entry.mailbox === mailbox && entry.uidValidity !== uidValidity);
+  const added = messages.filter(message => !indexedIds.has(idOf(message)));
+  if (!renumbered && !added.length) return;
+
+  index.batch(() => {
+    // The mailbox was renumbered: its old entries point at the wrong messages
+    if (renumbered) {
+      index.removeWhere(entry => entry.ownerId === ownerId && entry.account === account && entry.mailbox === mailbox && entry.uidValidity !== uidValidity);
+      syncIndexedIds();
+    }
+
+    messages.forEach(message => {
+      const id = idOf(message);
+      if (indexedIds.has(id)) return;
+      indexedIds.add(id);
+      index.insert({
+        id,
+        ownerId,
+        account,
+        mailbox,
+        uidValidity,
+        uid: message.uid,
+        from: message.from,
+        to: [message.to, message.cc].filter(Boolean).join(', '),
+        subject: message.subject,
+        preview: message.preview,
+        date: message.date,
+        hasAttachments: (message.attachments || []).some(att => !att.inline)
+      });
+    });
+
+    const entries = index.all(entry => entry.ownerId === ownerId);
+    if (entries.length > MAX_INDEX_ENTRIES) {
+      const dropped = new Set(entries.sort((a, b) => b.date.localeCompare(a.date)).slice(MAX_INDEX_ENTRIES).map(entry => entry.id));
+      index.removeWhere(entry => dropped.has(entry.id));
+      syncIndexedIds();
+    }
+  });
+}
+
+function syncIndexedIds() {
+  indexedIds.clear();
+  index.all().forEach(entry => indexedIds.add(entry.id));
+}
+
+function tokenize(text) {
+  return String(text || '').toLowerCase().split(/[^\p{L}\p{N}@.]+/u).filter(Boolean);
+}
+
+// Edit distance, giving up once it exceeds `max`
+function withinDistance(a, b, max) {
+  if (Math.abs(a.length - b.length) > max) return false;
+  let previous = Array.from({ length: b.length + 1 }, (_, i) => i);
+  for (let i = 1; i <= a.length; i++) {
+    const current = [i];
+    let best = i;
+    for (let j = 1; j <= b.length; j++) {
+      current[j] = Math.min(previous[j] + 1, current[j - 1] + 1, previous[j - 1] + (a[i - 1] === b[j - 1] ? 0 : 1));
+      best = Math.min(best, current[j]);
+    }
+    if (best > max) return false;
+    previous = current;
+  }
+  return previous[b.length] <= max;
+}
+
+// How well one query word matches a message's words: 3 exact, 2 prefix,
+// 1 within one typo (two for long words), 0 not at all
+function wordScore(word, tokens) {
+  let score = 0;
+  const typos = word.length >= 8 ? 2 : (word.length >= 4 ? 1 : 0);
+  for (const token of tokens) {
+    if (token === word) return 3;
+    if (token.startsWith(word)) score = 2;
+    else if (!score && typos && withinDistance(word, token, typos)) score = 1;
+  }
+  return score;
+}
+
+function contains(value, needle) {
+  return String(value || '').toLowerCase().includes(needle.toLowerCase());
+}
+
+// Fuzzy search of the local index, best matches first; all mailboxes unless one is given
+function searchIndex(ownerId, account, { filters, mailbox, limit = DEFAULT_PAGE_SIZE, page = 1 }) {
+  const words = filters.words.flatMap(tokenize);
+
+  const matches = index.all(entry => entry.ownerId === ownerId && entry.account === account &&
+    (!mailbox || entry.mailbox === mailbox) &&
+    (!filters.from || contains(entry.from, filters.from)) &&
+    (!filters.to || contains(entry.to, filters.to)) &&
+    (!filters.subject || contains(entry.subject, filters.subject)) &&
+    (!filters.body || contains(entry.preview, filters.body)) &&
+    (!filters.since || entry.date.slice(0, 10) >= filters.since) &&
+    (!filters.before || entry.date.slice(0, 10) < filters.before) &&
+    (!filters.hasAttachment || entry.hasAttachments))
+    .map(entry => {
+      const tokens = tokenize(`${entry.from} ${entry.to} ${entry.subject} ${entry.preview}`);
+      const scores = words.map(word => wordScore(word, tokens));
+      return { entry, score: scores.reduce((sum, score) => sum + score, 0), missing: scores.includes(0) };
+    })
+    .filter(match => !match.missing)
+    .sort((a, b) => b.score - a.score || b.entry.date.localeCompare(a.entry.date));
+
+  const offset = (page - 1) * limit;
+  return {
+    total: matches.length,
+    page,
+    hasMore: matches.length > offset + limit,
+    messages: matches.slice(offset, offset + limit).map(({ entry, score }) => ({
+      uid: entry.uid,
+      mailbox: entry.mailbox,
+      from: entry.from,
+      to: entry.to,
+      subject: entry.subject,
+      preview: entry.preview,
+      date: entry.date,
+      hasAttachments: entry.hasAttachments,
+      score
+    }))
+  };
+}
+
+module.exports = {
+  parseSearchOptions,
+  buildCriteria,
+  indexMessages,
+  searchIndex
+};
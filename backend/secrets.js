@@ -0,0 +1,42 @@
+const crypto = require('crypto');
+
+// Encryption at rest for stored mail credentials (AES-256-GCM).
+// CREDENTIALS_KEY should be a long random string; rotating it makes
+// previously stored credentials unreadable.
+const CREDENTIALS_KEY = process.env.CREDENTIALS_KEY || process.env.JWT_SECRET || 'fallback-secret-change-in-production';
+
+if (!process.env.CREDENTIALS_KEY) {
+  console.warn('⚠️  CREDENTIALS_KEY is not set - stored mail credentials use a fallback key');
+}
+
+const key = crypto.scryptSync(CREDENTIALS_KEY, 'web-mail-credentials', 32);
+
+// Encrypt a string into "v1:<iv>:<tag>:<ciphertext>" (base64 parts)
+function encrypt(plaintext) {
+  if (plaintext === undefined || plaintext === null || plaintext === '') return null;
+
+  const iv = crypto.randomBytes(12);
+  const cipher = crypto.createCipheriv('aes-256-gcm', key, iv);
+  const ciphertext = Buffer.concat([cipher.update(String(plaintext), 'utf8'), cipher.final()]);
+  const tag = cipher.getAuthTag();
+
+  return ['v1', iv.toString('base64'), tag.toString('base64'), ciphertext.toString('base64')].join(':');
+}
+
+function decrypt(payload) {
+  if (!payload) return null;
+
+  const [version, iv, tag, ciphertext] = payload.split(':');
+  if (version !== 'v1') {
+    throw new Error('Unsupported credential format');
+  }
+
+  const decipher = crypto.createDecipheriv('aes-256-gcm', key, Buffer.from(iv, 'base64'));
+  decipher.setAuthTag(Buffer.from(tag, 'base64'));
+  return Buffer.concat([decipher.update(Buffer.from(ciphertext, 'base64')), decipher.final()]).toString('utf8');
+}
+
+module.exports = {
+  encrypt,
+  decrypt
+};
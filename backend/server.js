@@ -3,16 +3,46 @@ const express = require('express');
 const bodyParser = require('body-parser');
 const cors = require('cors');
 const path = require('path');
-const nodemailer = require('nodemailer');
 const multer = require('multer');
 const fs = require('fs');
-const Imap = require('imap');
-const simpleParser = require('mailparser').simpleParser;
 const helmet = require('helmet');
 const rateLimit = require('express-rate-limit');
-const bcrypt = require('bcryptjs');
 const jwt = require('jsonwebtoken');
 const cookieParser = require('cookie-parser');
+const users = require('./users');
+const accounts = require('./accounts');
+const providers = require('./providers');
+const campaigns = require('./campaigns');
+const recipients = require('./recipients');
+const contacts = require('./contacts');
+const suppression = require('./suppression');
+const tracking = require('./tracking');
+const bounces = require('./bounces');
+const schedule = require('./schedule');
+const drafts = require('./drafts');
+const templates = require('./templates');
+const deliverability = require('./deliverability');
+const identities = require('./identities');
+const compose = require('./compose');
+const threads = require('./threads');
+const search = require('./search');
+const live = require('./live');
+const { renderMessage, escapeHtml } = require('./merge');
+const { createToken, readToken } = require('./links');
+const {
+  listMailboxes,
+  fetchEmails,
+  fetchMessage,
+  streamAttachment,
+  fetchRawMessage,
+  searchMessages,
+  updateFlags,
+  moveMessages,
+  expungeMessages,
+  findSpecialMailbox,
+  parsePageOptions,
+  isMissingMailboxError
+} = require('./mailbox');
 
 // Initialize app
 const app = express();
@@ -32,36 +62,35 @@ app.use(express.json());
 // Rate limiting
 const limiter = rateLimit({
   windowMs: 15 * 60 * 1000,
-  max: 100
+  max: 100,
+  // Campaign progress polling would use up the whole budget in minutes, and
+  // tracking hits come from recipients (often many behind one proxy)
+  skip: req => req.method === 'GET' && (req.path.startsWith('/api/campaigns/') || req.path.startsWith('/api/t/'))
 });
 app.use(limiter);
 
-// Hardcoded admin credentials
-const ADMIN_USER = process.env.ADMIN_USER;
-const ADMIN_PASS_HASH = process.env.ADMIN_PASS ? bcrypt.hashSync(process.env.ADMIN_PASS, 10) : null;
+// Tracking hits have a budget of their own, per address. Past it the pixel and
+// redirect still answer (recipients shouldn't see broken images or links) but
+// nothing is recorded.
+const trackingLimiter = rateLimit({
+  windowMs: 15 * 60 * 1000,
+  max: 600,
+  handler: (req, res, next) => {
+    req.trackingLimited = true;
+    next();
+  }
+});
+app.use('/api/t/', trackingLimiter);
+
+// JWT settings
 const JWT_SECRET = process.env.JWT_SECRET || 'fallback-secret-change-in-production';
 const JWT_EXPIRES_IN = process.env.JWT_EXPIRES_IN || '1h';
 
-// Email transporter setup - UPDATED CONFIG FOR RENDER
-const transporter = nodemailer.createTransport({
-  host: 'smtp.gmail.com',
-  port: 587,
-  secure: false, // Use TLS instead of SSL
-  auth: {
-    user: process.env.EMAIL_USER,
-    pass: process.env.EMAIL_PASS
-  },
-  connectionTimeout: 30000, // 30 seconds
-  greetingTimeout: 30000,
-  socketTimeout: 30000,
-  pool: true,
-  maxConnections: 1, // Reduce for Render's limitations
-  rateDelta: 1000,
-  rateLimit: 5
-});
+// Seed the first admin from ADMIN_USER/ADMIN_PASS (+ EMAIL_USER/EMAIL_PASS) on a fresh install
+users.ensureAdminFromEnv();
 
 // Enhanced transporter verification
-async function verifyTransporter() {
+async function verifyTransporter(transporter) {
   try {
     await transporter.verify();
     console.log('📧 Email server is ready');
@@ -84,21 +113,6 @@ async function verifyTransporter() {
   }
 }
 
-// Verify on startup
-verifyTransporter();
-
-// IMAP configuration (for receiving)
-const imap = new Imap({
-  user: process.env.EMAIL_USER,
-  password: process.env.EMAIL_PASS,
-  host: 'imap.gmail.com',
-  port: 993,
-  tls: true,
-  tlsOptions: { rejectUnauthorized: false },
-  connTimeout: 30000,
-  authTimeout: 30000
-});
-
 // Configure storage for attachments
 const storage = multer.diskStorage({
   destination: (req, file, cb) => {
@@ -129,32 +143,21 @@ app.post('/api/login', async (req, res) => {
     }
 
     // Verify credentials
-    if (username !== ADMIN_USER || !bcrypt.compareSync(password, ADMIN_PASS_HASH)) {
+    const user = users.findByUsername(username);
+    if (!users.verifyPassword(user, password)) {
       return res.status(401).json({ 
         success: false, 
         message: 'Invalid credentials' 
       });
     }
 
-    // Create JWT token
-    const token = jwt.sign(
-      { username: ADMIN_USER, role: 'admin' },
-      JWT_SECRET,
-      { expiresIn: JWT_EXPIRES_IN }
-    );
-
-    // Set secure HTTP-only cookie
-    res.cookie('token', token, {
-      httpOnly: true,
-      secure: process.env.NODE_ENV === 'production',
-      sameSite: 'strict',
-      maxAge: 3600000 // 1 hour
-    });
+    const { token, expiresAt } = issueToken(res, user);
 
     res.json({ 
       success: true,
       message: 'Login successful',
-      token // Also send token in response for clients that need it
+      token, // Also send token in response for clients that need it
+      expiresAt
     });
   } catch (error) {
     console.error('Login error:', error);
@@ -165,8 +168,29 @@ app.post('/api/login', async (req, res) => {
   }
 });
 
+// Session endpoint: who is logged in and when the token expires
+app.get('/api/me', authenticateToken, (req, res) => {
+  res.json({
+    success: true,
+    user: users.publicUser(req.account),
+    expiresAt: new Date(req.user.exp * 1000).toISOString()
+  });
+});
+
+// Token refresh endpoint: trade a still-valid token for a fresh one
+app.post('/api/refresh', authenticateToken, (req, res) => {
+  const { token, expiresAt } = issueToken(res, req.account);
+
+  res.json({
+    success: true,
+    message: 'Token refreshed',
+    token,
+    expiresAt
+  });
+});
+
 // Protected route example
-app.get('/api/admin/data', authenticateToken, (req, res) => {
+app.get('/api/admin/data', authenticateToken, requireAdmin, (req, res) => {
   res.json({ 
     success: true,
     data: 'Sensitive admin data',
@@ -180,7 +204,27 @@ app.post('/api/logout', (req, res) => {
   res.json({ success: true, message: 'Logged out successfully' });
 });
 
-// JWT authentication middleware
+// Sign a JWT for the user and set it as a secure HTTP-only cookie.
+// `sub` is the user ID that selects the mailbox and transporter for each request.
+function issueToken(res, user) {
+  const token = jwt.sign({ sub: user.id, username: user.username, role: user.role }, JWT_SECRET, { expiresIn: JWT_EXPIRES_IN });
+  const expiresAt = new Date(jwt.decode(token).exp * 1000);
+
+  // Set secure HTTP-only cookie that lives exactly as long as the token
+  res.cookie('token', token, {
+    httpOnly: true,
+    secure: process.env.NODE_ENV === 'production',
+    sameSite: 'strict',
+    maxAge: expiresAt.getTime() - Date.now()
+  });
+
+  return { token, expiresAt: expiresAt.toISOString() };
+}
+
+// JWT authentication middleware. The token is read from the cookie or the
+// Authorization header. The dashboard runs on another site than the API, so
+// the (SameSite) cookie can't be relied on: attachments are fetched with the
+// header, and EventSource, which can't send one, uses an event ticket.
 function authenticateToken(req, res, next) {
   const token = req.cookies.token || req.headers['authorization']?.split(' ')[1];
   
@@ -198,282 +242,1583 @@ function authenticateToken(req, res, next) {
         message: 'Invalid or expired token' 
       });
     }
+    // The user may have been deleted (or the token predates multi-user accounts)
+    const account = users.getUser(user.sub);
+    if (!account) {
+      return res.status(401).json({ 
+        success: false, 
+        message: 'Unauthorized' 
+      });
+    }
+
     req.user = user;
+    req.account = account;
     next();
   });
 }
 
-// Function to fetch emails
-function fetchEmails() {
-  return new Promise((resolve, reject) => {
-    const emails = [];
+// How long an event ticket may be used to open the live update stream
+const EVENT_TICKET_TTL = 60 * 1000;
+
+// Single-purpose token for /api/events?ticket=, see POST /api/events/ticket
+function createEventTicket(account) {
+  return createToken({ t: 'sse', u: account.id, x: Date.now() + EVENT_TICKET_TTL });
+}
+
+// authenticateToken for the live update stream, which also takes a ticket
+function authenticateEventStream(req, res, next) {
+  if (!req.query.ticket) return authenticateToken(req, res, next);
 
-    imap.once('ready', () => {
-      imap.openBox('INBOX', false, (err, box) => {
-        if (err) return reject(err);
+  const ticket = readToken(req.query.ticket);
+  const account = ticket && ticket.t === 'sse' && ticket.x > Date.now() ? users.getUser(ticket.u) : null;
+  if (!account) {
+    return res.status(401).json({ success: false, message: 'Invalid or expired ticket' });
+  }
+  req.account = account;
+  next();
+}
 
-        const total = box.messages.total;
-        if (total === 0) {
-          imap.end();
-          return resolve([]);
-        }
+// Admin-only routes (run after authenticateToken)
+function requireAdmin(req, res, next) {
+  if (req.account.role !== 'admin') {
+    return res.status(403).json({ 
+      success: false, 
+      message: 'Admin access required' 
+    });
+  }
+  next();
+}
 
-        // Get the last 10 message sequence numbers
-        const start = total - 9 > 0 ? total - 9 : 1;
-        const range = `${start}:${total}`;
-
-        const fetch = imap.seq.fetch(range, {
-          bodies: ['HEADER.FIELDS (FROM TO SUBJECT DATE)', 'TEXT'],
-          struct: true
-        });
-
-        fetch.on('message', (msg, seqno) => {
-          const email = { id: seqno };
-
-          msg.on('body', (stream, info) => {
-            let buffer = '';
-            stream.on('data', chunk => buffer += chunk.toString('utf8'));
-            stream.on('end', () => {
-              if (info.which === 'TEXT') {
-                email.body = buffer;
-              } else {
-                const headers = Imap.parseHeader(buffer);
-                email.from = headers.from?.[0] || '';
-                email.subject = headers.subject?.[0] || '';
-                email.date = headers.date?.[0] || '';
-              }
-            });
-          });
-
-          msg.once('end', () => emails.push(email));
-        });
-
-        fetch.once('error', reject);
-        fetch.once('end', () => {
-          // Sort by most recent
-          emails.sort((a, b) => new Date(b.date) - new Date(a.date));
-          imap.end();
-          resolve(emails);
-        });
-      });
+// Attach the logged-in user's IMAP session and SMTP transporter as req.mail
+// (run after authenticateToken)
+function requireMailAccount(req, res, next) {
+  const mail = accounts.getConnections(req.account.id);
+  if (!mail) {
+    return res.status(409).json({
+      error: 'Email account not configured',
+      details: 'Set your mail settings with PUT /api/account/mail'
     });
+  }
+  req.mail = mail;
+  next();
+}
+
+// ==================== ACCOUNT ENDPOINTS ====================
+
+// Errors thrown by users.js carry an HTTP status
+function sendUserError(res, error, fallbackMessage) {
+  if (error.status) {
+    return res.status(error.status).json(Object.assign({ success: false, message: error.message }, error.details));
+  }
+  console.error(`${fallbackMessage}:`, error);
+  res.status(500).json({ success: false, message: fallbackMessage });
+}
 
-    imap.once('error', reject);
-    imap.connect();
+// Own account: SMTP verification and IMAP session state
+app.get('/api/account/status', authenticateToken, requireMailAccount, async (req, res) => {
+  const smtpReady = await verifyTransporter(req.mail.transporter);
+
+  res.json({
+    success: true,
+    address: req.mail.address,
+    smtp: smtpReady ? 'connected' : 'disconnected',
+    imap: req.mail.imapSession.status()
   });
+});
+
+// Normalize mail settings against the user's stored ones and, unless told
+// otherwise, prove they work over both SMTP and IMAP before saving them
+async function saveMailSettings(user, input, res) {
+  let settings;
+  try {
+    settings = providers.normalizeMailSettings(input, users.getMailAccount(user));
+  } catch (error) {
+    sendUserError(res, error, 'Invalid mail settings');
+    return null;
+  }
+
+  if (!input.skipVerify) {
+    const result = await providers.testConnection(settings);
+    if (!result.ok) {
+      res.status(422).json({ success: false, message: 'Connection test failed, settings not saved', test: result });
+      return null;
+    }
+  }
+
+  const updated = users.setMailAccount(user.id, settings);
+  accounts.invalidate(user.id);
+  return updated;
 }
 
-// ==================== API ENDPOINTS ====================
+// Provider presets for the settings form
+app.get('/api/providers', authenticateToken, (req, res) => {
+  res.json({
+    success: true,
+    providers: Object.keys(providers.PROVIDER_PRESETS).map(id => Object.assign({ id }, providers.PROVIDER_PRESETS[id]))
+  });
+});
+
+// Own mail settings (secrets are never returned)
+app.get('/api/account/mail', authenticateToken, (req, res) => {
+  res.json({ success: true, mail: providers.publicMailSettings(users.getMailAccount(req.account)) });
+});
 
-// 1. Get Inbox Emails
-app.get('/api/inbox', async (req, res) => {
+// Test mail settings without saving them (secrets left out fall back to the stored ones)
+app.post('/api/account/mail/test', authenticateToken, async (req, res) => {
   try {
-    const emails = await fetchEmails();
-    res.json(emails);
+    const settings = providers.normalizeMailSettings(req.body, users.getMailAccount(req.account));
+    const result = await providers.testConnection(settings);
+    res.json({ success: result.ok, test: result });
   } catch (error) {
-    console.error('Inbox error:', error);
-    res.status(500).json({ error: 'Failed to fetch emails' });
+    sendUserError(res, error, 'Connection test failed');
+  }
+});
+
+// Save own mail settings:
+// { provider, address, smtp: { host, port, security, rejectUnauthorized, auth: { method, user, pass | accessToken | refreshToken, clientId, clientSecret } }, imap: {...} }
+// or the shorthand { provider, address, user, pass }. Pass skipVerify: true to save without testing.
+app.put('/api/account/mail', authenticateToken, async (req, res) => {
+  const updated = await saveMailSettings(req.account, req.body, res);
+  if (updated) {
+    res.json({ success: true, user: users.publicUser(updated), mail: providers.publicMailSettings(users.getMailAccount(updated)) });
+  }
+});
+
+// Own dashboard password
+app.put('/api/account/password', authenticateToken, (req, res) => {
+  const { currentPassword, newPassword } = req.body;
+
+  if (typeof currentPassword !== 'string' || typeof newPassword !== 'string') {
+    return res.status(400).json({ success: false, message: 'currentPassword and newPassword are required' });
+  }
+  if (!users.verifyPassword(req.account, currentPassword)) {
+    return res.status(401).json({ success: false, message: 'Current password is incorrect' });
   }
+  if (newPassword.length < 8) {
+    return res.status(400).json({ success: false, message: 'New password must be at least 8 characters' });
+  }
+
+  users.updateUser(req.account.id, { password: newPassword });
+  res.json({ success: true, message: 'Password changed' });
 });
 
-// 2. Send Single Email
-app.post('/api/send', upload.array('attachments'), async (req, res) => {
+// User management (admin)
+app.get('/api/users', authenticateToken, requireAdmin, (req, res) => {
+  res.json({ success: true, users: users.listUsers().map(users.publicUser) });
+});
+
+app.post('/api/users', authenticateToken, requireAdmin, (req, res) => {
   try {
-    // Check if email server is configured
-    if (!process.env.EMAIL_USER || !process.env.EMAIL_PASS) {
-      return res.status(500).json({ 
-        error: 'Email server not configured',
-        details: 'EMAIL_USER and EMAIL_PASS environment variables are required'
-      });
+    const { username, password, role, mail } = req.body;
+    const user = users.createUser({ username, password, role, mail });
+    res.status(201).json({ success: true, user: users.publicUser(user) });
+  } catch (error) {
+    sendUserError(res, error, 'Failed to create user');
+  }
+});
+
+app.patch('/api/users/:id', authenticateToken, requireAdmin, async (req, res) => {
+  try {
+    const { password, role, mail } = req.body;
+    let user = users.updateUser(req.params.id, { password, role });
+    if (!user) {
+      return res.status(404).json({ success: false, message: 'User not found' });
     }
+    if (mail) {
+      user = await saveMailSettings(user, mail, res);
+      if (!user) return;
+    }
+    res.json({ success: true, user: users.publicUser(user) });
+  } catch (error) {
+    sendUserError(res, error, 'Failed to update user');
+  }
+});
 
-    const emailData = JSON.parse(req.body.data);
-    const { from, senderName, to, subject, text, html, cc, bcc, replyTo } = emailData;
-    
-    const senderEmail = from || process.env.EMAIL_USER;
-    const displayName = senderName || 'YourCompany Team';
+app.delete('/api/users/:id', authenticateToken, requireAdmin, (req, res) => {
+  if (req.params.id === req.account.id) {
+    return res.status(400).json({ success: false, message: 'You cannot delete your own account' });
+  }
+  if (!users.deleteUser(req.params.id)) {
+    return res.status(404).json({ success: false, message: 'User not found' });
+  }
+  accounts.invalidate(req.params.id);
+  res.json({ success: true, message: 'User deleted' });
+});
 
-    const attachments = req.files?.map(file => ({
-      filename: file.originalname,
-      path: file.path
-    })) || [];
+// ==================== IDENTITY ENDPOINTS ====================
+// Sender identities (From addresses) of the logged-in user, see identities.js
 
-    const mailOptions = {
-      from: `"${displayName}" <${senderEmail}>`,
-      to: Array.isArray(to) ? to : to.split(','),
-      cc: cc ? (Array.isArray(cc) ? cc : cc.split(',')) : undefined,
-      bcc: bcc ? (Array.isArray(bcc) ? bcc : bcc.split(',')) : undefined,
-      replyTo: replyTo || senderEmail,
-      subject,
-      text,
-      html: html || text,
-      attachments
-    };
+// Address of the user's mail account, or null when none is set up
+function accountAddress(req) {
+  if (req.mail) return req.mail.address;
+  const settings = users.getMailAccount(req.account);
+  return settings ? settings.address : null;
+}
 
-    const info = await transporter.sendMail(mailOptions);
+function loadIdentity(req, res, next) {
+  req.identity = identities.getIdentity(req.account.id, req.params.id);
+  if (!req.identity) {
+    return res.status(404).json({ success: false, message: 'Identity not found' });
+  }
+  next();
+}
 
-    // Clean up attachments
-    attachments.forEach(att => {
-      if (fs.existsSync(att.path)) {
-        fs.unlinkSync(att.path);
-      }
-    });
+// Mail the confirmation link for an identity; false (logged) when that fails
+async function sendVerification(req, identity) {
+  try {
+    await req.mail.transporter.sendMail(identities.verificationMail(identity, req.mail.address));
+    return true;
+  } catch (error) {
+    console.error(`❌ Failed to send the confirmation for ${identity.address}:`, error.message);
+    return false;
+  }
+}
 
-    res.json({ 
-      success: true, 
-      message: 'Email sent successfully',
-      messageId: info.messageId 
-    });
+// The account address first appears here, verified
+app.get('/api/identities', authenticateToken, (req, res) => {
+  const address = accountAddress(req);
+  res.json({
+    success: true,
+    identities: identities.listIdentities(req.account.id, address).map(identity => identities.publicIdentity(identity, address))
+  });
+});
+
+// { address, name, replyTo, signature, isDefault } - other addresses than the account's
+// get a confirmation link and can't be sent from until it is followed
+app.post('/api/identities', authenticateToken, requireMailAccount, async (req, res) => {
+  try {
+    const identity = identities.createIdentity(req.account.id, req.body);
+    const verificationSent = identities.publicIdentity(identity, req.mail.address).verified ? false : await sendVerification(req, identity);
+    res.status(201).json({ success: true, identity: identities.publicIdentity(identities.getIdentity(req.account.id, identity.id), req.mail.address), verificationSent });
   } catch (error) {
-    console.error('Send error:', error);
-    
-    // Clean up attachments even on error
-    if (req.files) {
-      req.files.forEach(file => {
-        if (fs.existsSync(file.path)) {
-          fs.unlinkSync(file.path);
-        }
-      });
-    }
+    sendUserError(res, error, 'Failed to save identity');
+  }
+});
 
-    res.status(500).json({ 
-      error: 'Failed to send email',
-      details: error.message 
-    });
+// { name, replyTo, signature, isDefault }
+app.patch('/api/identities/:id', authenticateToken, loadIdentity, (req, res) => {
+  try {
+    const identity = identities.updateIdentity(req.identity, req.body);
+    res.json({ success: true, identity: identities.publicIdentity(identity, accountAddress(req)) });
+  } catch (error) {
+    sendUserError(res, error, 'Failed to save identity');
+  }
+});
+
+app.delete('/api/identities/:id', authenticateToken, loadIdentity, (req, res) => {
+  identities.deleteIdentity(req.identity);
+  res.json({ success: true, message: 'Identity deleted' });
+});
+
+// Send the confirmation link again
+app.post('/api/identities/:id/resend', authenticateToken, requireMailAccount, loadIdentity, async (req, res) => {
+  if (identities.publicIdentity(req.identity, req.mail.address).verified) {
+    return res.status(400).json({ success: false, message: 'This address is already verified' });
+  }
+  if (!await sendVerification(req, req.identity)) {
+    return res.status(502).json({ success: false, message: 'Failed to send the confirmation email' });
+  }
+  res.json({ success: true, message: `Confirmation sent to ${req.identity.address}` });
+});
+
+// Confirmation link from the verification mail (public). Like unsubscribing,
+// GET only asks, so link scanners can't confirm an address.
+app.get('/api/identities/verify/:token', (req, res) => {
+  const identity = identities.readVerificationToken(req.params.token);
+  if (!identity) {
+    return res.status(400).send(publicPage('Invalid link', 'This confirmation link is invalid or has expired.'));
+  }
+  res.send(publicPage('Confirm sender address', `Allow mail to be sent as <strong>${escapeHtml(identity.address)}</strong>?`, req.originalUrl, 'Confirm'));
+});
+
+app.post('/api/identities/verify/:token', (req, res) => {
+  const identity = identities.readVerificationToken(req.params.token);
+  if (!identity) {
+    return res.status(400).send(publicPage('Invalid link', 'This confirmation link is invalid or has expired.'));
   }
+  identities.confirmIdentity(identity);
+  res.send(publicPage('Address confirmed', `Mail can now be sent as <strong>${escapeHtml(identity.address)}</strong>.`));
+});
+
+// ==================== CONTACT ENDPOINTS ====================
+// Contacts, lists and tags belong to the logged-in user
+
+// Contact lists (with member counts)
+app.get('/api/contact-lists', authenticateToken, (req, res) => {
+  res.json({ success: true, lists: contacts.listLists(req.account.id) });
 });
 
-// 3. Send Marketing Campaign
-app.post('/api/send-campaign', upload.array('attachments'), async (req, res) => {
+app.post('/api/contact-lists', authenticateToken, (req, res) => {
   try {
-    // Check if email server is configured
-    if (!process.env.EMAIL_USER || !process.env.EMAIL_PASS) {
-      return res.status(500).json({ 
-        error: 'Email server not configured',
-        details: 'EMAIL_USER and EMAIL_PASS environment variables are required'
-      });
+    res.status(201).json({ success: true, list: contacts.createList(req.account.id, req.body) });
+  } catch (error) {
+    sendUserError(res, error, 'Failed to create list');
+  }
+});
+
+app.patch('/api/contact-lists/:id', authenticateToken, (req, res) => {
+  try {
+    const list = contacts.updateList(req.account.id, req.params.id, req.body);
+    if (!list) {
+      return res.status(404).json({ success: false, message: 'List not found' });
     }
+    res.json({ success: true, list });
+  } catch (error) {
+    sendUserError(res, error, 'Failed to update list');
+  }
+});
 
-    const emailData = JSON.parse(req.body.data);
-    const { from, recipients, subject, text, html } = emailData;
-    
-    const toList = Array.isArray(recipients) ? recipients : recipients.split(',');
-    const attachments = req.files?.map(file => ({
-      filename: file.originalname,
-      path: file.path
-    })) || [];
-
-    // Rate limiting for campaign emails
-    const results = [];
-    for (let i = 0; i < toList.length; i++) {
-      const to = toList[i];
-      try {
-        const info = await transporter.sendMail({
-          from: from || process.env.EMAIL_USER,
-          to,
-          subject,
-          text,
-          html: html || text,
-          attachments
-        });
-        results.push({ to, success: true, messageId: info.messageId });
-        
-        // Small delay between emails to avoid rate limiting
-        if (i < toList.length - 1) {
-          await new Promise(resolve => setTimeout(resolve, 1000));
-        }
-      } catch (error) {
-        results.push({ to, success: false, error: error.message });
-      }
+// Contacts stay, they are only removed from the list
+app.delete('/api/contact-lists/:id', authenticateToken, (req, res) => {
+  if (!contacts.deleteList(req.account.id, req.params.id)) {
+    return res.status(404).json({ success: false, message: 'List not found' });
+  }
+  res.json({ success: true, message: 'List deleted' });
+});
+
+// Contacts (?listId=, ?tag=, ?q= to filter)
+app.get('/api/contacts', authenticateToken, (req, res) => {
+  const { listId, tag, q } = req.query;
+  res.json({ success: true, contacts: contacts.listContacts(req.account.id, { listId, tag, q }) });
+});
+
+// CSV export, same filters as the listing
+app.get('/api/contacts/export', authenticateToken, (req, res) => {
+  const { listId, tag, q } = req.query;
+  res.attachment('contacts.csv');
+  res.type('text/csv');
+  res.send(contacts.exportCsv(req.account.id, { listId, tag, q }));
+});
+
+// CSV import: multipart "file" (or JSON { csv }), optional listId and tags to apply to every row.
+// Needs an email column; name and tags (separated by ;) are recognized, other columns become merge fields.
+app.post('/api/contacts/import', authenticateToken, upload.single('file'), (req, res) => {
+  try {
+    let text = req.body.csv;
+    if (req.file) {
+      text = fs.readFileSync(req.file.path, 'utf8');
+      fs.unlinkSync(req.file.path);
+    }
+    if (!text) {
+      return res.status(400).json({ success: false, message: 'Upload a CSV file or send csv text' });
     }
 
-    // Clean up attachments
-    attachments.forEach(att => {
-      if (fs.existsSync(att.path)) {
-        fs.unlinkSync(att.path);
-      }
-    });
+    const report = contacts.importCsv(req.account.id, text, { listId: req.body.listId, tags: req.body.tags });
+    res.json(Object.assign({ success: true }, report));
+  } catch (error) {
+    if (req.file && fs.existsSync(req.file.path)) {
+      fs.unlinkSync(req.file.path);
+    }
+    sendUserError(res, error, 'Failed to import contacts');
+  }
+});
 
-    res.json({ 
-      success: true, 
-      message: 'Campaign sent',
-      sentCount: results.filter(r => r.success).length,
-      failedCount: results.filter(r => !r.success).length,
-      results 
-    });
+// { email, name, fields: { firstName, ... }, tags: [], lists: [listId] }
+app.post('/api/contacts', authenticateToken, (req, res) => {
+  try {
+    res.status(201).json({ success: true, contact: contacts.createContact(req.account.id, req.body) });
   } catch (error) {
-    console.error('Campaign error:', error);
-    
-    // Clean up attachments even on error
-    if (req.files) {
-      req.files.forEach(file => {
-        if (fs.existsSync(file.path)) {
-          fs.unlinkSync(file.path);
-        }
-      });
+    sendUserError(res, error, 'Failed to create contact');
+  }
+});
+
+app.get('/api/contacts/:id', authenticateToken, (req, res) => {
+  const contact = contacts.getContact(req.account.id, req.params.id);
+  if (!contact) {
+    return res.status(404).json({ success: false, message: 'Contact not found' });
+  }
+  res.json({ success: true, contact });
+});
+
+app.patch('/api/contacts/:id', authenticateToken, (req, res) => {
+  try {
+    const contact = contacts.updateContact(req.account.id, req.params.id, req.body);
+    if (!contact) {
+      return res.status(404).json({ success: false, message: 'Contact not found' });
     }
+    res.json({ success: true, contact });
+  } catch (error) {
+    sendUserError(res, error, 'Failed to update contact');
+  }
+});
 
-    res.status(500).json({ 
-      error: 'Failed to send campaign',
-      details: error.message 
-    });
+app.delete('/api/contacts/:id', authenticateToken, (req, res) => {
+  if (!contacts.deleteContact(req.account.id, req.params.id)) {
+    return res.status(404).json({ success: false, message: 'Contact not found' });
   }
+  res.json({ success: true, message: 'Contact deleted' });
 });
 
-// 4. Health Check Endpoint
-app.get('/api/health', async (req, res) => {
-  const emailStatus = await verifyTransporter();
-  
-  res.json({ 
-    status: 'ok',
-    services: {
-      smtp: emailStatus ? 'connected' : 'disconnected',
-      imap: 'connected',
-      server: 'running'
-    },
-    timestamp: new Date().toISOString(),
-    environment: process.env.NODE_ENV || 'development'
-  });
+// Suppression list: addresses that /api/send and campaigns skip
+app.get('/api/suppressions', authenticateToken, (req, res) => {
+  res.json({ success: true, suppressions: suppression.listSuppressions(req.account.id) });
 });
 
-// 5. Test Email Endpoint
-app.post('/api/test-email', async (req, res) => {
+// { email, reason } - reason defaults to "manual"
+app.post('/api/suppressions', authenticateToken, (req, res) => {
   try {
-    const testMailOptions = {
-      from: process.env.EMAIL_USER,
-      to: process.env.EMAIL_USER, // Send to yourself
-      subject: 'Test Email from Render',
-      text: 'This is a test email from your deployed application on Render.',
-      html: '<p>This is a test email from your deployed application on Render.</p>'
-    };
+    const entry = suppression.suppress(req.account.id, req.body.email, { reason: req.body.reason || 'manual' });
+    res.status(201).json({ success: true, suppression: entry });
+  } catch (error) {
+    sendUserError(res, error, 'Failed to add suppression');
+  }
+});
 
-    const info = await transporter.sendMail(testMailOptions);
-    
-    res.json({ 
-      success: true, 
-      message: 'Test email sent successfully',
-      messageId: info.messageId 
-    });
+app.delete('/api/suppressions/:email', authenticateToken, (req, res) => {
+  if (!suppression.unsuppress(req.account.id, req.params.email)) {
+    return res.status(404).json({ success: false, message: 'Address is not suppressed' });
+  }
+  res.json({ success: true, message: 'Address removed from the suppression list' });
+});
+
+// Bounces found in the inbox (?campaignId=, ?type=hard|soft)
+app.get('/api/bounces', authenticateToken, (req, res) => {
+  const { campaignId, type } = req.query;
+  res.json({ success: true, bounces: bounces.listBounces(req.account.id, { campaignId, type }) });
+});
+
+// Look for new delivery status notifications now instead of waiting for the periodic scan
+app.post('/api/bounces/scan', authenticateToken, requireMailAccount, async (req, res) => {
+  try {
+    const result = await bounces.scanUser(req.account.id);
+    res.json(Object.assign({ success: true }, result));
   } catch (error) {
-    console.error('Test email error:', error);
-    res.status(500).json({ 
-      success: false,
-      error: 'Failed to send test email',
-      details: error.message,
-      code: error.code
-    });
+    console.error('Bounce scan error:', error);
+    res.status(500).json({ success: false, message: 'Failed to scan for bounces', details: error.message });
   }
 });
 
-// Start server
-const PORT = process.env.PORT || 3000;
-app.listen(PORT, () => {
-  console.log(`🚀 Server running on http://localhost:${PORT}`);
-  console.log(`📧 API Endpoints:
+// Minimal standalone page for the public unsubscribe and address confirmation routes
+function publicPage(title, message, formAction, buttonLabel = 'Unsubscribe') {
+  return `<!DOCTYPE html>
+<html lang="en">
+<head>
+  <meta charset="UTF-8">
+  <meta name="viewport" content="width=device-width, initial-scale=1.0">
+  <title>${escapeHtml(title)}</title>
+  <link rel="stylesheet" href="/css/style.css">
+</head>
+<body>
+  <div class="unsubscribe-page">
+    <h1>${escapeHtml(title)}</h1>
+    <p>${message}</p>
+    ${formAction ? `<form method="post" action="${escapeHtml(formAction)}"><button type="submit" class="send-btn">${escapeHtml(buttonLabel)}</button></form>` : ''}
+  </div>
+</body>
+</html>`;
+}
+
+// Unsubscribe link from a campaign mail (public). GET only asks for
+// confirmation, so mail scanners that prefetch links can't opt anyone out.
+app.get('/api/unsubscribe/:token', (req, res) => {
+  const target = suppression.readUnsubscribeToken(req.params.token);
+  if (!target) {
+    return res.status(400).send(publicPage('Invalid link', 'This unsubscribe link is invalid or has been altered.'));
+  }
+  if (suppression.isSuppressed(target.ownerId, target.email)) {
+    return res.send(publicPage('Unsubscribed', `<strong>${escapeHtml(target.email)}</strong> is already unsubscribed.`));
+  }
+  res.send(publicPage('Unsubscribe', `Stop sending emails to <strong>${escapeHtml(target.email)}</strong>?`, req.originalUrl));
+});
+
+// Confirmation form and RFC 8058 one-click POST (body "List-Unsubscribe=One-Click")
+app.post('/api/unsubscribe/:token', (req, res) => {
+  const target = suppression.readUnsubscribeToken(req.params.token);
+  if (!target) {
+    return res.status(400).send(publicPage('Invalid link', 'This unsubscribe link is invalid or has been altered.'));
+  }
+
+  suppression.suppress(target.ownerId, target.email, { reason: 'unsubscribe', campaignId: target.campaignId });
+
+  if (req.body && req.body['List-Unsubscribe'] === 'One-Click') {
+    return res.json({ success: true });
+  }
+  res.send(publicPage('Unsubscribed', `<strong>${escapeHtml(target.email)}</strong> will not receive these emails any more.`));
+});
+
+// Open tracking pixel (public)
+app.get('/api/t/o/:token', (req, res) => {
+  const target = tracking.readTrackingToken(req.params.token, 'o');
+  if (target && !req.trackingLimited && campaigns.getCampaign(target.campaignId)) {
+    tracking.record('open', target, req.get('user-agent'));
+  }
+
+  // Always answer with the image so mail clients don't show a broken one
+  res.set({
+    'Content-Type': 'image/gif',
+    'Cache-Control': 'no-store, no-cache, must-revalidate, private',
+    'Cross-Origin-Resource-Policy': 'cross-origin'
+  });
+  res.send(tracking.PIXEL);
+});
+
+// Click redirect (public); the target URL is part of the signed token, so this isn't an open redirect
+app.get('/api/t/c/:token', (req, res) => {
+  const target = tracking.readTrackingToken(req.params.token, 'c');
+  if (!target || !/^https?:\/\//i.test(target.url)) {
+    return res.status(400).send('Invalid link');
+  }
+  if (!req.trackingLimited && campaigns.getCampaign(target.campaignId)) {
+    tracking.record('click', target, req.get('user-agent'));
+  }
+  res.redirect(302, target.url);
+});
+
+// ==================== DRAFT ENDPOINTS ====================
+
+// Draft fields from a multipart "data" part (with "attachments" files) or a JSON body:
+// { from, senderName, replyTo, to, cc, bcc, subject, text, html, format, signature, removeAttachments }
+function readDraftRequest(req) {
+  try {
+    return typeof req.body.data === 'string' ? JSON.parse(req.body.data) : req.body;
+  } catch (error) {
+    throw Object.assign(error, { status: 400 });
+  }
+}
+
+function removeDraftUploads(req) {
+  (req.files || []).forEach(file => {
+    if (fs.existsSync(file.path)) {
+      fs.unlinkSync(file.path);
+    }
+  });
+}
+
+function loadDraft(req, res, next) {
+  req.draft = drafts.getDraft(req.account.id, req.params.id);
+  if (!req.draft) {
+    removeDraftUploads(req);
+    return res.status(404).json({ success: false, message: 'Draft not found' });
+  }
+  next();
+}
+
+app.get('/api/drafts', authenticateToken, (req, res) => {
+  res.json({ success: true, drafts: drafts.listDrafts(req.account.id).map(draft => drafts.publicDraft(draft, false)) });
+});
+
+app.get('/api/drafts/:id', authenticateToken, loadDraft, (req, res) => {
+  res.json({ success: true, draft: drafts.publicDraft(req.draft) });
+});
+
+app.post('/api/drafts', authenticateToken, upload.array('attachments'), (req, res) => {
+  try {
+    const draft = drafts.createDraft(req.account.id, readDraftRequest(req), req.files || []);
+    res.status(201).json({ success: true, draft: drafts.publicDraft(draft) });
+  } catch (error) {
+    removeDraftUploads(req);
+    sendUserError(res, error, 'Failed to save draft');
+  }
+});
+
+// Autosave; only the fields sent are replaced, new files are added to the attachments
+app.put('/api/drafts/:id', authenticateToken, upload.array('attachments'), loadDraft, (req, res) => {
+  try {
+    const draft = drafts.updateDraft(req.draft, readDraftRequest(req), req.files || []);
+    res.json({ success: true, draft: drafts.publicDraft(draft) });
+  } catch (error) {
+    removeDraftUploads(req);
+    sendUserError(res, error, 'Failed to save draft');
+  }
+});
+
+app.delete('/api/drafts/:id', authenticateToken, loadDraft, (req, res) => {
+  drafts.deleteDraft(req.draft);
+  res.json({ success: true, message: 'Draft deleted' });
+});
+
+app.get('/api/drafts/:id/attachments/:attachmentId', authenticateToken, loadDraft, (req, res) => {
+  const attachment = drafts.getAttachment(req.draft, req.params.attachmentId);
+  if (!attachment || !fs.existsSync(attachment.path)) {
+    return res.status(404).json({ success: false, message: 'Attachment not found' });
+  }
+  res.download(attachment.path, attachment.filename);
+});
+
+// ==================== TEMPLATE ENDPOINTS ====================
+
+function loadTemplate(req, res, next) {
+  req.template = templates.getTemplate(req.account.id, req.params.id);
+  if (!req.template) {
+    return res.status(404).json({ success: false, message: 'Template not found' });
+  }
+  next();
+}
+
+// Templates and partials (?kind=template|partial), without their bodies
+app.get('/api/templates', authenticateToken, (req, res) => {
+  const list = templates.listTemplates(req.account.id, req.query.kind);
+  res.json({ success: true, templates: list.map(template => templates.publicTemplate(template, false)) });
+});
+
+// { kind: template|partial, name, description, subject, html, text, defaults: { firstName: 'there' } }
+// Bodies use {{firstName}} placeholders and {{> partialName}} includes
+app.post('/api/templates', authenticateToken, (req, res) => {
+  try {
+    const template = templates.createTemplate(req.account.id, req.body);
+    res.status(201).json({ success: true, template: templates.publicTemplate(template) });
+  } catch (error) {
+    sendUserError(res, error, 'Failed to save template');
+  }
+});
+
+// Render unsaved content, e.g. for a live preview: { subject, html, text, defaults, variables }
+app.post('/api/templates/render', authenticateToken, (req, res) => {
+  try {
+    res.json(Object.assign({ success: true }, templates.renderContent(req.account.id, req.body, req.body.variables)));
+  } catch (error) {
+    sendUserError(res, error, 'Failed to render template');
+  }
+});
+
+app.get('/api/templates/:id', authenticateToken, loadTemplate, (req, res) => {
+  res.json({ success: true, template: templates.publicTemplate(req.template) });
+});
+
+// Only the fields sent are replaced; the previous content is kept as a version
+app.put('/api/templates/:id', authenticateToken, loadTemplate, (req, res) => {
+  try {
+    const template = templates.updateTemplate(req.template, req.body);
+    res.json({ success: true, template: templates.publicTemplate(template) });
+  } catch (error) {
+    sendUserError(res, error, 'Failed to save template');
+  }
+});
+
+app.delete('/api/templates/:id', authenticateToken, loadTemplate, (req, res) => {
+  try {
+    templates.deleteTemplate(req.template);
+    res.json({ success: true, message: 'Template deleted' });
+  } catch (error) {
+    sendUserError(res, error, 'Failed to delete template');
+  }
+});
+
+// Content of one version (the current one included)
+app.get('/api/templates/:id/versions/:version', authenticateToken, loadTemplate, (req, res) => {
+  const version = templates.getVersion(req.template, req.params.version);
+  if (!version) {
+    return res.status(404).json({ success: false, message: 'Version not found' });
+  }
+  res.json({ success: true, version });
+});
+
+// Save an older version's content as the newest version
+app.post('/api/templates/:id/versions/:version/restore', authenticateToken, loadTemplate, (req, res) => {
+  try {
+    const template = templates.restoreVersion(req.template, req.params.version);
+    res.json({ success: true, template: templates.publicTemplate(template) });
+  } catch (error) {
+    sendUserError(res, error, 'Failed to restore version');
+  }
+});
+
+// Subject, HTML (CSS inlined) and plain text ready to send: { variables: { firstName: 'Ann' } }.
+// Placeholders without a value are kept for campaign mail merge and listed in `missing`.
+app.post('/api/templates/:id/render', authenticateToken, loadTemplate, (req, res) => {
+  try {
+    res.json(Object.assign({ success: true }, templates.renderContent(req.account.id, req.template, req.body.variables)));
+  } catch (error) {
+    sendUserError(res, error, 'Failed to render template');
+  }
+});
+
+// ==================== API ENDPOINTS ====================
+
+// Add fetched messages to the local search index once the response is out
+function indexInBackground(req, mailbox, uidValidity, messages) {
+  const { id } = req.account;
+  const { address } = req.mail;
+  setImmediate(() => {
+    try {
+      search.indexMessages(id, address, mailbox, uidValidity, messages);
+    } catch (error) {
+      console.error('Search index error:', error.message);
+    }
+  });
+}
+
+// Shared handler for paged message listings
+async function sendMessagePage(mailbox, req, res) {
+  try {
+    const page = await fetchEmails(req.mail.imapSession, mailbox, parsePageOptions(req.query));
+    res.json(page);
+    indexInBackground(req, mailbox, page.uidValidity, page.messages);
+  } catch (error) {
+    if (error.code === 'UIDVALIDITY_CHANGED') {
+      return res.status(409).json({ error: error.message, code: error.code });
+    }
+    if (isMissingMailboxError(error)) {
+      return res.status(404).json({ error: `Mailbox not found: ${mailbox}` });
+    }
+    if (error.code === 'IMAP_UNAVAILABLE') {
+      return res.status(503).json({ error: error.message, code: error.code });
+    }
+    console.error('Mailbox error:', error);
+    res.status(500).json({ error: 'Failed to fetch emails' });
+  }
+}
+
+// 1. Get Inbox Emails (?limit=20&before=<uid> for older pages, ?after=<uid> for new mail)
+app.get('/api/inbox', authenticateToken, requireMailAccount, (req, res) => sendMessagePage('INBOX', req, res));
+
+// 1a. List Mailboxes (Inbox, Sent, Trash, ...)
+app.get('/api/mailboxes', authenticateToken, requireMailAccount, async (req, res) => {
+  try {
+    const mailboxes = await listMailboxes(req.mail.imapSession);
+    res.json(mailboxes);
+  } catch (error) {
+    if (error.code === 'IMAP_UNAVAILABLE') {
+      return res.status(503).json({ error: error.message, code: error.code });
+    }
+    console.error('Mailbox list error:', error);
+    res.status(500).json({ error: 'Failed to list mailboxes' });
+  }
+});
+
+// 1b. Get Emails From Any Mailbox (name must be URL-encoded, e.g. %5BGmail%5D%2FSent%20Mail)
+app.get('/api/mailboxes/:name/messages', authenticateToken, requireMailAccount, (req, res) => sendMessagePage(req.params.name, req, res));
+
+// 1c. Get a Single Message (?mailbox=INBOX, ?remoteImages=allow to load remote images)
+app.get('/api/messages/:uid', authenticateToken, requireMailAccount, async (req, res) => {
+  const uid = parseInt(req.params.uid, 10);
+  const mailbox = req.query.mailbox || 'INBOX';
+
+  if (!Number.isFinite(uid) || uid <= 0) {
+    return res.status(400).json({ error: 'Invalid message UID' });
+  }
+
+  try {
+    const message = await fetchMessage(req.mail.imapSession, mailbox, uid, { blockRemoteImages: req.query.remoteImages !== 'allow' });
+    if (!message) {
+      return res.status(404).json({ error: 'Message not found' });
+    }
+    res.json(message);
+  } catch (error) {
+    if (isMissingMailboxError(error)) {
+      return res.status(404).json({ error: `Mailbox not found: ${mailbox}` });
+    }
+    if (error.code === 'IMAP_UNAVAILABLE') {
+      return res.status(503).json({ error: error.message, code: error.code });
+    }
+    console.error('Message error:', error);
+    res.status(500).json({ error: 'Failed to fetch email' });
+  }
+});
+
+// 1d. Download/Preview an Attachment of a Received Message (?mailbox=INBOX, ?download=1 to force a download)
+app.get('/api/messages/:uid/attachments/:partId', authenticateToken, requireMailAccount, async (req, res) => {
+  const uid = parseInt(req.params.uid, 10);
+  const { partId } = req.params;
+  const mailbox = req.query.mailbox || 'INBOX';
+
+  if (!Number.isFinite(uid) || uid <= 0 || !/^\d+(\.\d+)*$/.test(partId)) {
+    return res.status(400).json({ error: 'Invalid message UID or part ID' });
+  }
+
+  try {
+    await streamAttachment(req.mail.imapSession, mailbox, uid, partId, res, { download: req.query.download === '1' });
+  } catch (error) {
+    if (res.headersSent) {
+      console.error('Attachment stream error:', error);
+      return res.end();
+    }
+    if (error.code === 'NOT_FOUND') {
+      return res.status(404).json({ error: error.message });
+    }
+    if (isMissingMailboxError(error)) {
+      return res.status(404).json({ error: `Mailbox not found: ${mailbox}` });
+    }
+    if (error.code === 'IMAP_UNAVAILABLE') {
+      return res.status(503).json({ error: error.message, code: error.code });
+    }
+    console.error('Attachment error:', error);
+    res.status(500).json({ error: 'Failed to fetch attachment' });
+  }
+});
+
+// 1e. Prepare a Reply, Reply All or Forward of a Message: recipients, subject and quoted text
+// for the compose form (?mailbox=INBOX, ?mode=reply|replyAll|forward, ?forwardAs=inline|attachment)
+app.get('/api/messages/:uid/compose', authenticateToken, requireMailAccount, async (req, res) => {
+  const uid = parseInt(req.params.uid, 10);
+  const mailbox = req.query.mailbox || 'INBOX';
+  const original = { mailbox, uid, mode: req.query.mode || 'reply', forwardAs: req.query.forwardAs || 'inline' };
+
+  if (!Number.isFinite(uid) || uid <= 0) {
+    return res.status(400).json({ error: 'Invalid message UID' });
+  }
+
+  try {
+    const source = await fetchRawMessage(req.mail.imapSession, mailbox, uid);
+    if (!source) {
+      return res.status(404).json({ error: 'Message not found' });
+    }
+    const own = identities.ownAddresses(req.account.id, req.mail.address);
+    const response = await compose.prepareResponse(source, original, own);
+    // Answer from the address the message was sent to, else the default sender
+    const from = response.via || identities.resolveSender(req.account.id, req.mail.address).address;
+    res.json(Object.assign({ from, original }, response));
+  } catch (error) {
+    if (error.status) {
+      return res.status(error.status).json({ error: error.message });
+    }
+    if (isMissingMailboxError(error)) {
+      return res.status(404).json({ error: `Mailbox not found: ${mailbox}` });
+    }
+    if (error.code === 'IMAP_UNAVAILABLE') {
+      return res.status(503).json({ error: error.message, code: error.code });
+    }
+    console.error('Compose error:', error);
+    res.status(500).json({ error: 'Failed to prepare the message' });
+  }
+});
+
+// Errors of the thread routes, same responses as the message listings
+function sendThreadError(error, mailbox, res) {
+  if (isMissingMailboxError(error)) {
+    return res.status(404).json({ error: `Mailbox not found: ${mailbox}` });
+  }
+  if (error.code === 'IMAP_UNAVAILABLE') {
+    return res.status(503).json({ error: error.message, code: error.code });
+  }
+  console.error('Thread error:', error);
+  res.status(500).json({ error: 'Failed to fetch conversations' });
+}
+
+// 1f. List Conversations of a Mailbox, most recently active first
+// (?limit=20&page=1; ?scan=500 is how many of the newest messages are grouped)
+app.get('/api/mailboxes/:name/threads', authenticateToken, requireMailAccount, async (req, res) => {
+  try {
+    res.json(await threads.listThreads(req.mail.imapSession, req.params.name, threads.parseThreadOptions(req.query)));
+  } catch (error) {
+    sendThreadError(error, req.params.name, res);
+  }
+});
+
+// 1g. Get a Conversation with All Its Messages, oldest first (?scan and ?remoteImages as above)
+app.get('/api/mailboxes/:name/threads/:threadId', authenticateToken, requireMailAccount, async (req, res) => {
+  try {
+    const thread = await threads.getThread(req.mail.imapSession, req.params.name, req.params.threadId, threads.parseThreadOptions(req.query));
+    if (!thread) {
+      return res.status(404).json({ error: 'Conversation not found' });
+    }
+    res.json(thread);
+    indexInBackground(req, req.params.name, thread.uidValidity, thread.messages);
+  } catch (error) {
+    sendThreadError(error, req.params.name, res);
+  }
+});
+
+// 1h. Search Messages (?q=words with from:, to:, subject:, body:, after:, before:, has:attachment
+// and in:<mailbox> operators, or the same as ?from, ?to, ?subject, ?body, ?since, ?before,
+// ?hasAttachment=1, ?mailbox=INBOX; ?limit and ?page for paging). The IMAP server matches by
+// default; ?local=1 does a fast typo-tolerant search of already fetched messages in all mailboxes
+// (their headers and preview only).
+app.get('/api/search', authenticateToken, requireMailAccount, async (req, res) => {
+  let options;
+  try {
+    options = search.parseSearchOptions(req.query);
+  } catch (error) {
+    return res.status(error.status || 400).json({ error: error.message });
+  }
+
+  if (options.local) {
+    const result = search.searchIndex(req.account.id, req.mail.address, options);
+    return res.json(Object.assign({ mode: 'local', mailbox: options.mailbox, filters: options.filters }, result));
+  }
+
+  const mailbox = options.mailbox || 'INBOX';
+  try {
+    const result = await searchMessages(req.mail.imapSession, mailbox, search.buildCriteria(options.filters), {
+      limit: options.limit,
+      page: options.page,
+      hasAttachment: options.filters.hasAttachment,
+      blockRemoteImages: options.blockRemoteImages
+    });
+    res.json(Object.assign({ mode: 'imap', filters: options.filters }, result));
+    indexInBackground(req, mailbox, result.uidValidity, result.messages);
+  } catch (error) {
+    if (isMissingMailboxError(error)) {
+      return res.status(404).json({ error: `Mailbox not found: ${mailbox}` });
+    }
+    if (error.code === 'IMAP_UNAVAILABLE') {
+      return res.status(503).json({ error: error.message, code: error.code });
+    }
+    console.error('Search error:', error);
+    res.status(500).json({ error: 'Failed to search emails' });
+  }
+});
+
+// 1i. Live Inbox Updates as Server-Sent Events (new mail, deletions, flag changes and the
+// unread count, see live.js). EventSource can't send headers: pass ?ticket= from
+// POST /api/events/ticket, valid for a minute to open the stream.
+app.post('/api/events/ticket', authenticateToken, (req, res) => {
+  res.json({ success: true, ticket: createEventTicket(req.account), expiresIn: EVENT_TICKET_TTL / 1000 });
+});
+
+app.get('/api/events', authenticateEventStream, requireMailAccount, (req, res) => {
+  res.set({
+    'Content-Type': 'text/event-stream',
+    'Cache-Control': 'no-cache, no-transform',
+    'Connection': 'keep-alive',
+    'X-Accel-Buffering': 'no'
+  });
+  res.flushHeaders();
+  // Browsers reconnect on their own after this many ms when the stream drops
+  res.write('retry: 5000\n\n');
+
+  const unsubscribe = live.subscribe(req.account.id, res);
+  req.on('close', unsubscribe);
+});
+
+// Most messages one action request may change
+const MAX_ACTION_UIDS = 1000;
+// Flags that can be set or cleared by name in POST /api/messages/flags
+const FLAG_NAMES = { seen: '\\Seen', flagged: '\\Flagged', answered: '\\Answered' };
+
+// Messages an action applies to: { mailbox (default INBOX), uids } of a request body
+function readSelection(body) {
+  const uids = Array.isArray(body.uids) ? body.uids.map(uid => parseInt(uid, 10)) : [];
+  if (uids.length === 0 || uids.some(uid => !Number.isFinite(uid) || uid <= 0)) {
+    throw Object.assign(new Error('uids must be a non-empty list of message UIDs'), { status: 400 });
+  }
+  if (uids.length > MAX_ACTION_UIDS) {
+    throw Object.assign(new Error(`At most ${MAX_ACTION_UIDS} messages per request`), { status: 400 });
+  }
+  const mailbox = typeof body.mailbox === 'string' && body.mailbox ? body.mailbox : 'INBOX';
+  return { mailbox, uids: Array.from(new Set(uids)) };
+}
+
+// Errors of the message action routes
+function sendActionError(error, mailbox, res, fallbackMessage) {
+  if (error.status) {
+    return res.status(error.status).json({ error: error.message });
+  }
+  if (isMissingMailboxError(error)) {
+    return res.status(404).json({ error: `Mailbox not found: ${mailbox}` });
+  }
+  if (error.code === 'IMAP_UNAVAILABLE') {
+    return res.status(503).json({ error: error.message, code: error.code });
+  }
+  console.error(`${fallbackMessage}:`, error);
+  res.status(500).json({ error: fallbackMessage });
+}
+
+// Move a selection to the first mailbox with one of the special uses
+async function moveToSpecial(req, res, specialUses, label) {
+  const mailbox = req.body.mailbox || 'INBOX';
+  try {
+    const selection = readSelection(req.body);
+    const target = await findSpecialMailbox(req.mail.imapSession, ...specialUses);
+    if (!target) {
+      return res.status(409).json({ error: `No ${label} folder found on the mail server` });
+    }
+    if (target === selection.mailbox) {
+      return res.status(400).json({ error: `The messages are already in ${target}` });
+    }
+    const expunged = await moveMessages(req.mail.imapSession, selection.mailbox, selection.uids, target);
+    res.json({ success: true, mailbox: selection.mailbox, uids: selection.uids, to: target, expunged });
+  } catch (error) {
+    sendActionError(error, mailbox, res, `Failed to move messages to ${label}`);
+  }
+}
+
+// 1j. Mark Messages Read/Unread, Starred, Answered: { mailbox, uids, seen, flagged, answered }
+// (true sets the flag, false clears it, leave out the ones to keep)
+app.post('/api/messages/flags', authenticateToken, requireMailAccount, async (req, res) => {
+  const mailbox = req.body.mailbox || 'INBOX';
+  try {
+    const selection = readSelection(req.body);
+    const add = [];
+    const remove = [];
+    Object.keys(FLAG_NAMES).forEach(name => {
+      if (req.body[name] === true) add.push(FLAG_NAMES[name]);
+      if (req.body[name] === false) remove.push(FLAG_NAMES[name]);
+    });
+    if (add.length + remove.length === 0) {
+      return res.status(400).json({ error: `Set at least one of: ${Object.keys(FLAG_NAMES).join(', ')} (true or false)` });
+    }
+
+    await updateFlags(req.mail.imapSession, selection.mailbox, selection.uids, { add, remove });
+    res.json({ success: true, mailbox: selection.mailbox, uids: selection.uids, added: add, removed: remove });
+  } catch (error) {
+    sendActionError(error, mailbox, res, 'Failed to update flags');
+  }
+});
+
+// 1k. Move Messages to Another Mailbox: { mailbox, uids, to } (expunged: false when the
+// server could only copy them and mark the originals \Deleted, see moveMessages)
+app.post('/api/messages/move', authenticateToken, requireMailAccount, async (req, res) => {
+  const mailbox = req.body.mailbox || 'INBOX';
+  try {
+    const selection = readSelection(req.body);
+    if (typeof req.body.to !== 'string' || !req.body.to) {
+      return res.status(400).json({ error: 'Target mailbox (to) is required' });
+    }
+    if (req.body.to === selection.mailbox) {
+      return res.status(400).json({ error: 'Source and target mailbox are the same' });
+    }
+    // Servers word a missing target differently; look it up first
+    const mailboxes = await listMailboxes(req.mail.imapSession);
+    if (!mailboxes.some(box => box.path === req.body.to)) {
+      return res.status(404).json({ error: `Mailbox not found: ${req.body.to}` });
+    }
+    const expunged = await moveMessages(req.mail.imapSession, selection.mailbox, selection.uids, req.body.to);
+    res.json({ success: true, mailbox: selection.mailbox, uids: selection.uids, to: req.body.to, expunged });
+  } catch (error) {
+    sendActionError(error, mailbox, res, 'Failed to move messages');
+  }
+});
+
+// 1l. Move Messages to Trash: { mailbox, uids }
+app.post('/api/messages/trash', authenticateToken, requireMailAccount, (req, res) => moveToSpecial(req, res, ['\\Trash'], 'Trash'));
+
+// 1m. Archive Messages (the Archive folder, or All Mail on Gmail): { mailbox, uids }
+app.post('/api/messages/archive', authenticateToken, requireMailAccount, (req, res) => moveToSpecial(req, res, ['\\Archive', '\\All'], 'Archive'));
+
+// 1n. Delete Messages Permanently: { mailbox, uids }
+app.post('/api/messages/expunge', authenticateToken, requireMailAccount, async (req, res) => {
+  const mailbox = req.body.mailbox || 'INBOX';
+  try {
+    const selection = readSelection(req.body);
+    await expungeMessages(req.mail.imapSession, selection.mailbox, selection.uids);
+    res.json({ success: true, mailbox: selection.mailbox, uids: selection.uids });
+  } catch (error) {
+    sendActionError(error, mailbox, res, 'Failed to delete messages');
+  }
+});
+
+// 2. Send Single Email (sendAt + timeZone to schedule it instead, see schedule.js;
+// draftId to send a saved draft: its attachments go along and the draft is removed;
+// original: { mailbox, uid, mode, forwardAs } for replies and forwards, see compose.js;
+// from (or identityId) must be a verified sender identity, the default one when left out;
+// headers: { 'List-Id': '...', ... } from the allow-list in deliverability.js)
+app.post('/api/send', authenticateToken, requireMailAccount, upload.array('attachments'), async (req, res) => {
+  // Forwarded attachments written for this request
+  let forwarded = [];
+  try {
+    const emailData = JSON.parse(req.body.data);
+    const { to, subject, text, html, cc, bcc } = emailData;
+    // Recipients: "a@example.com, b@example.com" or an array of addresses
+    ['to', 'cc', 'bcc'].forEach(field => {
+      const value = emailData[field];
+      if (value && typeof value !== 'string' && !(Array.isArray(value) && value.every(address => typeof address === 'string'))) {
+        throw Object.assign(new Error(`${field} must be a string or an array of addresses`), { status: 400 });
+      }
+    });
+    const when = schedule.parseSendAt(emailData.sendAt, emailData.timeZone);
+    const customHeaders = deliverability.customHeaders(emailData.headers);
+    
+    const sender = identities.resolveSender(req.account.id, req.mail.address, emailData);
+
+    const draft = emailData.draftId ? drafts.getDraft(req.account.id, emailData.draftId) : null;
+    if (emailData.draftId && !draft) {
+      throw Object.assign(new Error('Draft not found'), { status: 404 });
+    }
+
+    // Threading headers of a reply, attachments of a forward
+    let headers = {};
+    if (emailData.original) {
+      const { mailbox = 'INBOX', uid } = emailData.original;
+      const source = await fetchRawMessage(req.mail.imapSession, mailbox, parseInt(uid, 10));
+      if (!source) {
+        throw Object.assign(new Error('Original message not found'), { status: 404 });
+      }
+      const parts = await compose.responseParts(source, emailData.original);
+      headers = parts.headers;
+      forwarded = parts.files;
+    }
+    const files = (req.files || []).concat(draft ? drafts.attachmentFiles(draft) : [], forwarded);
+
+    const attachments = files.map(file => ({
+      filename: file.originalname,
+      path: file.path
+    }));
+
+    // Leave out everyone on the suppression list
+    const suppressed = [];
+    const allowed = value => {
+      if (!value) return undefined;
+      const list = (Array.isArray(value) ? value : value.split(',')).map(address => address.trim()).filter(Boolean);
+      return list.filter(address => {
+        if (!suppression.isSuppressed(req.account.id, recipients.addressOf(address))) return true;
+        suppressed.push(address);
+        return false;
+      });
+    };
+    const toList = allowed(to) || [];
+    const ccList = allowed(cc);
+    const bccList = allowed(bcc);
+    if (toList.length + (ccList || []).length + (bccList || []).length === 0) {
+      (req.files || []).concat(forwarded).forEach(file => {
+        if (fs.existsSync(file.path)) {
+          fs.unlinkSync(file.path);
+        }
+      });
+      return res.status(422).json({ 
+        error: 'All recipients are on the suppression list',
+        details: suppressed.join(', '),
+        suppressed
+      });
+    }
+
+    const mailOptions = {
+      from: sender.from,
+      to: toList,
+      cc: ccList && ccList.length ? ccList : undefined,
+      bcc: bccList && bccList.length ? bccList : undefined,
+      replyTo: sender.replyTo,
+      subject,
+      text,
+      html: html || text,
+      inReplyTo: headers.inReplyTo,
+      references: headers.references,
+      headers: customHeaders,
+      attachments
+    };
+
+    if (when) {
+      const message = Object.assign({}, mailOptions);
+      delete message.attachments;
+      const entry = schedule.scheduleEmail(req.account.id, message, when, files);
+      if (draft) drafts.deleteDraft(draft);
+      return res.status(202).json({
+        success: true,
+        message: 'Email scheduled',
+        scheduledId: entry.id,
+        scheduled: schedule.publicScheduledEmail(entry),
+        suppressed
+      });
+    }
+
+    const info = await req.mail.transporter.sendMail(mailOptions);
+
+    // Clean up attachments
+    attachments.forEach(att => {
+      if (fs.existsSync(att.path)) {
+        fs.unlinkSync(att.path);
+      }
+    });
+    if (draft) drafts.deleteDraft(draft);
+
+    res.json({ 
+      success: true, 
+      message: 'Email sent successfully',
+      messageId: info.messageId,
+      suppressed
+    });
+  } catch (error) {
+    console.error('Send error:', error);
+    
+    // Clean up attachments even on error
+    (req.files || []).concat(forwarded).forEach(file => {
+      if (fs.existsSync(file.path)) {
+        fs.unlinkSync(file.path);
+      }
+    });
+
+    if (error.status === 404 || error.status === 422) {
+      return res.status(error.status).json({ error: error.message });
+    }
+    if (error.status || error instanceof SyntaxError) {
+      return res.status(400).json({ error: 'Invalid email data', details: error.message });
+    }
+    res.status(500).json({ 
+      error: 'Failed to send email',
+      details: error.message 
+    });
+  }
+});
+
+// Scheduled emails and campaigns of the logged-in user share these routes
+function loadScheduled(req, res, next) {
+  const email = schedule.getScheduledEmail(req.account.id, req.params.id);
+  if (email) {
+    req.scheduled = { type: 'email', entry: email };
+    return next();
+  }
+  const campaign = campaigns.getCampaign(req.params.id);
+  if (campaign && campaign.ownerId === req.account.id && campaign.sendAt) {
+    req.scheduled = { type: 'campaign', entry: campaign };
+    return next();
+  }
+  res.status(404).json({ success: false, message: 'Scheduled item not found' });
+}
+
+function publicScheduled({ type, entry }) {
+  return type === 'email'
+    ? schedule.publicScheduledEmail(entry)
+    : Object.assign({ type: 'campaign' }, campaigns.publicCampaign(entry));
+}
+
+// 2a. List Scheduled Emails and Campaigns, next first (?all=1 adds the ones already sent, failed or cancelled)
+app.get('/api/scheduled', authenticateToken, (req, res) => {
+  const all = req.query.all === '1';
+  const emails = schedule.listScheduledEmails(req.account.id, { all })
+    .map(entry => publicScheduled({ type: 'email', entry }));
+  const scheduledCampaigns = campaigns.listCampaigns(req.account.id)
+    .filter(campaign => campaign.sendAt && (all || campaign.status === 'scheduled'))
+    .map(entry => publicScheduled({ type: 'campaign', entry }));
+
+  res.json({
+    success: true,
+    scheduled: emails.concat(scheduledCampaigns).sort((a, b) => a.sendAt.localeCompare(b.sendAt))
+  });
+});
+
+app.get('/api/scheduled/:id', authenticateToken, loadScheduled, (req, res) => {
+  res.json({ success: true, scheduled: publicScheduled(req.scheduled) });
+});
+
+// 2b. Edit a Scheduled Item: { sendAt, timeZone } for both; emails also { to, cc, bcc, subject, text, html }
+app.patch('/api/scheduled/:id', authenticateToken, loadScheduled, (req, res) => {
+  try {
+    const { type, entry } = req.scheduled;
+    let updated;
+    if (type === 'email') {
+      updated = schedule.updateScheduledEmail(entry, req.body);
+    } else {
+      const extra = Object.keys(req.body).filter(key => !['sendAt', 'timeZone'].includes(key));
+      if (extra.length) {
+        return res.status(400).json({ success: false, message: 'Only sendAt and timeZone can be changed for a scheduled campaign' });
+      }
+      updated = campaigns.rescheduleCampaign(entry.id, req.body);
+    }
+    res.json({ success: true, scheduled: publicScheduled({ type, entry: updated }) });
+  } catch (error) {
+    sendUserError(res, error, 'Failed to update scheduled item');
+  }
+});
+
+// 2c. Cancel a Scheduled Item
+app.delete('/api/scheduled/:id', authenticateToken, loadScheduled, (req, res) => {
+  try {
+    const { type, entry } = req.scheduled;
+    const updated = type === 'email'
+      ? schedule.cancelScheduledEmail(entry)
+      : campaigns.cancelCampaign(entry.id);
+    res.json({ success: true, scheduled: publicScheduled({ type, entry: updated }) });
+  } catch (error) {
+    sendUserError(res, error, 'Failed to cancel scheduled item');
+  }
+});
+
+// Campaign uploads: attachments plus an optional CSV/JSON file of recipient rows
+const campaignUpload = upload.fields([{ name: 'attachments' }, { name: 'recipientsFile', maxCount: 1 }]);
+
+function removeUploads(req) {
+  Object.values(req.files || {}).forEach(files => {
+    files.forEach(file => {
+      if (fs.existsSync(file.path)) {
+        fs.unlinkSync(file.path);
+      }
+    });
+  });
+}
+
+// Campaign fields from a multipart "data" part or a JSON body, plus the recipient
+// rows: a contact list and/or tag when listId/tag is given, else the recipients
+function readCampaignRequest(req) {
+  try {
+    const emailData = templates.applyTemplate(req.account.id, typeof req.body.data === 'string' ? JSON.parse(req.body.data) : req.body);
+    emailData.from = identities.resolveSender(req.account.id, accountAddress(req), { from: emailData.from, identityId: emailData.identityId, senderName: emailData.senderName }).from;
+    const files = req.files || {};
+    const rows = emailData.listId || emailData.tag
+      ? contacts.audienceRows(req.account.id, { listId: emailData.listId, tag: emailData.tag })
+      : recipients.readRows(emailData.recipients, files.recipientsFile && files.recipientsFile[0]);
+    return { emailData, rows };
+  } catch (error) {
+    if (error instanceof SyntaxError) {
+      error.status = 400;
+    }
+    throw error;
+  }
+}
+
+// 3. Send Marketing Campaign (queued; poll GET /api/campaigns/:id for progress)
+// data: { from | identityId, senderName, subject, text, html | templateId, variables, recipients | listId | tag, fallbacks, requiredFields, skipInvalidRows, trackOpens, trackClicks, sendAt, timeZone }
+// - recipients: addresses, or rows of fields such as { email, firstName } (or upload recipientsFile as CSV/JSON)
+// - listId/tag: send to the contacts in a list and/or with a tag (their fields are available as placeholders)
+// - from must be a verified sender identity (see /api/identities); the default one when left out
+// - subject/text/html may use {{firstName}} or {{firstName|fallback}} placeholders
+app.post('/api/send-campaign', authenticateToken, requireMailAccount, campaignUpload, (req, res) => {
+  try {
+    const { emailData, rows } = readCampaignRequest(req);
+    const campaign = campaigns.createCampaign(req.account.id, emailData, rows, (req.files && req.files.attachments) || []);
+    removeUploads(req);
+
+    res.status(202).json({ 
+      success: true, 
+      message: campaign.status === 'scheduled' ? 'Campaign scheduled' : 'Campaign queued',
+      campaignId: campaign.id,
+      campaign: campaigns.publicCampaign(campaign)
+    });
+  } catch (error) {
+    removeUploads(req);
+    sendUserError(res, error, 'Failed to queue campaign');
+  }
+});
+
+// 3a. Preview a Campaign Message for one recipient row (same body as send-campaign, plus row: 1-based)
+app.post('/api/campaigns/preview', authenticateToken, campaignUpload, (req, res) => {
+  try {
+    const { emailData, rows } = readCampaignRequest(req);
+    removeUploads(req);
+    const checked = campaigns.checkCampaign(emailData, rows);
+    const row = parseInt(emailData.row, 10) || 1;
+    if (row < 1 || row > rows.length) {
+      return res.status(400).json({ success: false, message: `Row must be between 1 and ${rows.length}` });
+    }
+
+    const to = recipients.rowEmail(rows[row - 1]);
+    const message = renderMessage(emailData, Object.assign({}, rows[row - 1], {
+      unsubscribeUrl: suppression.unsubscribeUrl(req.account.id, to, null)
+    }));
+    const rowErrors = checked.errors.find(error => error.row === row);
+
+    res.json({
+      success: true,
+      preview: {
+        row,
+        to,
+        subject: message.subject,
+        text: message.text,
+        html: message.html,
+        missing: message.missing,
+        problems: rowErrors ? rowErrors.problems : []
+      },
+      validation: {
+        total: rows.length,
+        valid: checked.recipients.length,
+        duplicates: checked.duplicates,
+        requiredFields: checked.requiredFields,
+        errors: checked.errors
+      }
+    });
+  } catch (error) {
+    removeUploads(req);
+    sendUserError(res, error, 'Failed to preview campaign');
+  }
+});
+
+// Campaign of the current user (admins can reach every campaign)
+function loadCampaign(req, res, next) {
+  const campaign = campaigns.getCampaign(req.params.id);
+  if (!campaign || (campaign.ownerId !== req.account.id && req.account.role !== 'admin')) {
+    return res.status(404).json({ success: false, message: 'Campaign not found' });
+  }
+  req.campaign = campaign;
+  next();
+}
+
+// 3b. List Campaigns (admins: ?all=1 for everyone's)
+app.get('/api/campaigns', authenticateToken, (req, res) => {
+  const ownerId = req.account.role === 'admin' && req.query.all === '1' ? null : req.account.id;
+  res.json({ success: true, campaigns: campaigns.listCampaigns(ownerId).map(campaign => campaigns.publicCampaign(campaign)) });
+});
+
+// 3c. Campaign Status (?results=1 adds the per-recipient results)
+app.get('/api/campaigns/:id', authenticateToken, loadCampaign, (req, res) => {
+  res.json({ success: true, campaign: campaigns.publicCampaign(req.campaign, req.query.results === '1') });
+});
+
+// 3d. Campaign Analytics: opens, clicks and per-link breakdown (?recipients=1 adds per-recipient activity)
+app.get('/api/campaigns/:id/analytics', authenticateToken, loadCampaign, (req, res) => {
+  const analytics = tracking.campaignAnalytics(req.campaign);
+  if (req.query.recipients === '1') {
+    analytics.recipients = tracking.recipientActivity(req.campaign.id);
+  }
+  res.json({ success: true, analytics });
+});
+
+// 3e. Pause / Resume / Cancel a Campaign
+const campaignActions = {
+  pause: campaigns.pauseCampaign,
+  resume: campaigns.resumeCampaign,
+  cancel: campaigns.cancelCampaign
+};
+
+app.post('/api/campaigns/:id/:action(pause|resume|cancel)', authenticateToken, loadCampaign, (req, res) => {
+  try {
+    const campaign = campaignActions[req.params.action](req.campaign.id);
+    res.json({ success: true, campaign: campaigns.publicCampaign(campaign) });
+  } catch (error) {
+    sendUserError(res, error, `Failed to ${req.params.action} campaign`);
+  }
+});
+
+// 4. Health Check Endpoint (public, so nothing about accounts here: per-account
+// SMTP/IMAP details are at GET /api/account/status, all sessions at GET /api/health/sessions)
+app.get('/api/health', (req, res) => {
+  res.json({ 
+    status: 'ok',
+    services: {
+      server: 'running'
+    },
+    timestamp: new Date().toISOString(),
+    environment: process.env.NODE_ENV || 'development'
+  });
+});
+
+// IMAP sessions of all users, counted by state (admins only)
+app.get('/api/health/sessions', authenticateToken, requireAdmin, (req, res) => {
+  res.json({
+    success: true,
+    imap: accounts.sessionStates(),
+    timestamp: new Date().toISOString()
+  });
+});
+
+// 5. Test Email Endpoint
+app.post('/api/test-email', authenticateToken, requireMailAccount, async (req, res) => {
+  try {
+    const testMailOptions = {
+      from: req.mail.address,
+      to: req.mail.address, // Send to yourself
+      subject: 'Test Email from Render',
+      text: 'This is a test email from your deployed application on Render.',
+      html: '<p>This is a test email from your deployed application on Render.</p>'
+    };
+
+    const info = await req.mail.transporter.sendMail(testMailOptions);
+    
+    res.json({ 
+      success: true, 
+      message: 'Test email sent successfully',
+      messageId: info.messageId 
+    });
+  } catch (error) {
+    console.error('Test email error:', error);
+    res.status(500).json({ 
+      success: false,
+      error: 'Failed to send test email',
+      details: error.message,
+      code: error.code
+    });
+  }
+});
+
+// 6. Sender Domain Diagnostics: SPF, DKIM and DMARC records of ?domain= (default: the
+// domain of the account's address), looked up through ?resolver=<ip[:port]> (default:
+// DNS_RESOLVER, else the system resolver); ?selector=a,b for the DKIM selectors to check
+app.get('/api/deliverability', authenticateToken, async (req, res) => {
+  try {
+    const account = users.getMailAccount(req.account);
+    const domain = req.query.domain || (account ? account.address.split('@').pop() : '');
+    const resolver = deliverability.createResolver(req.query.resolver || process.env.DNS_RESOLVER);
+    const selectors = String(req.query.selector || '').split(',').map(selector => selector.trim()).filter(Boolean);
+    res.json(Object.assign({ success: true }, await deliverability.checkDomain(domain, { resolver, selectors })));
+  } catch (error) {
+    sendUserError(res, error, 'Failed to check the domain');
+  }
+});
+
+// Start server
+const PORT = process.env.PORT || 3000;
+app.listen(PORT, () => {
+  console.log(`🚀 Server running on http://localhost:${PORT}`);
+  console.log(`📧 API Endpoints:
+  - POST   /api/login
+  - POST   /api/logout
+  - POST   /api/refresh
+  - GET    /api/me
+  - GET    /api/account/status
+  - GET    /api/providers
+  - GET    /api/account/mail
+  - POST   /api/account/mail/test
+  - PUT    /api/account/mail
+  - PUT    /api/account/password
+  - GET    /api/users (admin)
+  - POST   /api/users (admin)
+  - PATCH  /api/users/:id (admin)
+  - DELETE /api/users/:id (admin)
+  - GET    /api/identities
+  - POST   /api/identities
+  - PATCH  /api/identities/:id
+  - DELETE /api/identities/:id
+  - POST   /api/identities/:id/resend
+  - GET    /api/identities/verify/:token (public)
+  - POST   /api/identities/verify/:token (public)
+  - GET    /api/contact-lists
+  - POST   /api/contact-lists
+  - PATCH  /api/contact-lists/:id
+  - DELETE /api/contact-lists/:id
+  - GET    /api/contacts
+  - GET    /api/contacts/export
+  - POST   /api/contacts/import
+  - POST   /api/contacts
+  - GET    /api/contacts/:id
+  - PATCH  /api/contacts/:id
+  - DELETE /api/contacts/:id
+  - GET    /api/suppressions
+  - POST   /api/suppressions
+  - DELETE /api/suppressions/:email
+  - GET    /api/bounces
+  - POST   /api/bounces/scan
+  - GET    /api/unsubscribe/:token (public)
+  - POST   /api/unsubscribe/:token (public, RFC 8058 one-click)
+  - GET    /api/t/o/:token (public, open pixel)
+  - GET    /api/t/c/:token (public, click redirect)
+  - GET    /api/drafts
+  - GET    /api/drafts/:id
+  - POST   /api/drafts
+  - PUT    /api/drafts/:id
+  - DELETE /api/drafts/:id
+  - GET    /api/drafts/:id/attachments/:attachmentId
+  - GET    /api/templates
+  - POST   /api/templates
+  - POST   /api/templates/render
+  - GET    /api/templates/:id
+  - PUT    /api/templates/:id
+  - DELETE /api/templates/:id
+  - GET    /api/templates/:id/versions/:version
+  - POST   /api/templates/:id/versions/:version/restore
+  - POST   /api/templates/:id/render
   - GET    /api/inbox
+  - GET    /api/mailboxes
+  - GET    /api/mailboxes/:name/messages
+  - GET    /api/messages/:uid
+  - GET    /api/messages/:uid/attachments/:partId
+  - GET    /api/messages/:uid/compose
+  - GET    /api/mailboxes/:name/threads
+  - GET    /api/mailboxes/:name/threads/:threadId
+  - GET    /api/search
+  - POST   /api/events/ticket
+  - GET    /api/events?ticket= (Server-Sent Events)
+  - POST   /api/messages/flags
+  - POST   /api/messages/move
+  - POST   /api/messages/trash
+  - POST   /api/messages/archive
+  - POST   /api/messages/expunge
   - POST   /api/send
+  - GET    /api/scheduled
+  - GET    /api/scheduled/:id
+  - PATCH  /api/scheduled/:id
+  - DELETE /api/scheduled/:id
   - POST   /api/send-campaign
+  - POST   /api/campaigns/preview
+  - GET    /api/campaigns
+  - GET    /api/campaigns/:id
+  - GET    /api/campaigns/:id/analytics
+  - POST   /api/campaigns/:id/pause|resume|cancel
   - GET    /api/health
-  - POST   /api/test-email`);
+  - GET    /api/health/sessions
+  - POST   /api/test-email
+  - GET    /api/deliverability`);
   console.log(`🌍 Environment: ${process.env.NODE_ENV || 'development'}`);
+
+  // Pick up campaigns that were queued or interrupted before the restart
+  campaigns.start();
+  // ...and single emails scheduled for later
+  schedule.start();
+  // Check the inbox for bounce reports every BOUNCE_SCAN_INTERVAL_MS
+  bounces.start();
+});
+
+// Close the IMAP sessions cleanly on shutdown
+process.on('SIGTERM', () => {
+  tracking.flush();
+  campaigns.flush();
+  accounts.closeAll();
+  process.exit(0);
 });
@@ -0,0 +1,104 @@
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+
+// Where the JSON collections live (one <name>.json file per collection)
+const DATA_DIR = process.env.DATA_DIR || path.join(__dirname, 'data');
+
+// Minimal persistent collection backed by a JSON file. Everything is kept in
+// memory and written back synchronously (via a temp file + rename, so a crash
+// never leaves a half-written file) after each change.
+class Collection {
+  constructor(name) {
+    this.name = name;
+    this.file = path.join(DATA_DIR, `${name}.json`);
+    this.records = this._load();
+    this.batching = false;
+    this.changed = false;
+  }
+
+  _load() {
+    try {
+      return JSON.parse(fs.readFileSync(this.file, 'utf8'));
+    } catch (error) {
+      if (error.code === 'ENOENT') return [];
+      throw new Error(`Failed to read ${this.file}: ${error.message}`);
+    }
+  }
+
+  save() {
+    if (this.batching) {
+      this.changed = true;
+      return;
+    }
+    if (!fs.existsSync(DATA_DIR)) {
+      fs.mkdirSync(DATA_DIR, { recursive: true });
+    }
+    const temp = `${this.file}.${process.pid}.tmp`;
+    fs.writeFileSync(temp, JSON.stringify(this.records, null, 2), { mode: 0o600 });
+    fs.renameSync(temp, this.file);
+  }
+
+  // Run several changes with a single write at the end (e.g. bulk imports);
+  // nothing is written when none of them changed anything
+  batch(fn) {
+    this.batching = true;
+    this.changed = false;
+    try {
+      return fn();
+    } finally {
+      this.batching = false;
+      if (this.changed) this.save();
+    }
+  }
+
+  all(predicate) {
+    return predicate ? this.records.filter(predicate) : this.records.slice();
+  }
+
+  find(predicate) {
+    return this.records.find(predicate) || null;
+  }
+
+  get(id) {
+    return this.find(record => record.id === id);
+  }
+
+  insert(record) {
+    const now = new Date().toISOString();
+    const created = Object.assign({ id: crypto.randomUUID() }, record, { createdAt: now, updatedAt: now });
+    this.records.push(created);
+    this.save();
+    return created;
+  }
+
+  update(id, changes) {
+    const record = this.get(id);
+    if (!record) return null;
+    Object.assign(record, changes, { updatedAt: new Date().toISOString() });
+    this.save();
+    return record;
+  }
+
+  remove(id) {
+    const index = this.records.findIndex(record => record.id === id);
+    if (index === -1) return false;
+    this.records.splice(index, 1);
+    this.save();
+    return true;
+  }
+
+  // Remove every record matching `predicate` in one pass; returns how many
+  removeWhere(predicate) {
+    const before = this.records.length;
+    this.records = this.records.filter(record => !predicate(record));
+    const removed = before - this.records.length;
+    if (removed) this.save();
+    return removed;
+  }
+}
+
+module.exports = {
+  Collection,
+  DATA_DIR
+};
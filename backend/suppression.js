@@ -0,0 +1,65 @@
+const { Collection } = require('./store');
+const { PUBLIC_URL, createToken, readToken } = require('./links');
+
+// Addresses a user must not send to any more (unsubscribed, bounced or added
+// by hand). Checked by /api/send and by the campaign worker before each message.
+const suppressions = new Collection('suppressions');
+
+const REASONS = ['unsubscribe', 'bounce', 'complaint', 'manual'];
+
+function normalize(email) {
+  return String(email || '').trim().toLowerCase();
+}
+
+function isSuppressed(ownerId, email) {
+  const wanted = normalize(email);
+  return Boolean(suppressions.find(entry => entry.ownerId === ownerId && entry.email === wanted));
+}
+
+function listSuppressions(ownerId) {
+  return suppressions.all(entry => entry.ownerId === ownerId)
+    .sort((a, b) => b.createdAt.localeCompare(a.createdAt));
+}
+
+// Add an address (no-op when it is already suppressed); returns the entry
+function suppress(ownerId, email, { reason = 'manual', campaignId = null, detail = null } = {}) {
+  const address = normalize(email);
+  if (!address) throw Object.assign(new Error('Email address is required'), { status: 400 });
+  if (!REASONS.includes(reason)) {
+    throw Object.assign(new Error(`Reason must be one of: ${REASONS.join(', ')}`), { status: 400 });
+  }
+
+  const existing = suppressions.find(entry => entry.ownerId === ownerId && entry.email === address);
+  if (existing) return existing;
+
+  console.log(`🚫 Suppressed ${address} (${reason})`);
+  return suppressions.insert({ ownerId, email: address, reason, campaignId, detail });
+}
+
+function unsuppress(ownerId, email) {
+  const address = normalize(email);
+  const entry = suppressions.find(e => e.ownerId === ownerId && e.email === address);
+  return entry ? suppressions.remove(entry.id) : false;
+}
+
+// Signed link naming the sender account, recipient and campaign
+function unsubscribeUrl(ownerId, email, campaignId = null) {
+  return `${PUBLIC_URL}/api/unsubscribe/${createToken({ u: ownerId, e: normalize(email), c: campaignId })}`;
+}
+
+// { ownerId, email, campaignId } for a valid unsubscribe token, otherwise null
+function readUnsubscribeToken(token) {
+  const data = readToken(token);
+  if (!data || !data.u || !data.e) return null;
+  return { ownerId: data.u, email: data.e, campaignId: data.c || null };
+}
+
+module.exports = {
+  REASONS,
+  isSuppressed,
+  listSuppressions,
+  suppress,
+  unsuppress,
+  readUnsubscribeToken,
+  unsubscribeUrl
+};
@@ -0,0 +1,281 @@
+const { convert } = require('html-to-text');
+const { Collection } = require('./store');
+const { placeholders, render } = require('./merge');
+const { inlineCss } = require('./inlineCss');
+
+// Reusable message templates per user. A template has a subject, an HTML and
+// an optional plain-text body using the mail-merge placeholders of merge.js
+// ({{firstName|there}}); partials are named snippets (header, footer, ...)
+// pulled into a body with {{> footer}}. Every save keeps the previous content
+// as a numbered version that can be looked at or restored.
+const templates = new Collection('templates');
+
+const KINDS = ['template', 'partial'];
+// Content fields, kept per version
+const CONTENT_FIELDS = ['name', 'description', 'subject', 'html', 'text', 'defaults'];
+// Older versions kept per template
+const MAX_VERSIONS = 20;
+// Partials may include partials, up to this deep
+const MAX_PARTIAL_DEPTH = 5;
+
+const PARTIAL = /\{\{>\s*([\w.-]+)\s*\}\}/g;
+const PARTIAL_NAME = /^[\w.-]+$/;
+
+function templateError(message, status = 400) {
+  return Object.assign(new Error(message), { status });
+}
+
+// { name: value } of strings, used when a render gives no value for a placeholder
+function normalizeDefaults(defaults) {
+  if (defaults === undefined || defaults === null) return {};
+  if (typeof defaults !== 'object' || Array.isArray(defaults)) {
+    throw templateError('Defaults must be an object of values');
+  }
+  const result = {};
+  Object.keys(defaults).forEach(key => {
+    if (defaults[key] !== undefined && defaults[key] !== null && defaults[key] !== '') result[key.trim()] = String(defaults[key]);
+  });
+  return result;
+}
+
+// Content fields present in `data` (absent ones are left as they are on update)
+function pickFields(ownerId, kind, data, exceptId) {
+  const fields = {};
+  ['description', 'subject', 'html', 'text'].forEach(field => {
+    if (data[field] === undefined || data[field] === null) return;
+    if (typeof data[field] !== 'string') throw templateError(`${field} must be a string`);
+    fields[field] = data[field];
+  });
+  if (data.defaults !== undefined) fields.defaults = normalizeDefaults(data.defaults);
+  if (data.name !== undefined || !exceptId) fields.name = checkName(ownerId, kind, data.name, exceptId);
+  return fields;
+}
+
+// Names are unique per user and kind; partial names are what {{> name}} refers to
+function checkName(ownerId, kind, name, exceptId) {
+  const trimmed = String(name || '').trim();
+  if (!trimmed) throw templateError('Template name is required');
+  if (kind === 'partial' && !PARTIAL_NAME.test(trimmed)) {
+    throw templateError('Partial names may only contain letters, digits, ".", "-" and "_"');
+  }
+  const clash = templates.find(template => template.ownerId === ownerId && template.kind === kind &&
+    template.id !== exceptId && template.name.toLowerCase() === trimmed.toLowerCase());
+  if (clash) throw templateError(`A ${kind} with that name already exists`, 409);
+  return trimmed;
+}
+
+function contentOf(template) {
+  const content = {};
+  CONTENT_FIELDS.forEach(field => {
+    content[field] = template[field];
+  });
+  return content;
+}
+
+function isChanged(template, fields) {
+  return Object.keys(fields).some(field => JSON.stringify(fields[field]) !== JSON.stringify(template[field]));
+}
+
+function findPartial(ownerId, name) {
+  const wanted = name.toLowerCase();
+  return templates.find(template => template.ownerId === ownerId && template.kind === 'partial' && template.name.toLowerCase() === wanted);
+}
+
+function partialNames(content) {
+  const names = new Set();
+  [content.html, content.text].forEach(body => {
+    String(body || '').replace(PARTIAL, (match, name) => {
+      names.add(name.toLowerCase());
+      return match;
+    });
+  });
+  return Array.from(names);
+}
+
+// Replace {{> name}} with the partial's HTML or text (a partial without text
+// is converted from its HTML), recursively
+function expandPartials(ownerId, body, format, trail = []) {
+  return String(body || '').replace(PARTIAL, (match, name) => {
+    const partial = findPartial(ownerId, name);
+    if (!partial) throw templateError(`Partial not found: ${name}`);
+    if (trail.includes(partial.id)) throw templateError(`Partial ${name} includes itself`);
+    if (trail.length >= MAX_PARTIAL_DEPTH) throw templateError(`Partials are nested more than ${MAX_PARTIAL_DEPTH} deep`);
+
+    const source = format === 'text' && !partial.text ? toText(expandPartials(ownerId, partial.html, 'html', trail.concat(partial.id))) : partial[format];
+    return expandPartials(ownerId, source, format, trail.concat(partial.id));
+  });
+}
+
+// Plain-text alternative of an HTML body. Headings keep their case so that
+// placeholders in them ({{firstName}}) still match.
+function toText(html) {
+  return convert(html, {
+    wordwrap: 78,
+    selectors: [
+      { selector: 'a', options: { hideLinkHrefIfSameAsText: true } },
+      { selector: 'img', format: 'skip' }
+    ].concat(['h1', 'h2', 'h3', 'h4', 'h5', 'h6'].map(selector => ({ selector, options: { uppercase: false } })))
+  });
+}
+
+// Placeholders of the content and its partials: [{ name, fallback }], each name once
+function templateVariables(ownerId, content) {
+  const expanded = [content.subject, expandPartials(ownerId, content.html, 'html'), expandPartials(ownerId, content.text, 'text')];
+  const seen = new Map();
+  expanded.forEach(body => placeholders(body).forEach(entry => {
+    const current = seen.get(entry.name);
+    if (!current) seen.set(entry.name, entry);
+    else if (current.fallback === null && entry.fallback !== null) current.fallback = entry.fallback;
+  }));
+  return Array.from(seen.values());
+}
+
+// Render template content (saved or not) for sending: partials expanded,
+// <style> rules inlined, `variables` filled in (HTML-escaped in the HTML),
+// and a plain-text body generated from the HTML when the template has none.
+// Placeholders without a value, fallback or default stay as they are and are
+// listed in `missing`. For a campaign (`forMerge`) every placeholder without
+// a variable stays, so the mail merge can fill it per recipient.
+function renderContent(ownerId, content, variables = {}, { forMerge = false } = {}) {
+  if (typeof variables !== 'object' || variables === null || Array.isArray(variables)) {
+    throw templateError('Variables must be an object of values');
+  }
+  const options = forMerge ? { keep: 'unfilled' } : { fallbacks: content.defaults || {}, keep: 'missing' };
+
+  const subject = render(content.subject, variables, Object.assign({ singleLine: true }, options));
+  const html = content.html
+    ? render(inlineCss(expandPartials(ownerId, content.html, 'html')), variables, Object.assign({ escape: true }, options))
+    : null;
+  const text = content.text
+    ? render(expandPartials(ownerId, content.text, 'text'), variables, options)
+    : null;
+
+  const missing = new Set();
+  [subject, html, text].forEach(part => part && part.missing.forEach(name => missing.add(name)));
+
+  return {
+    subject: subject.output,
+    html: html ? html.output : null,
+    text: text ? text.output : (html ? toText(html.output) : ''),
+    missing: Array.from(missing)
+  };
+}
+
+function listTemplates(ownerId, kind) {
+  return templates.all(template => template.ownerId === ownerId && (!kind || template.kind === kind))
+    .sort((a, b) => a.name.localeCompare(b.name));
+}
+
+function getTemplate(ownerId, id) {
+  return templates.find(template => template.id === id && template.ownerId === ownerId);
+}
+
+// Template as returned by the API; the list leaves out the bodies
+function publicTemplate(template, withBody = true) {
+  const result = {
+    id: template.id,
+    kind: template.kind,
+    name: template.name,
+    description: template.description,
+    version: template.version,
+    createdAt: template.createdAt,
+    updatedAt: template.updatedAt
+  };
+  if (!withBody) return result;
+
+  let variables;
+  try {
+    variables = templateVariables(template.ownerId, template);
+  } catch (error) {
+    // A missing partial shouldn't hide the template itself
+    variables = [];
+  }
+  return Object.assign(result, {
+    subject: template.subject,
+    html: template.html,
+    text: template.text,
+    defaults: template.defaults,
+    partials: partialNames(template),
+    variables,
+    versions: template.versions.map(({ version, savedAt }) => ({ version, savedAt }))
+  });
+}
+
+// { kind, name, description, subject, html, text, defaults }
+function createTemplate(ownerId, data) {
+  const kind = data.kind === undefined ? 'template' : data.kind;
+  if (!KINDS.includes(kind)) throw templateError(`Kind must be one of: ${KINDS.join(', ')}`);
+
+  const fields = pickFields(ownerId, kind, data);
+  const template = { ownerId, kind, description: '', subject: '', html: '', text: '', defaults: {}, version: 1, versions: [] };
+  return templates.insert(Object.assign(template, fields));
+}
+
+// Replace the fields given in `data`; the content before the change is kept as a version
+function updateTemplate(template, data) {
+  const fields = pickFields(template.ownerId, template.kind, data, template.id);
+  if (!isChanged(template, fields)) return template;
+
+  const versions = template.versions
+    .concat(Object.assign({ version: template.version, savedAt: template.updatedAt }, contentOf(template)))
+    .slice(-MAX_VERSIONS);
+  return templates.update(template.id, Object.assign(fields, { version: template.version + 1, versions }));
+}
+
+function getVersion(template, version) {
+  if (Number(version) === template.version) {
+    return Object.assign({ version: template.version, savedAt: template.updatedAt }, contentOf(template));
+  }
+  return template.versions.find(entry => entry.version === Number(version)) || null;
+}
+
+// Bring back an older version's content, as a new version
+function restoreVersion(template, version) {
+  const entry = getVersion(template, version);
+  if (!entry) throw templateError('Version not found', 404);
+  return updateTemplate(template, contentOf(entry));
+}
+
+// Partials can't be deleted while a template still includes them
+function deleteTemplate(template) {
+  if (template.kind === 'partial') {
+    const name = template.name.toLowerCase();
+    const users = templates.all(other => other.ownerId === template.ownerId && other.id !== template.id && partialNames(other).includes(name));
+    if (users.length) {
+      throw templateError(`This partial is used by: ${users.map(other => other.name).join(', ')}`, 409);
+    }
+  }
+  return templates.remove(template.id);
+}
+
+// Fill a campaign request from a saved template: { templateId, variables }
+// give the subject/html/text the request leaves out, and the template's
+// defaults become campaign fallbacks
+function applyTemplate(ownerId, data) {
+  if (!data.templateId) return data;
+  const template = getTemplate(ownerId, String(data.templateId));
+  if (!template || template.kind !== 'template') throw templateError('Template not found', 404);
+
+  const rendered = renderContent(ownerId, template, data.variables || {}, { forMerge: true });
+  return Object.assign({}, data, {
+    subject: data.subject || rendered.subject,
+    html: data.html || rendered.html,
+    text: data.text || rendered.text,
+    // (malformed fallbacks are passed on for the campaign checks to reject)
+    fallbacks: data.fallbacks === undefined || data.fallbacks === null ? template.defaults
+      : (typeof data.fallbacks === 'object' && !Array.isArray(data.fallbacks) ? Object.assign({}, template.defaults, data.fallbacks) : data.fallbacks)
+  });
+}
+
+module.exports = {
+  listTemplates,
+  getTemplate,
+  publicTemplate,
+  createTemplate,
+  updateTemplate,
+  getVersion,
+  restoreVersion,
+  deleteTemplate,
+  renderContent,
+  applyTemplate
+};
@@ -0,0 +1,187 @@
+const crypto = require('crypto');
+const { fetchHeaders, fetchMessages } = require('./mailbox');
+
+// Conversations of a mailbox. Messages are linked through Message-ID,
+// In-Reply-To and References; replies from clients that drop those headers
+// fall back to the subject ("Re: Lunch" joins the "Lunch" conversation).
+
+// Threads are built from this many of the newest messages of a mailbox
+const DEFAULT_SCAN = 500;
+const MAX_SCAN = 2000;
+const DEFAULT_PAGE_SIZE = 20;
+const MAX_PAGE_SIZE = 100;
+
+// Reply/forward prefixes (also the localized ones) and mailing list tags such as "[team]"
+const SUBJECT_PREFIX = /^\s*((re|fwd?|fw|aw|sv|wg|antw|vs)(\[\d+\])?\s*:|\[[^\]]*\])\s*/i;
+
+function normalizeSubject(subject) {
+  let text = String(subject || '');
+  let previous;
+  do {
+    previous = text;
+    text = text.replace(SUBJECT_PREFIX, '');
+  } while (text !== previous);
+  return text.replace(/\s+/g, ' ').trim().toLowerCase();
+}
+
+function isReplySubject(subject) {
+  return normalizeSubject(subject) !== String(subject || '').replace(/\s+/g, ' ').trim().toLowerCase();
+}
+
+function normalizeId(id) {
+  return String(id || '').trim().replace(/^<|>$/g, '').toLowerCase();
+}
+
+// Messages without a Message-ID still get a key of their own
+function messageKey(message) {
+  return message.messageId ? normalizeId(message.messageId) : `uid:${message.uid}`;
+}
+
+// Group header summaries (see parseHeaders in messages.js) into threads:
+// arrays of messages, oldest first
+function groupMessages(messages) {
+  const parent = new Map();
+  const add = key => {
+    if (!parent.has(key)) parent.set(key, key);
+  };
+  const find = key => {
+    while (parent.get(key) !== key) {
+      parent.set(key, parent.get(parent.get(key)));
+      key = parent.get(key);
+    }
+    return key;
+  };
+  const union = (a, b) => {
+    add(a);
+    add(b);
+    const rootA = find(a);
+    const rootB = find(b);
+    if (rootA !== rootB) parent.set(rootB, rootA);
+  };
+
+  const ordered = messages.slice().sort((a, b) => a.date.localeCompare(b.date) || a.uid - b.uid);
+  ordered.forEach(message => {
+    const key = messageKey(message);
+    add(key);
+    message.references.concat(message.inReplyTo || []).forEach(id => union(key, normalizeId(id)));
+  });
+
+  // Subject fallback: only replies that carry no threading headers at all are
+  // matched, so unrelated mails that share a subject ("Invoice") stay apart
+  const bySubject = new Map();
+  ordered.forEach(message => {
+    const subject = normalizeSubject(message.subject);
+    if (!subject) return;
+    const linked = message.inReplyTo || message.references.length;
+    if (!linked && isReplySubject(message.subject) && bySubject.has(subject)) {
+      union(bySubject.get(subject), messageKey(message));
+    } else if (!bySubject.has(subject)) {
+      bySubject.set(subject, messageKey(message));
+    }
+  });
+
+  const groups = new Map();
+  ordered.forEach(message => {
+    const root = find(messageKey(message));
+    if (!groups.has(root)) groups.set(root, []);
+    groups.get(root).push(message);
+  });
+  return Array.from(groups.values());
+}
+
+// Stable id of a thread: derived from its first message, so it survives new replies
+function threadId(thread) {
+  return crypto.createHash('sha1').update(messageKey(thread[0])).digest('hex').slice(0, 16);
+}
+
+// Everyone who wrote or received a message of the thread, senders first
+function participants(thread) {
+  const seen = new Map();
+  const add = entry => {
+    const key = entry.address.toLowerCase();
+    if (!seen.has(key)) seen.set(key, { name: entry.name, address: entry.address });
+    else if (!seen.get(key).name && entry.name) seen.get(key).name = entry.name;
+  };
+  thread.forEach(message => message.people.slice(0, 1).forEach(add));
+  thread.forEach(message => message.people.forEach(add));
+  return Array.from(seen.values());
+}
+
+function threadSummary(thread) {
+  const latest = thread[thread.length - 1];
+  return {
+    id: threadId(thread),
+    subject: thread[0].subject || latest.subject,
+    count: thread.length,
+    unreadCount: thread.filter(message => message.unread).length,
+    flagged: thread.some(message => message.flagged),
+    participants: participants(thread),
+    firstDate: thread[0].date,
+    lastDate: latest.date,
+    latest: { uid: latest.uid, from: latest.from, subject: latest.subject, date: latest.date },
+    uids: thread.map(message => message.uid)
+  };
+}
+
+// Read ?limit, ?page and ?scan from a request query
+function parseThreadOptions(query) {
+  const toInt = value => {
+    const number = parseInt(value, 10);
+    return Number.isFinite(number) && number > 0 ? number : undefined;
+  };
+
+  return {
+    limit: Math.min(toInt(query.limit) || DEFAULT_PAGE_SIZE, MAX_PAGE_SIZE),
+    page: toInt(query.page) || 1,
+    scan: Math.min(toInt(query.scan) || DEFAULT_SCAN, MAX_SCAN),
+    blockRemoteImages: query.remoteImages !== 'allow'
+  };
+}
+
+// One page of thread summaries, most recently active first
+async function listThreads(session, mailbox, { limit = DEFAULT_PAGE_SIZE, page = 1, scan = DEFAULT_SCAN } = {}) {
+  const headers = await fetchHeaders(session, mailbox, { limit: scan });
+  const threads = groupMessages(headers.messages)
+    .map(threadSummary)
+    .sort((a, b) => b.lastDate.localeCompare(a.lastDate));
+
+  const offset = (page - 1) * limit;
+  return {
+    mailbox,
+    uidValidity: headers.uidValidity,
+    total: threads.length,
+    scanned: headers.messages.length,
+    page,
+    threads: threads.slice(offset, offset + limit),
+    hasMore: threads.length > offset + limit
+  };
+}
+
+// One thread with its full messages (oldest first), or null when no thread
+// with that id is among the scanned messages
+async function getThread(session, mailbox, id, { scan = DEFAULT_SCAN, blockRemoteImages = true } = {}) {
+  const headers = await fetchHeaders(session, mailbox, { limit: scan });
+  const thread = groupMessages(headers.messages).find(candidate => threadId(candidate) === id);
+  if (!thread) return null;
+
+  const summary = threadSummary(thread);
+  const messages = await fetchMessages(session, mailbox, summary.uids, { blockRemoteImages });
+  const position = new Map(summary.uids.map((uid, index) => [uid, index]));
+  const unread = new Set(thread.filter(message => message.unread).map(message => message.uid));
+
+  return Object.assign(summary, {
+    mailbox,
+    uidValidity: headers.uidValidity,
+    messages: messages
+      .sort((a, b) => position.get(a.uid) - position.get(b.uid))
+      .map(message => Object.assign(message, { unread: unread.has(message.uid) }))
+  });
+}
+
+module.exports = {
+  normalizeSubject,
+  groupMessages,
+  parseThreadOptions,
+  listThreads,
+  getThread
+};
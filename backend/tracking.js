@@ -0,0 +1,158 @@
+const { Collection } = require('./store');
+const { PUBLIC_URL, createToken, readToken } = require('./links');
+
+// Open/click events of campaign mails, one per recipient and link:
+// { campaignId, recipient, type, url, userAgent, count } with createdAt the
+// first and updatedAt the latest hit
+const events = new Collection('trackingEvents');
+// "campaignId recipient type url" -> event, so repeated hits are counted in place
+const eventsByKey = new Map(events.all().map(event => [eventKey(event.campaignId, event.recipient, event.type, event.url), event]));
+
+// Repeated hits are written out at most this often
+const FLUSH_INTERVAL = 30 * 1000;
+let flushTimer = null;
+
+// 1x1 transparent GIF
+const PIXEL = Buffer.from('R0lGODlhAQABAIAAAAAAAP///yH5BAEAAAAALAAAAAABAAEAAAIBRAA7', 'base64');
+
+function openUrl(campaignId, email) {
+  return `${PUBLIC_URL}/api/t/o/${createToken({ t: 'o', c: campaignId, e: email })}.gif`;
+}
+
+function clickUrl(campaignId, email, url) {
+  return `${PUBLIC_URL}/api/t/c/${createToken({ t: 'c', c: campaignId, e: email, l: url })}`;
+}
+
+// { campaignId, email, url } for a valid tracking token of the given type ('o' or 'c')
+function readTrackingToken(token, type) {
+  const data = readToken(String(token || '').replace(/\.gif$/, ''));
+  if (!data || data.t !== type || !data.c || !data.e) return null;
+  return { campaignId: data.c, email: data.e, url: data.l || null };
+}
+
+function decodeHref(href) {
+  return href.replace(/&amp;/gi, '&').replace(/&#0*38;/g, '&').trim();
+}
+
+// Rewrite http(s) links through the click redirect and/or add the open pixel.
+// Links in `skipUrls` (e.g. the unsubscribe link) are left alone.
+function instrumentHtml(html, { campaignId, email, trackOpens, trackClicks, skipUrls = [] }) {
+  let result = html;
+
+  if (trackClicks) {
+    result = result.replace(/(<a\b[^>]*?\bhref\s*=\s*)(["'])(.*?)\2/gi, (match, prefix, quote, href) => {
+      const url = decodeHref(href);
+      if (!/^https?:\/\//i.test(url) || skipUrls.includes(url)) return match;
+      return `${prefix}${quote}${clickUrl(campaignId, email, url)}${quote}`;
+    });
+  }
+
+  if (trackOpens) {
+    const pixel = `<img src="${openUrl(campaignId, email)}" width="1" height="1" alt="" style="display:block;width:1px;height:1px;border:0">`;
+    result = /<\/body>/i.test(result) ? result.replace(/<\/body>/i, `${pixel}</body>`) : result + pixel;
+  }
+
+  return result;
+}
+
+function eventKey(campaignId, recipient, type, url) {
+  return [campaignId, recipient, type, url || ''].join(' ');
+}
+
+// Tokens are signed, so the number of events stays bounded by recipients and
+// links. A first hit is saved right away; repeats only bump the count.
+function record(type, { campaignId, email, url }, userAgent) {
+  const key = eventKey(campaignId, email, type, url);
+  const existing = eventsByKey.get(key);
+  if (!existing) {
+    const event = events.insert({ campaignId, recipient: email, type, url: url || null, userAgent: userAgent || null, count: 1 });
+    eventsByKey.set(key, event);
+    return event;
+  }
+
+  existing.count++;
+  existing.updatedAt = new Date().toISOString();
+  if (!flushTimer) {
+    flushTimer = setTimeout(flush, FLUSH_INTERVAL);
+    flushTimer.unref();
+  }
+  return existing;
+}
+
+// Write out counts not saved yet (on shutdown)
+function flush() {
+  if (!flushTimer) return;
+  clearTimeout(flushTimer);
+  flushTimer = null;
+  events.save();
+}
+
+function total(list) {
+  return list.reduce((sum, event) => sum + event.count, 0);
+}
+
+// Opens and clicks of a campaign. Opens are approximate: image blocking hides
+// some and privacy proxies prefetch others, so a click also counts as an open.
+function campaignAnalytics(campaign) {
+  const campaignEvents = events.all(event => event.campaignId === campaign.id);
+  const opens = campaignEvents.filter(event => event.type === 'open');
+  const clicks = campaignEvents.filter(event => event.type === 'click');
+  const sent = campaign.sentCount;
+  const rate = count => (sent ? Math.round((count / sent) * 1000) / 10 : 0);
+
+  const openers = new Set(opens.map(event => event.recipient));
+  const clickers = new Set(clicks.map(event => event.recipient));
+  clickers.forEach(recipient => openers.add(recipient));
+
+  const links = new Map();
+  clicks.forEach(event => {
+    const link = links.get(event.url) || { url: event.url, clicks: 0, recipients: new Set() };
+    link.clicks += event.count;
+    link.recipients.add(event.recipient);
+    links.set(event.url, link);
+  });
+
+  return {
+    campaignId: campaign.id,
+    tracking: { opens: Boolean(campaign.trackOpens), clicks: Boolean(campaign.trackClicks) },
+    sent,
+    opens: total(opens),
+    uniqueOpens: openers.size,
+    openRate: rate(openers.size),
+    clicks: total(clicks),
+    uniqueClicks: clickers.size,
+    clickRate: rate(clickers.size),
+    clickToOpenRate: openers.size ? Math.round((clickers.size / openers.size) * 1000) / 10 : 0,
+    links: Array.from(links.values())
+      .map(link => ({ url: link.url, clicks: link.clicks, uniqueClicks: link.recipients.size }))
+      .sort((a, b) => b.clicks - a.clicks),
+    lastEventAt: campaignEvents.reduce((latest, event) => (!latest || event.updatedAt > latest ? event.updatedAt : latest), null)
+  };
+}
+
+// Per-recipient activity: [{ email, opens, clicks, firstOpenAt, lastClickAt }]
+function recipientActivity(campaignId) {
+  const byRecipient = new Map();
+  events.all(event => event.campaignId === campaignId).forEach(event => {
+    const entry = byRecipient.get(event.recipient) || { email: event.recipient, opens: 0, clicks: 0, firstOpenAt: null, lastClickAt: null };
+    if (event.type === 'open') {
+      entry.opens += event.count;
+      entry.firstOpenAt = entry.firstOpenAt || event.createdAt;
+    } else {
+      entry.clicks += event.count;
+      entry.lastClickAt = !entry.lastClickAt || event.updatedAt > entry.lastClickAt ? event.updatedAt : entry.lastClickAt;
+    }
+    byRecipient.set(event.recipient, entry);
+  });
+  return Array.from(byRecipient.values());
+}
+
+module.exports = {
+  PIXEL,
+  instrumentHtml,
+  readTrackingToken,
+  record,
+  flush,
+  campaignAnalytics,
+  recipientActivity
+};
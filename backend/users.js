@@ -0,0 +1,140 @@
+const bcrypt = require('bcryptjs');
+const { Collection } = require('./store');
+const { encrypt, decrypt } = require('./secrets');
+const { SECRET_FIELDS, normalizeMailSettings } = require('./providers');
+
+const users = new Collection('users');
+
+const ROLES = ['admin', 'user'];
+
+function findByUsername(username) {
+  const wanted = String(username || '').toLowerCase();
+  return users.find(user => user.username.toLowerCase() === wanted);
+}
+
+function getUser(id) {
+  return users.get(id);
+}
+
+function listUsers() {
+  return users.all();
+}
+
+function verifyPassword(user, password) {
+  return Boolean(user && typeof password === 'string' && password && bcrypt.compareSync(password, user.passwordHash));
+}
+
+// Stored form of normalized mail settings: every secret is encrypted at rest
+function storedMail(settings) {
+  if (!settings) return null;
+
+  const stored = JSON.parse(JSON.stringify(settings));
+  ['smtp', 'imap'].forEach(kind => {
+    SECRET_FIELDS.forEach(field => {
+      stored[kind].auth[field] = encrypt(settings[kind].auth[field]);
+    });
+  });
+  return stored;
+}
+
+function createUser({ username, password, role = 'user', mail }) {
+  if (!username || !password || typeof username !== 'string' || typeof password !== 'string') {
+    throw Object.assign(new Error('Username and password are required'), { status: 400 });
+  }
+  if (!ROLES.includes(role)) {
+    throw Object.assign(new Error(`Role must be one of: ${ROLES.join(', ')}`), { status: 400 });
+  }
+  if (findByUsername(username)) {
+    throw Object.assign(new Error('Username already exists'), { status: 409 });
+  }
+
+  return users.insert({
+    username,
+    passwordHash: bcrypt.hashSync(password, 10),
+    role,
+    mail: mail ? storedMail(normalizeMailSettings(mail)) : null
+  });
+}
+
+function updateUser(id, { password, role }) {
+  const changes = {};
+  if (password !== undefined && password !== null && typeof password !== 'string') {
+    throw Object.assign(new Error('Password must be a string'), { status: 400 });
+  }
+  if (password) changes.passwordHash = bcrypt.hashSync(password, 10);
+  if (role) {
+    if (!ROLES.includes(role)) {
+      throw Object.assign(new Error(`Role must be one of: ${ROLES.join(', ')}`), { status: 400 });
+    }
+    changes.role = role;
+  }
+  return users.update(id, changes);
+}
+
+function deleteUser(id) {
+  return users.remove(id);
+}
+
+// Replace a user's mail settings (already normalized, see providers.js)
+function setMailAccount(id, settings) {
+  return users.update(id, { mail: storedMail(settings) });
+}
+
+// Decrypted mail settings for building SMTP/IMAP connections
+function getMailAccount(user) {
+  if (!user || !user.mail) return null;
+
+  const settings = JSON.parse(JSON.stringify(user.mail));
+  ['smtp', 'imap'].forEach(kind => {
+    SECRET_FIELDS.forEach(field => {
+      settings[kind].auth[field] = decrypt(settings[kind].auth[field]);
+    });
+  });
+  return settings;
+}
+
+// User as returned by the API (no hashes, no secrets)
+function publicUser(user) {
+  return {
+    id: user.id,
+    username: user.username,
+    role: user.role,
+    mail: user.mail ? { address: user.mail.address, provider: user.mail.provider, configured: true } : null,
+    createdAt: user.createdAt,
+    updatedAt: user.updatedAt
+  };
+}
+
+// First start: turn the legacy ADMIN_USER/ADMIN_PASS + EMAIL_USER/EMAIL_PASS
+// environment settings into the initial admin account
+function ensureAdminFromEnv() {
+  if (users.all().length > 0) return;
+
+  if (!process.env.ADMIN_USER || !process.env.ADMIN_PASS) {
+    console.warn('⚠️  No users yet - set ADMIN_USER and ADMIN_PASS to create the first admin');
+    return;
+  }
+
+  createUser({
+    username: process.env.ADMIN_USER,
+    password: process.env.ADMIN_PASS,
+    role: 'admin',
+    mail: process.env.EMAIL_USER && process.env.EMAIL_PASS ? { user: process.env.EMAIL_USER, pass: process.env.EMAIL_PASS } : null
+  });
+  console.log(`👤 Created admin user "${process.env.ADMIN_USER}" from environment`);
+}
+
+module.exports = {
+  ROLES,
+  findByUsername,
+  getUser,
+  listUsers,
+  verifyPassword,
+  createUser,
+  updateUser,
+  deleteUser,
+  setMailAccount,
+  getMailAccount,
+  publicUser,
+  ensureAdminFromEnv
+};
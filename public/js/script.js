@@ -1,4 +1,12 @@
 document.addEventListener('DOMContentLoaded', function() {
+  // API server
+  const API_BASE_URL = 'https://web-mail-3ooi.onrender.com';
+  const LOGIN_PAGE = 'index.html';
+  // Refresh the session this long before the token expires
+  const TOKEN_REFRESH_MARGIN = 5 * 60 * 1000;
+  // Wait before reopening a live update stream the server refused
+  const LIVE_RETRY_DELAY = 30 * 1000;
+
   // DOM Elements
   const composeBtn = document.querySelector('.compose-btn');
   const composeModal = document.getElementById('composeModal');
@@ -10,10 +18,69 @@ document.addEventListener('DOMContentLoaded', function() {
   const bodyContent = document.getElementById('body');
   const attachmentsInput = document.getElementById('attachments');
   const toggleBtns = document.querySelectorAll('.toggle-btn');
+  const mailboxList = document.getElementById('mailboxList');
+  const mailboxTitle = document.getElementById('mailboxTitle');
+  const viewList = document.getElementById('viewList');
+  const settingsModal = document.getElementById('settingsModal');
+  const settingsForm = document.getElementById('settingsForm');
+  const providerSelect = document.getElementById('mailProvider');
   
   let currentAttachments = [];
   let currentView = 'text'; // 'text' or 'html'
   let apiAvailable = true;
+  let currentMailbox = 'INBOX';
+  let nextCursor = null;
+  let uidValidity = null;
+  let loadingMore = false;
+  // Conversation view: the list shows threads instead of single messages
+  const threadToggle = document.getElementById('threadToggle');
+  let threadView = localStorage.getItem('threadView') === '1';
+  let nextThreadPage = null;
+  // Search results replace the list: { q, mailbox, page, hasMore, local }
+  const searchInput = document.querySelector('.search-box input');
+  let searchState = null;
+  let searchTimer = null;
+  let mailProviders = {};
+  // Mailboxes from /api/mailboxes, for "Move to" and finding the Trash
+  let mailboxDirectory = [];
+  const bulkActions = document.getElementById('bulkActions');
+  const moveTarget = document.getElementById('moveTarget');
+  let campaignPollTimer = null;
+  // Server-side draft of the message being composed
+  let currentDraftId = null;
+  let draftAttachments = []; // already saved with the draft
+  let removedDraftAttachments = [];
+  let draftDirty = false;
+  let draftTimer = null;
+  let draftSaving = Promise.resolve();
+  // Message being answered or forwarded: { mailbox, uid, mode, forwardAs }
+  let composeOriginal = null;
+  let forwardedNames = [];
+  // Sender identities from /api/identities, for the From picker and settings
+  const fromSelect = document.getElementById('from');
+  const identityForm = document.getElementById('identityForm');
+  let senderIdentities = [];
+  let senderIdentity = null; // the identity the sender fields were filled from
+  let editingIdentityId = null;
+
+  // How often the campaigns view refreshes while it is open
+  const CAMPAIGN_POLL_INTERVAL = 5000;
+  // How often the compose form is saved as a draft while it has changes
+  const DRAFT_AUTOSAVE_INTERVAL = 10000;
+  // Compose inputs kept in a draft (ids match the draft fields)
+  const DRAFT_INPUTS = ['from', 'senderName', 'replyTo', 'to', 'cc', 'bcc', 'subject', 'signature'];
+
+  // Sidebar icons for special-use folders
+  const mailboxIcons = {
+    '\\Inbox': 'fa-inbox',
+    '\\Sent': 'fa-paper-plane',
+    '\\Drafts': 'fa-file-alt',
+    '\\Flagged': 'fa-star',
+    '\\Archive': 'fa-archive',
+    '\\All': 'fa-archive',
+    '\\Junk': 'fa-exclamation-circle',
+    '\\Trash': 'fa-trash'
+  };
 
   // Mock data
   const mockInbox = [
@@ -36,24 +103,55 @@ document.addEventListener('DOMContentLoaded', function() {
     }
   ];
 
-  // Load inbox emails
-  loadInbox();
+  // Check the session, then load mailboxes and inbox emails
+  bindMailboxItems();
+  bindViewItems();
+  checkSession().then(() => {
+    loadMailboxes();
+    loadInbox();
+    startLiveUpdates();
+  });
+  
+  document.getElementById('logoutBtn').addEventListener('click', function() {
+    apiFetch('/api/logout', { method: 'POST' })
+      .catch(error => console.warn('Logout error:', error))
+      .finally(() => {
+        sessionStorage.removeItem('token');
+        window.location.href = LOGIN_PAGE;
+      });
+  });
+  
+  document.getElementById('settingsBtn').addEventListener('click', openMailSettings);
+  document.getElementById('settingsCloseBtn').addEventListener('click', function() {
+    settingsModal.style.display = 'none';
+  });
   
   // Event listeners
   composeBtn.addEventListener('click', function() {
-    composeModal.style.display = 'block';
+    openCompose();
     document.getElementById('from').focus();
   });
   
-  closeBtn.addEventListener('click', function() {
-    composeModal.style.display = 'none';
-    resetComposeForm();
+  closeBtn.addEventListener('click', closeCompose);
+  
+  document.getElementById('forwardAs').addEventListener('change', function() {
+    if (!composeOriginal) return;
+    composeOriginal.forwardAs = this.value;
+    draftDirty = true;
+    updateForwardNote();
+  });
+
+  // Anything typed marks the draft for the next autosave
+  composeForm.addEventListener('input', function() {
+    draftDirty = true;
   });
   
   window.addEventListener('click', function(event) {
     if (event.target === composeModal) {
-      composeModal.style.display = 'none';
-      resetComposeForm();
+      closeCompose();
+    }
+    if (event.target === settingsModal) {
+      settingsModal.style.display = 'none';
     }
   });
   
@@ -80,12 +178,15 @@ document.addEventListener('DOMContentLoaded', function() {
   // Attachments handler
   attachmentsInput.addEventListener('change', function(e) {
     currentAttachments = Array.from(e.target.files);
+    draftDirty = true;
     updateAttachmentList();
   });
   
   // Form submission handler
   composeForm.addEventListener('submit', async function(e) {
     e.preventDefault();
+    const scheduling = Boolean(e.submitter && e.submitter.id === 'scheduleBtn');
+    const sendAtInput = document.getElementById('sendAt');
     
     // Validate form
     const requiredFields = [
@@ -108,8 +209,16 @@ document.addEventListener('DOMContentLoaded', function() {
     });
     
     if (!isValid) return;
+
+    if (scheduling && !sendAtInput.value) {
+      sendAtInput.style.border = '1px solid #ff4444';
+      sendAtInput.focus();
+      showNotification('Please pick a time to send the email', 'error');
+      return;
+    }
+    sendAtInput.style.border = '';
     
-    // Prepare email data with proper headers to avoid spam
+    // Prepare email data
     const signature = document.getElementById('signature').value.trim();
 
     const textBody = bodyContent.value + (signature ? `\n\n${signature}` : '');
@@ -117,25 +226,27 @@ document.addEventListener('DOMContentLoaded', function() {
                     (signature ? `<br><br><p>${signature.replace(/\n/g, '<br>')}</p>` : '');
 
     const emailData = {
-      from: document.getElementById('from').value,
-      senderName: document.getElementById('senderName').value || 'YourCompany Team',  
-      replyTo: document.getElementById('replyTo').value || document.getElementById('from').value,
+      // Name and reply-to default to the identity's on the server
+      from: fromSelect.value,
+      senderName: document.getElementById('senderName').value,
+      replyTo: document.getElementById('replyTo').value,
       to: document.getElementById('to').value,
       cc: document.getElementById('cc').value,
       bcc: document.getElementById('bcc').value,
       subject: document.getElementById('subject').value,
       text: textBody,
       html: htmlBody,
-
-      headers: {
-        'X-Priority': '1',
-        'X-Mailer': 'MarketingMailSystem',
-        'X-MS-Exchange-Organization-AuthAs': 'Internal',
-        'X-MS-Exchange-Organization-AuthMechanism': '04',
-        'X-MS-Exchange-Organization-AuthSource': 'https://web-mail-3ooi.onrender.com',
-      }
+      // Local time of the picker, read in the browser's time zone by the server
+      sendAt: scheduling ? sendAtInput.value : undefined,
+      timeZone: scheduling ? Intl.DateTimeFormat().resolvedOptions().timeZone : undefined
     };
 
+    // A saved draft is sent (and removed) by the server, with its attachments
+    stopDraftAutosave();
+    await draftSaving;
+    emailData.draftId = currentDraftId || undefined;
+    emailData.original = composeOriginal || undefined;
+
     const formData = new FormData();
     formData.append('data', JSON.stringify(emailData));
     
@@ -146,59 +257,314 @@ document.addEventListener('DOMContentLoaded', function() {
     }
     
     try {
-      const response = await fetch('https://web-mail-3ooi.onrender.com/api/send', {
+      const response = await apiFetch('/api/send', {
         method: 'POST',
         body: formData
       });
       
-      if (!response.ok) throw new Error(`HTTP error! status: ${response.status}`);
-      
-      const result = await response.json();
+      // Errors come back as { error, details }; show them, whatever the status
+      const result = await response.json().catch(() => {
+        throw new Error(`HTTP error! status: ${response.status}`);
+      });
       
-      if (result.success) {
+      if (result.success && result.scheduled) {
+        showNotification(`Email scheduled for ${formatDate(result.scheduled.sendAt, true)}`, 'success');
+        composeModal.style.display = 'none';
+        resetComposeForm();
+      } else if (result.success) {
         showNotification('Email sent successfully!', 'success');
         composeModal.style.display = 'none';
         resetComposeForm();
         
-        // Refresh inbox after short delay
+        // Refresh current folder after short delay
         setTimeout(() => {
-          loadInbox();
+          loadMailbox(currentMailbox);
         }, 1000);
       } else {
-        showNotification(`Error: ${result.error || 'Failed to send email'}`, 'error');
+        showNotification(`Error: ${result.details || result.error || 'Failed to send email'}`, 'error');
+        startDraftAutosave();
       }
     } catch (error) {
       console.error('Error:', error);
-      showNotification('Failed to send email. Please check console for details.', 'error');
+      showNotification(`Failed to send email: ${error.message}`, 'error');
+      startDraftAutosave();
     }
   });
   
   // Helper functions
+  
+  // fetch() against the API with the session attached; a missing or expired
+  // session sends the user back to the login page
+  function apiFetch(path, options = {}) {
+    const token = sessionStorage.getItem('token');
+    const headers = Object.assign({}, options.headers);
+    if (token) headers['Authorization'] = `Bearer ${token}`;
+
+    return fetch(`${API_BASE_URL}${path}`, Object.assign({}, options, { headers, credentials: 'include' }))
+      .then(response => {
+        if (response.status === 401 || response.status === 403) {
+          redirectToLogin();
+          throw new Error('Session expired');
+        }
+        return response;
+      });
+  }
+
+  function redirectToLogin() {
+    sessionStorage.removeItem('token');
+    window.location.href = LOGIN_PAGE;
+  }
+
+  function checkSession() {
+    return apiFetch('/api/me')
+      .then(response => {
+        if (!response.ok) throw new Error(`HTTP error! status: ${response.status}`);
+        return response.json();
+      })
+      .then(session => {
+        document.getElementById('currentUser').textContent = session.user.username;
+        if (!session.user.mail || !session.user.mail.configured) {
+          showNotification('No mail account is configured yet - open Mail settings to add one', 'error');
+        }
+        scheduleTokenRefresh(session.expiresAt);
+      })
+      .catch(error => {
+        // Only auth failures redirect; an unreachable API falls back to mock data
+        console.warn('Session check failed:', error);
+      });
+  }
+
+  function scheduleTokenRefresh(expiresAt) {
+    const delay = Math.max(new Date(expiresAt).getTime() - Date.now() - TOKEN_REFRESH_MARGIN, 10000);
+
+    setTimeout(() => {
+      apiFetch('/api/refresh', { method: 'POST' })
+        .then(response => {
+          if (!response.ok) throw new Error(`HTTP error! status: ${response.status}`);
+          return response.json();
+        })
+        .then(result => {
+          if (sessionStorage.getItem('token')) sessionStorage.setItem('token', result.token);
+          scheduleTokenRefresh(result.expiresAt);
+        })
+        .catch(error => console.warn('Token refresh failed:', error));
+    }, delay);
+  }
+  
+  // Mail settings: provider presets fill in host/port/security, the rest is per account
+  function openMailSettings() {
+    document.getElementById('settingsResult').style.display = 'none';
+
+    Promise.all([apiFetch('/api/providers'), apiFetch('/api/account/mail')])
+      .then(responses => Promise.all(responses.map(response => {
+        if (!response.ok) throw new Error(`HTTP error! status: ${response.status}`);
+        return response.json();
+      })))
+      .then(([presets, account]) => {
+        mailProviders = {};
+        providerSelect.innerHTML = '';
+        presets.providers.forEach(provider => {
+          mailProviders[provider.id] = provider;
+          const option = document.createElement('option');
+          option.value = provider.id;
+          option.textContent = provider.label;
+          providerSelect.appendChild(option);
+        });
+
+        settingsForm.reset();
+        if (account.mail) {
+          providerSelect.value = account.mail.provider;
+          document.getElementById('mailAddress').value = account.mail.address;
+          fillMailEndpoint('smtp', account.mail.smtp);
+          fillMailEndpoint('imap', account.mail.imap);
+        } else {
+          providerSelect.value = 'gmail';
+          applyProviderPreset();
+        }
+        resetIdentityForm();
+        loadIdentityList();
+        settingsModal.style.display = 'block';
+      })
+      .catch(error => {
+        console.error('Error loading mail settings:', error);
+        showNotification('Could not load mail settings', 'error');
+      });
+  }
+
+  function mailEndpoint(kind) {
+    return settingsForm.querySelector(`.mail-endpoint[data-kind="${kind}"]`);
+  }
+
+  function fillMailEndpoint(kind, settings) {
+    const fieldset = mailEndpoint(kind);
+    fieldset.querySelector('[name="host"]').value = settings.host || '';
+    fieldset.querySelector('[name="port"]').value = settings.port || '';
+    fieldset.querySelector('[name="security"]').value = settings.security || 'tls';
+    fieldset.querySelector('[name="rejectUnauthorized"]').checked = settings.rejectUnauthorized !== false;
+    if (settings.auth) {
+      fieldset.querySelector('[name="method"]').value = settings.auth.method;
+      fieldset.querySelector('[name="user"]').value = settings.auth.user || '';
+      fieldset.querySelector('[name="clientId"]').value = settings.auth.clientId || '';
+      fieldset.querySelector('[name="pass"]').placeholder = settings.auth.hasPass ? 'Saved' : '';
+      fieldset.querySelector('[name="refreshToken"]').placeholder = settings.auth.hasRefreshToken ? 'Saved' : '';
+    }
+    updateAuthFields(fieldset);
+  }
+
+  function applyProviderPreset() {
+    const preset = mailProviders[providerSelect.value];
+    if (!preset) return;
+    ['smtp', 'imap'].forEach(kind => {
+      if (preset[kind].host) fillMailEndpoint(kind, preset[kind]);
+    });
+  }
+
+  function updateAuthFields(fieldset) {
+    const method = fieldset.querySelector('[name="method"]').value;
+    fieldset.querySelectorAll('[data-auth]').forEach(group => {
+      group.style.display = group.getAttribute('data-auth') === method ? '' : 'none';
+    });
+  }
+
+  function readMailSettings() {
+    const endpoint = kind => {
+      const fieldset = mailEndpoint(kind);
+      const value = name => fieldset.querySelector(`[name="${name}"]`).value.trim();
+      const auth = { method: value('method'), user: value('user') };
+      ['pass', 'clientId', 'clientSecret', 'refreshToken', 'accessToken'].forEach(name => {
+        if (value(name)) auth[name] = value(name);
+      });
+      return {
+        host: value('host'),
+        port: value('port'),
+        security: value('security'),
+        rejectUnauthorized: fieldset.querySelector('[name="rejectUnauthorized"]').checked,
+        auth
+      };
+    };
+
+    return {
+      provider: providerSelect.value,
+      address: document.getElementById('mailAddress').value.trim(),
+      smtp: endpoint('smtp'),
+      imap: endpoint('imap')
+    };
+  }
+
+  function showSettingsResult(result) {
+    const box = document.getElementById('settingsResult');
+    const line = (label, check) => check
+      ? `<div class="${check.ok ? 'ok' : 'failed'}"><i class="fas ${check.ok ? 'fa-check-circle' : 'fa-times-circle'}"></i> ${label}: ${check.ok ? 'OK' : escapeHtml(check.error)}</div>`
+      : '';
+
+    box.innerHTML = result.test
+      ? line('SMTP', result.test.smtp) + line('IMAP', result.test.imap)
+      : `<div class="failed"><i class="fas fa-times-circle"></i> ${escapeHtml(result.message || 'Request failed')}</div>`;
+    box.style.display = 'block';
+  }
+
+  providerSelect.addEventListener('change', applyProviderPreset);
+  settingsForm.querySelectorAll('[name="method"]').forEach(select => {
+    select.addEventListener('change', function() {
+      updateAuthFields(this.closest('.mail-endpoint'));
+    });
+  });
+
+  document.getElementById('testSettingsBtn').addEventListener('click', function() {
+    const button = this;
+    button.disabled = true;
+    button.innerHTML = '<i class="fas fa-spinner fa-spin"></i> Testing...';
+
+    apiFetch('/api/account/mail/test', {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify(readMailSettings())
+    })
+      .then(response => response.json())
+      .then(showSettingsResult)
+      .catch(error => showSettingsResult({ message: error.message }))
+      .finally(() => {
+        button.disabled = false;
+        button.innerHTML = '<i class="fas fa-plug"></i> Test connection';
+      });
+  });
+
+  settingsForm.addEventListener('submit', function(e) {
+    e.preventDefault();
+    const button = settingsForm.querySelector('button[type="submit"]');
+    button.disabled = true;
+    button.innerHTML = '<i class="fas fa-spinner fa-spin"></i> Testing & saving...';
+
+    apiFetch('/api/account/mail', {
+      method: 'PUT',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify(readMailSettings())
+    })
+      .then(response => response.json())
+      .then(result => {
+        if (!result.success) {
+          showSettingsResult(result);
+          return;
+        }
+        settingsModal.style.display = 'none';
+        showNotification('Mail settings saved', 'success');
+        loadMailboxes();
+        loadInbox();
+        startLiveUpdates();
+      })
+      .catch(error => showSettingsResult({ message: error.message }))
+      .finally(() => {
+        button.disabled = false;
+        button.innerHTML = '<i class="fas fa-save"></i> Save';
+      });
+  });
+  
   function updateAttachmentList() {
     const attachmentList = document.getElementById('attachmentList');
     attachmentList.innerHTML = '';
     
-    if (currentAttachments.length === 0) {
+    if (currentAttachments.length === 0 && draftAttachments.length === 0) {
       attachmentList.style.display = 'none';
       return;
     }
     
     attachmentList.style.display = 'block';
     
+    // Attachments saved with the draft first, then the ones picked since
+    draftAttachments.forEach(attachment => {
+      const item = document.createElement('div');
+      item.className = 'attachment-item';
+      item.innerHTML = `
+        <a href="#" class="draft-attachment-link">${escapeHtml(attachment.filename)}</a> (${formatFileSize(attachment.size || 0)})
+        <button type="button" class="remove-attachment" data-draft-attachment="${attachment.id}">×</button>
+      `;
+      item.querySelector('.draft-attachment-link').addEventListener('click', e => {
+        e.preventDefault();
+        downloadFile(`/api/drafts/${currentDraftId}/attachments/${attachment.id}`, attachment.filename);
+      });
+      attachmentList.appendChild(item);
+    });
+
     currentAttachments.forEach((file, index) => {
       const item = document.createElement('div');
       item.className = 'attachment-item';
       item.innerHTML = `
-        <span>${file.name} (${formatFileSize(file.size)})</span>
-        <button class="remove-attachment" data-index="${index}">×</button>
+        <span>${escapeHtml(file.name)} (${formatFileSize(file.size)})</span>
+        <button type="button" class="remove-attachment" data-index="${index}">×</button>
       `;
       attachmentList.appendChild(item);
     });
     
     document.querySelectorAll('.remove-attachment').forEach(btn => {
       btn.addEventListener('click', function() {
-        const index = parseInt(this.getAttribute('data-index'));
-        currentAttachments.splice(index, 1);
+        if (this.dataset.draftAttachment) {
+          removedDraftAttachments.push(this.dataset.draftAttachment);
+          draftAttachments = draftAttachments.filter(attachment => attachment.id !== this.dataset.draftAttachment);
+        } else {
+          const index = parseInt(this.getAttribute('data-index'));
+          currentAttachments.splice(index, 1);
+        }
+        draftDirty = true;
         updateAttachmentList();
       });
     });
@@ -213,21 +579,532 @@ document.addEventListener('DOMContentLoaded', function() {
   }
   
   function resetComposeForm() {
+    stopDraftAutosave();
     composeForm.reset();
+    // No sender picked: the picker falls back to the default identity
+    fromSelect.value = '';
+    delete fromSelect.dataset.address;
+    senderIdentity = null;
     htmlContent.value = '';
     bodyContent.value = '';
     currentAttachments = [];
+    currentDraftId = null;
+    composeOriginal = null;
+    forwardedNames = [];
+    document.getElementById('forwardOptions').style.display = 'none';
+    draftAttachments = [];
+    removedDraftAttachments = [];
+    draftDirty = false;
+    document.getElementById('draftStatus').textContent = '';
     updateAttachmentList();
     
     // Reset to text view
     document.querySelector('.toggle-btn[data-type="text"]').click();
     
     // Reset all field styles
-    document.querySelectorAll('input, textarea').forEach(field => {
+    document.querySelectorAll('input, select, textarea').forEach(field => {
       field.style.border = '';
     });
   }
   
+  function openCompose() {
+    composeModal.style.display = 'block';
+    startDraftAutosave();
+    loadTemplateOptions();
+    loadIdentityOptions();
+  }
+
+  // ==================== TEMPLATES ====================
+
+  const templatePicker = document.getElementById('templatePicker');
+
+  function loadTemplateOptions() {
+    apiFetch('/api/templates?kind=template')
+      .then(response => {
+        if (!response.ok) throw new Error(`HTTP error! status: ${response.status}`);
+        return response.json();
+      })
+      .then(result => {
+        const selected = templatePicker.value;
+        templatePicker.innerHTML = '<option value="">No template</option>';
+        result.templates.forEach(template => {
+          templatePicker.appendChild(Object.assign(document.createElement('option'), { value: template.id, textContent: template.name }));
+        });
+        templatePicker.value = selected;
+      })
+      .catch(error => console.error('Error loading templates:', error));
+  }
+
+  // Fill the message from the picked template: rendered HTML (CSS inlined),
+  // its plain-text alternative and, when none was typed yet, the subject
+  templatePicker.addEventListener('change', function() {
+    if (!this.value) return;
+    if ((htmlContent.value.trim() || bodyContent.value.trim()) && !confirm('Replace the current message with this template?')) {
+      this.value = '';
+      return;
+    }
+
+    apiFetch(`/api/templates/${encodeURIComponent(this.value)}/render`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ variables: {} })
+    })
+      .then(response => response.json().then(result => {
+        if (!response.ok) throw new Error(result.message || `HTTP error! status: ${response.status}`);
+        return result;
+      }))
+      .then(result => {
+        const subjectInput = document.getElementById('subject');
+        if (!subjectInput.value.trim()) subjectInput.value = result.subject;
+        htmlContent.value = result.html || '';
+        bodyContent.value = result.text;
+        document.querySelector(`.toggle-btn[data-type="${result.html ? 'html' : 'text'}"]`).click();
+        draftDirty = true;
+
+        // Sent as they are otherwise: remind the user to fill them in
+        const placeholders = result.missing.filter(name => name !== 'unsubscribeUrl');
+        if (placeholders.length) {
+          showNotification(`Replace the placeholders before sending: ${placeholders.map(name => `{{${name}}}`).join(', ')}`, 'info');
+        }
+      })
+      .catch(error => {
+        console.error('Error:', error);
+        showNotification(`Could not load template: ${error.message}`, 'error');
+      });
+  });
+
+  // ==================== SENDER IDENTITIES ====================
+
+  function fetchIdentities() {
+    return apiFetch('/api/identities')
+      .then(response => {
+        if (!response.ok) throw new Error(`HTTP error! status: ${response.status}`);
+        return response.json();
+      })
+      .then(result => {
+        senderIdentities = result.identities;
+        return senderIdentities;
+      });
+  }
+
+  function identityFor(address) {
+    return senderIdentities.find(identity => identity.address === String(address || '').toLowerCase()) || null;
+  }
+
+  // Fill the From picker, keeping the address a draft or reply set. Unverified
+  // addresses are listed but can't be picked until they are confirmed.
+  function loadIdentityOptions() {
+    fetchIdentities()
+      .then(identities => {
+        const selected = fromSelect.dataset.address || fromSelect.value;
+        fromSelect.innerHTML = '';
+        identities.forEach(identity => {
+          const label = identity.name ? `${identity.name} <${identity.address}>` : identity.address;
+          fromSelect.appendChild(Object.assign(document.createElement('option'), {
+            value: identity.address,
+            textContent: identity.verified ? label : `${label} (unverified)`,
+            disabled: !identity.verified
+          }));
+        });
+        if (selected && !identityFor(selected)) {
+          fromSelect.appendChild(Object.assign(document.createElement('option'), {
+            value: selected,
+            textContent: `${selected} (no identity)`,
+            disabled: true
+          }));
+        }
+
+        const fallback = identities.find(identity => identity.isDefault && identity.verified) || identities.find(identity => identity.verified);
+        fromSelect.value = selected || (fallback ? fallback.address : '');
+        delete fromSelect.dataset.address;
+
+        // A new message takes the identity's name, reply-to and signature
+        const filled = ['senderName', 'replyTo', 'signature'].some(id => document.getElementById(id).value.trim());
+        if (filled) senderIdentity = identityFor(fromSelect.value);
+        else applyIdentity(identityFor(fromSelect.value));
+      })
+      .catch(error => console.error('Error loading sender identities:', error));
+  }
+
+  // Set the From address before the picker has loaded (drafts, replies)
+  function setSender(address) {
+    fromSelect.dataset.address = String(address || '').toLowerCase();
+  }
+
+  // Switch the sender fields to an identity. The signature is only replaced
+  // when it is empty or still the previous identity's.
+  function applyIdentity(identity) {
+    const signatureInput = document.getElementById('signature');
+    if (!signatureInput.value.trim() || (senderIdentity && signatureInput.value === senderIdentity.signature)) {
+      signatureInput.value = identity ? identity.signature : '';
+    }
+    document.getElementById('senderName').value = identity ? identity.name : '';
+    document.getElementById('replyTo').value = identity ? identity.replyTo : '';
+    senderIdentity = identity;
+  }
+
+  fromSelect.addEventListener('change', function() {
+    applyIdentity(identityFor(this.value));
+    draftDirty = true;
+  });
+
+  // Identities in the settings modal
+  function loadIdentityList() {
+    const list = document.getElementById('identityList');
+    fetchIdentities()
+      .then(identities => {
+        list.innerHTML = '';
+        identities.forEach(identity => {
+          const item = document.createElement('li');
+          item.className = 'identity';
+          item.dataset.id = identity.id;
+          item.innerHTML = `
+            <div class="identity-address">
+              ${escapeHtml(identity.name ? `${identity.name} <${identity.address}>` : identity.address)}
+              ${identity.isDefault ? '<span class="identity-badge">Default</span>' : ''}
+              <span class="identity-badge ${identity.verified ? 'verified' : 'unverified'}">${identity.verified ? 'Verified' : 'Awaiting confirmation'}</span>
+            </div>
+            <div class="campaign-actions">
+              <button type="button" data-action="edit">Edit</button>
+              ${identity.verified ? '' : '<button type="button" data-action="resend">Resend confirmation</button>'}
+              ${identity.isDefault ? '' : '<button type="button" data-action="default">Make default</button>'}
+              <button type="button" data-action="delete">Delete</button>
+            </div>
+          `;
+          list.appendChild(item);
+        });
+      })
+      .catch(error => {
+        console.error('Error loading sender identities:', error);
+        list.innerHTML = '<li class="empty-state">Could not load sender identities</li>';
+      });
+  }
+
+  function identityRequest(path, options) {
+    return apiFetch(path, options)
+      .then(response => response.json().then(result => {
+        if (!response.ok || !result.success) throw new Error(result.message || `HTTP error! status: ${response.status}`);
+        return result;
+      }));
+  }
+
+  function resetIdentityForm() {
+    identityForm.reset();
+    editingIdentityId = null;
+    identityForm.elements.address.readOnly = false;
+    document.getElementById('identityCancelBtn').style.display = 'none';
+    document.getElementById('identitySubmitBtn').innerHTML = '<i class="fas fa-plus"></i> Add identity';
+  }
+
+  function editIdentity(identity) {
+    editingIdentityId = identity.id;
+    ['address', 'name', 'replyTo', 'signature'].forEach(field => {
+      identityForm.elements[field].value = identity[field] || '';
+    });
+    identityForm.elements.isDefault.checked = identity.isDefault;
+    // The address was confirmed as it is; a different one is a new identity
+    identityForm.elements.address.readOnly = true;
+    document.getElementById('identityCancelBtn').style.display = '';
+    document.getElementById('identitySubmitBtn').innerHTML = '<i class="fas fa-save"></i> Save identity';
+  }
+
+  document.getElementById('identityList').addEventListener('click', function(e) {
+    const button = e.target.closest('button[data-action]');
+    if (!button) return;
+    const identity = senderIdentities.find(entry => entry.id === button.closest('.identity').dataset.id);
+    if (!identity) return;
+    const path = `/api/identities/${encodeURIComponent(identity.id)}`;
+
+    let request;
+    if (button.dataset.action === 'edit') {
+      editIdentity(identity);
+      return;
+    } else if (button.dataset.action === 'resend') {
+      request = identityRequest(`${path}/resend`, { method: 'POST' });
+    } else if (button.dataset.action === 'default') {
+      request = identityRequest(path, {
+        method: 'PATCH',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ isDefault: true })
+      });
+    } else {
+      if (!confirm(`Delete the sender identity ${identity.address}?`)) return;
+      request = identityRequest(path, { method: 'DELETE' });
+    }
+
+    button.disabled = true;
+    request
+      .then(result => {
+        if (result.message) showNotification(result.message, 'success');
+        if (identity.id === editingIdentityId) resetIdentityForm();
+        loadIdentityList();
+      })
+      .catch(error => {
+        button.disabled = false;
+        showNotification(error.message, 'error');
+      });
+  });
+
+  document.getElementById('identityCancelBtn').addEventListener('click', resetIdentityForm);
+
+  identityForm.addEventListener('submit', function(e) {
+    e.preventDefault();
+    const data = {
+      name: identityForm.elements.name.value.trim(),
+      replyTo: identityForm.elements.replyTo.value.trim(),
+      signature: identityForm.elements.signature.value,
+      isDefault: identityForm.elements.isDefault.checked
+    };
+    const editing = editingIdentityId;
+    if (!editing) data.address = identityForm.elements.address.value.trim();
+
+    identityRequest(editing ? `/api/identities/${encodeURIComponent(editing)}` : '/api/identities', {
+      method: editing ? 'PATCH' : 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify(data)
+    })
+      .then(result => {
+        if (editing) {
+          showNotification('Sender identity saved', 'success');
+        } else if (result.identity.verified) {
+          showNotification(`${result.identity.address} added`, 'success');
+        } else if (result.verificationSent) {
+          showNotification(`Confirmation sent to ${result.identity.address}: follow the link in it to send from this address`, 'info');
+        } else {
+          showNotification(`${result.identity.address} added, but the confirmation could not be sent. Try "Resend confirmation".`, 'error');
+        }
+        resetIdentityForm();
+        loadIdentityList();
+      })
+      .catch(error => showNotification(error.message, 'error'));
+  });
+
+  // Closing keeps what was typed: unsaved changes go to the draft first
+  function closeCompose() {
+    stopDraftAutosave();
+    composeModal.style.display = 'none';
+    saveDraft()
+      .then(saved => {
+        if (saved) showNotification('Message saved to drafts', 'success');
+      })
+      .catch(error => showNotification(`Could not save draft: ${error.message}`, 'error'))
+      .finally(resetComposeForm);
+  }
+
+  function startDraftAutosave() {
+    stopDraftAutosave();
+    draftTimer = setInterval(() => {
+      saveDraft().catch(error => console.warn('Draft autosave failed:', error));
+    }, DRAFT_AUTOSAVE_INTERVAL);
+  }
+
+  function stopDraftAutosave() {
+    clearInterval(draftTimer);
+    draftTimer = null;
+  }
+
+  // Raw compose form contents, in the shape of a draft
+  function readDraftFields() {
+    const fields = {
+      text: bodyContent.value,
+      html: htmlContent.value,
+      format: currentView,
+      original: composeOriginal
+    };
+    DRAFT_INPUTS.forEach(id => {
+      fields[id] = document.getElementById(id).value;
+    });
+    // (a draft's sender while the picker is still loading)
+    if (fromSelect.dataset.address) fields.from = fromSelect.dataset.address;
+    return fields;
+  }
+
+  // Save the compose form as a draft if it changed since the last save.
+  // Saves run one after another; resolves with the saved draft (or null).
+  function saveDraft() {
+    draftSaving = draftSaving.catch(() => {}).then(() => {
+      if (!draftDirty) return null;
+
+      const fields = readDraftFields();
+      const isEmpty = !currentAttachments.length && !draftAttachments.length &&
+        Object.keys(fields).every(key => ['format', 'original'].includes(key) || !fields[key].trim());
+      if (isEmpty && !currentDraftId) return null;
+
+      const files = currentAttachments.slice();
+      const removed = removedDraftAttachments.slice();
+      const formData = new FormData();
+      formData.append('data', JSON.stringify(Object.assign(fields, { removeAttachments: removed })));
+      files.forEach(file => formData.append('attachments', file));
+      draftDirty = false;
+
+      return apiFetch(currentDraftId ? `/api/drafts/${currentDraftId}` : '/api/drafts', {
+        method: currentDraftId ? 'PUT' : 'POST',
+        body: formData
+      })
+        .then(response => response.json())
+        .then(result => {
+          if (!result.success) throw new Error(result.message);
+          currentDraftId = result.draft.id;
+          draftAttachments = result.draft.attachments;
+          currentAttachments = currentAttachments.filter(file => !files.includes(file));
+          removedDraftAttachments = removedDraftAttachments.filter(id => !removed.includes(id));
+          updateAttachmentList();
+          document.getElementById('draftStatus').textContent = `Draft saved ${new Date().toLocaleTimeString()}`;
+          return result.draft;
+        })
+        .catch(error => {
+          draftDirty = true;
+          throw error;
+        });
+    });
+    return draftSaving;
+  }
+
+  // Remember which message the compose form answers; forwards get their options shown
+  function setComposeOriginal(original, attachmentNames) {
+    composeOriginal = original ? Object.assign({}, original) : null;
+    forwardedNames = attachmentNames;
+    const isForward = Boolean(composeOriginal && composeOriginal.mode === 'forward');
+    document.getElementById('forwardOptions').style.display = isForward ? 'block' : 'none';
+    if (isForward) {
+      document.getElementById('forwardAs').value = composeOriginal.forwardAs || 'inline';
+      updateForwardNote();
+    }
+  }
+
+  function updateForwardNote() {
+    const note = document.getElementById('forwardNote');
+    if (composeOriginal.forwardAs === 'attachment') {
+      note.textContent = 'The original message is attached as an .eml file.';
+    } else {
+      note.textContent = forwardedNames.length ? `Original attachments included: ${forwardedNames.join(', ')}` : '';
+    }
+  }
+
+  // Reply, reply all or forward: the server works out recipients, subject,
+  // quote and threading headers from the original message
+  function startResponse(email, mode) {
+    if (!email.uid) {
+      // Sample messages (API unavailable) have nothing to thread against
+      resetComposeForm();
+      document.getElementById('to').value = mode === 'forward' ? '' : (email.replyTo || email.from);
+      document.getElementById('subject').value = `${mode === 'forward' ? 'Fwd' : 'Re'}: ${email.subject}`;
+      bodyContent.value = `\n\n-------- Original Message --------\nFrom: ${email.from}\nDate: ${formatDate(email.date, true)}\nSubject: ${email.subject}\n\n${email.body}`;
+      openCompose();
+      return;
+    }
+
+    const params = new URLSearchParams({ mailbox: email.mailbox || 'INBOX', mode });
+    apiFetch(`/api/messages/${email.uid}/compose?${params}`)
+      .then(response => {
+        if (!response.ok) throw new Error(`HTTP error! status: ${response.status}`);
+        return response.json();
+      })
+      .then(prepared => {
+        resetComposeForm();
+        setSender(prepared.from);
+        document.getElementById('to').value = prepared.to.join(', ');
+        document.getElementById('cc').value = prepared.cc.join(', ');
+        document.getElementById('subject').value = prepared.subject;
+        bodyContent.value = prepared.text;
+        setComposeOriginal(prepared.original, prepared.attachments.map(att => att.filename));
+        openCompose();
+        document.getElementById(mode === 'forward' ? 'to' : 'body').focus();
+        bodyContent.setSelectionRange(0, 0);
+      })
+      .catch(error => {
+        console.error('Error:', error);
+        showNotification(`Could not ${mode === 'forward' ? 'forward' : 'reply to'} this message`, 'error');
+      });
+  }
+
+  // Load a saved draft into the compose form
+  function openDraft(id) {
+    apiFetch(`/api/drafts/${id}`)
+      .then(response => {
+        if (!response.ok) throw new Error(`HTTP error! status: ${response.status}`);
+        return response.json();
+      })
+      .then(({ draft }) => {
+        resetComposeForm();
+        DRAFT_INPUTS.filter(field => field !== 'from').forEach(field => {
+          document.getElementById(field).value = draft[field] || '';
+        });
+        setSender(draft.from);
+        bodyContent.value = draft.text || '';
+        htmlContent.value = draft.html || '';
+        document.querySelector(`.toggle-btn[data-type="${draft.format === 'html' ? 'html' : 'text'}"]`).click();
+        currentDraftId = draft.id;
+        draftAttachments = draft.attachments;
+        setComposeOriginal(draft.original, []);
+        updateAttachmentList();
+        openCompose();
+      })
+      .catch(error => showNotification(`Could not open draft: ${error.message}`, 'error'));
+  }
+
+  function showDrafts() {
+    stopCampaignPolling();
+    emailList.innerHTML = '<div class="empty-state">Loading drafts...</div>';
+
+    apiFetch('/api/drafts')
+      .then(response => {
+        if (!response.ok) throw new Error(`HTTP error! status: ${response.status}`);
+        return response.json();
+      })
+      .then(result => {
+        if (currentMailbox !== null || searchState) return;
+        renderDrafts(result.drafts);
+      })
+      .catch(error => {
+        console.error('Error loading drafts:', error);
+        emailList.innerHTML = '<div class="empty-state">Could not load drafts</div>';
+      });
+  }
+
+  function renderDrafts(list) {
+    if (list.length === 0) {
+      emailList.innerHTML = '<div class="empty-state">No drafts</div>';
+      return;
+    }
+
+    emailList.innerHTML = list.map(draft => `
+      <div class="campaign draft" data-id="${draft.id}">
+        <div class="campaign-header">
+          <span class="email-subject">${escapeHtml(draft.subject || '(no subject)')}</span>
+          <span class="campaign-meta">${formatDate(draft.updatedAt, true)}</span>
+        </div>
+        <div class="campaign-meta">
+          ${draft.to ? `To: ${escapeHtml(draft.to)}` : 'No recipients yet'}
+          ${draft.attachments.length ? ` · <i class="fas fa-paperclip"></i> ${draft.attachments.length}` : ''}
+        </div>
+        <div class="campaign-actions">
+          <button data-action="edit"><i class="fas fa-pen"></i> Edit</button>
+          <button data-action="delete"><i class="fas fa-trash"></i> Delete</button>
+        </div>
+      </div>
+    `).join('');
+
+    emailList.querySelectorAll('.campaign-actions button').forEach(btn => {
+      btn.addEventListener('click', function() {
+        const id = this.closest('.draft').dataset.id;
+        if (this.dataset.action === 'edit') {
+          openDraft(id);
+          return;
+        }
+        if (!confirm('Delete this draft?')) return;
+
+        apiFetch(`/api/drafts/${id}`, { method: 'DELETE' })
+          .then(response => response.json())
+          .then(result => {
+            if (!result.success) throw new Error(result.message);
+            showDrafts();
+          })
+          .catch(error => showNotification(`Failed to delete draft: ${error.message}`, 'error'));
+      });
+    });
+  }
+
   function showNotification(message, type) {
     const notification = document.createElement('div');
     notification.className = `notification ${type}`;
@@ -247,91 +1124,1208 @@ document.addEventListener('DOMContentLoaded', function() {
     }, 3000);
   }
   
-  function loadInbox() {
-    fetch('https://web-mail-3ooi.onrender.com/api/inbox')
+  function loadMailboxes() {
+    apiFetch('/api/mailboxes')
       .then(response => {
-        if (!response.ok) {
-          apiAvailable = false;
-          throw new Error('API not available');
-        }
+        if (!response.ok) throw new Error('API not available');
         return response.json();
       })
-      .then(emails => {
-        emails.sort((a, b) => new Date(b.date) - new Date(a.date));
-        renderEmails(emails);
+      .then(mailboxes => {
+        if (mailboxes.length === 0) return;
+        mailboxDirectory = mailboxes;
+        fillMoveTargets();
+
+        mailboxList.innerHTML = '';
+        mailboxes.forEach(mailbox => {
+          const item = document.createElement('li');
+          item.dataset.mailbox = mailbox.path;
+          item.innerHTML = `<i class="fas ${mailboxIcons[mailbox.specialUse] || 'fa-folder'}"></i> `;
+          item.appendChild(document.createTextNode(mailbox.name));
+          if (mailbox.path === currentMailbox) item.classList.add('active');
+          mailboxList.appendChild(item);
+        });
+        bindMailboxItems();
+        updateUnreadBadge();
       })
       .catch(error => {
-        console.warn('Using mock inbox data due to:', error);
-        renderEmails(mockInbox);
+        console.warn('Using default mailboxes due to:', error);
       });
   }
-  
-  function renderEmails(emails) {
-    emailList.innerHTML = '';
-    
-    if (emails.length === 0) {
-      emailList.innerHTML = '<div class="empty-state">No emails found</div>';
-      return;
-    }
+
+  function bindMailboxItems() {
+    mailboxList.querySelectorAll('li').forEach(item => {
+      item.addEventListener('click', function() {
+        document.querySelectorAll('.sidebar nav li').forEach(li => li.classList.remove('active'));
+        this.classList.add('active');
+        stopCampaignPolling();
+        endSearch();
+
+        setTitleFrom(this);
+        document.querySelector('.mail-list').style.display = 'block';
+        emailView.style.display = 'none';
+        loadMailbox(this.dataset.mailbox);
+      });
+    });
+  }
+
+  // List title from a sidebar entry (icon and name, without the unread badge)
+  function setTitleFrom(item) {
+    mailboxTitle.innerHTML = item.innerHTML;
+    mailboxTitle.querySelectorAll('.unread-badge').forEach(badge => badge.remove());
+  }
+
+  function bindViewItems() {
+    viewList.querySelectorAll('li').forEach(item => {
+      item.addEventListener('click', function() {
+        document.querySelectorAll('.sidebar nav li').forEach(li => li.classList.remove('active'));
+        this.classList.add('active');
+
+        setTitleFrom(this);
+        document.querySelector('.mail-list').style.display = 'block';
+        emailView.style.display = 'none';
+        // Leave mailbox paging so late responses and scrolling don't touch the list
+        endSearch();
+        currentMailbox = null;
+        nextCursor = null;
+        updateLoadMore({ hasMore: false });
+        bulkActions.style.display = 'none';
+
+        if (this.dataset.view === 'campaigns') showCampaigns();
+        if (this.dataset.view === 'scheduled') showScheduled();
+        if (this.dataset.view === 'drafts') showDrafts();
+      });
+    });
+  }
+
+  // Campaigns are sent in the background; the list polls for progress while it is open
+  function showCampaigns() {
+    stopCampaignPolling();
+    emailList.innerHTML = '<div class="empty-state">Loading campaigns...</div>';
+    refreshCampaigns();
+  }
+
+  function stopCampaignPolling() {
+    clearTimeout(campaignPollTimer);
+    campaignPollTimer = null;
+  }
+
+  function refreshCampaigns() {
+    apiFetch('/api/campaigns')
+      .then(response => {
+        if (!response.ok) throw new Error(`HTTP error! status: ${response.status}`);
+        return response.json();
+      })
+      .then(result => {
+        if (currentMailbox !== null || searchState) return;
+        renderCampaigns(result.campaigns);
+
+        // Keep polling only while something is still being sent
+        if (result.campaigns.some(campaign => ['queued', 'running'].includes(campaign.status))) {
+          campaignPollTimer = setTimeout(refreshCampaigns, CAMPAIGN_POLL_INTERVAL);
+        }
+      })
+      .catch(error => {
+        console.error('Error loading campaigns:', error);
+        emailList.innerHTML = '<div class="empty-state">Could not load campaigns</div>';
+      });
+  }
+
+  function renderCampaigns(list) {
+    if (list.length === 0) {
+      emailList.innerHTML = '<div class="empty-state">No campaigns yet</div>';
+      return;
+    }
+
+    emailList.innerHTML = list.map(campaign => `
+      <div class="campaign" data-id="${campaign.id}">
+        <div class="campaign-header">
+          <span class="email-subject">${escapeHtml(campaign.subject)}</span>
+          <span class="campaign-status status-${campaign.status}">${campaign.status}</span>
+        </div>
+        <div class="campaign-progress"><div style="width: ${campaign.progress}%"></div></div>
+        <div class="campaign-meta">
+          ${campaign.status === 'scheduled' ? `Sends ${formatDate(campaign.sendAt, true)} · ${campaign.total} recipients` : `
+          ${campaign.sent} sent · ${campaign.failed} failed · ${campaign.bounced} bounced · ${campaign.suppressed} suppressed · ${campaign.pending} pending of ${campaign.total}`}
+          · ${new Date(campaign.createdAt).toLocaleString()}
+        </div>
+        ${campaign.lastError ? `<div class="campaign-error">${escapeHtml(campaign.lastError)}</div>` : ''}
+        <div class="campaign-actions">
+          ${campaign.trackOpens || campaign.trackClicks ? '<button data-action="analytics"><i class="fas fa-chart-bar"></i> Analytics</button>' : ''}
+          ${['queued', 'running'].includes(campaign.status) ? '<button data-action="pause"><i class="fas fa-pause"></i> Pause</button>' : ''}
+          ${campaign.status === 'paused' ? '<button data-action="resume"><i class="fas fa-play"></i> Resume</button>' : ''}
+          ${['scheduled', 'queued', 'running', 'paused'].includes(campaign.status) ? '<button data-action="cancel"><i class="fas fa-times"></i> Cancel</button>' : ''}
+        </div>
+      </div>
+    `).join('');
+
+    emailList.querySelectorAll('.campaign-actions button').forEach(btn => {
+      btn.addEventListener('click', function() {
+        const id = this.closest('.campaign').dataset.id;
+        const action = this.dataset.action;
+        if (action === 'analytics') {
+          showCampaignAnalytics(list.find(campaign => campaign.id === id));
+          return;
+        }
+        if (action === 'cancel' && !confirm('Cancel this campaign? Remaining recipients will not be sent to.')) return;
+
+        apiFetch(`/api/campaigns/${id}/${action}`, { method: 'POST' })
+          .then(response => response.json())
+          .then(result => {
+            if (!result.success) throw new Error(result.message);
+            showCampaigns();
+          })
+          .catch(error => showNotification(`Failed to ${action} campaign: ${error.message}`, 'error'));
+      });
+    });
+  }
+
+  // Emails and campaigns waiting for their send time
+  function showScheduled() {
+    stopCampaignPolling();
+    emailList.innerHTML = '<div class="empty-state">Loading scheduled items...</div>';
+
+    apiFetch('/api/scheduled')
+      .then(response => {
+        if (!response.ok) throw new Error(`HTTP error! status: ${response.status}`);
+        return response.json();
+      })
+      .then(result => {
+        if (currentMailbox !== null || searchState) return;
+        renderScheduled(result.scheduled);
+      })
+      .catch(error => {
+        console.error('Error loading scheduled items:', error);
+        emailList.innerHTML = '<div class="empty-state">Could not load scheduled items</div>';
+      });
+  }
+
+  // ISO time -> value for a datetime-local input in the browser's time zone
+  function toLocalInputValue(iso) {
+    const date = new Date(iso);
+    return new Date(date.getTime() - date.getTimezoneOffset() * 60000).toISOString().slice(0, 16);
+  }
+
+  function renderScheduled(list) {
+    if (list.length === 0) {
+      emailList.innerHTML = '<div class="empty-state">Nothing is scheduled</div>';
+      return;
+    }
+
+    emailList.innerHTML = list.map(item => `
+      <div class="campaign" data-id="${item.id}">
+        <div class="campaign-header">
+          <span class="email-subject">${escapeHtml(item.subject)}</span>
+          <span class="campaign-status status-${item.status}">${item.type === 'campaign' ? 'Campaign' : 'Email'}</span>
+        </div>
+        <div class="campaign-meta">
+          Sends ${formatDate(item.sendAt, true)}
+          · ${item.type === 'campaign' ? `${item.total} recipients` : escapeHtml(item.to.concat(item.cc, item.bcc).join(', '))}
+        </div>
+        ${item.error ? `<div class="campaign-error">${escapeHtml(item.error)}</div>` : ''}
+        <div class="campaign-actions">
+          <input type="datetime-local" value="${toLocalInputValue(item.sendAt)}">
+          <button data-action="reschedule"><i class="fas fa-clock"></i> Reschedule</button>
+          <button data-action="cancel"><i class="fas fa-times"></i> Cancel</button>
+        </div>
+      </div>
+    `).join('');
+
+    emailList.querySelectorAll('.campaign-actions button').forEach(btn => {
+      btn.addEventListener('click', function() {
+        const id = this.closest('.campaign').dataset.id;
+        const action = this.dataset.action;
+        if (action === 'cancel' && !confirm('Cancel this scheduled item? It will not be sent.')) return;
+
+        const request = action === 'cancel'
+          ? apiFetch(`/api/scheduled/${id}`, { method: 'DELETE' })
+          : apiFetch(`/api/scheduled/${id}`, {
+            method: 'PATCH',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify({
+              sendAt: this.parentElement.querySelector('input').value,
+              timeZone: Intl.DateTimeFormat().resolvedOptions().timeZone
+            })
+          });
+
+        request
+          .then(response => response.json())
+          .then(result => {
+            if (!result.success) throw new Error(result.message);
+            showScheduled();
+          })
+          .catch(error => showNotification(`Failed to ${action}: ${error.message}`, 'error'));
+      });
+    });
+  }
+
+  function showCampaignAnalytics(campaign) {
+    stopCampaignPolling();
+    document.querySelector('.mail-list').style.display = 'none';
+    emailView.style.display = 'block';
+    emailView.innerHTML = '<div class="empty-state">Loading analytics...</div>';
+
+    apiFetch(`/api/campaigns/${campaign.id}/analytics`)
+      .then(response => {
+        if (!response.ok) throw new Error(`HTTP error! status: ${response.status}`);
+        return response.json();
+      })
+      .then(({ analytics }) => {
+        const stat = (label, value, detail) => `
+          <div class="analytics-stat">
+            <div class="analytics-value">${value}</div>
+            <div class="analytics-label">${label}${detail ? ` <small>${detail}</small>` : ''}</div>
+          </div>`;
+
+        emailView.innerHTML = `
+          <div class="email-view-header">
+            <h3>${escapeHtml(campaign.subject)}</h3>
+            <div class="email-meta">
+              <span><i class="fas fa-paper-plane"></i> ${analytics.sent} sent</span>
+              <span><i class="fas fa-clock"></i> ${formatDate(campaign.createdAt, true)}</span>
+            </div>
+          </div>
+          <div class="analytics-stats">
+            ${analytics.tracking.opens ? stat('Opens', analytics.uniqueOpens, `${analytics.openRate}% · ${analytics.opens} total`) : ''}
+            ${analytics.tracking.clicks ? stat('Unique clicks', analytics.uniqueClicks, `${analytics.clickRate}% · ${analytics.clicks} total`) : ''}
+            ${analytics.tracking.opens && analytics.tracking.clicks ? stat('Click-to-open', `${analytics.clickToOpenRate}%`) : ''}
+          </div>
+          ${analytics.tracking.clicks ? `
+            <h4 class="analytics-heading">Links</h4>
+            ${analytics.links.length ? `
+              <table class="analytics-links">
+                <thead><tr><th>Link</th><th>Clicks</th><th>Unique</th></tr></thead>
+                <tbody>
+                  ${analytics.links.map(link => `
+                    <tr>
+                      <td><a href="${escapeHtml(link.url)}" target="_blank" rel="noopener noreferrer">${escapeHtml(link.url)}</a></td>
+                      <td>${link.clicks}</td>
+                      <td>${link.uniqueClicks}</td>
+                    </tr>
+                  `).join('')}
+                </tbody>
+              </table>
+            ` : '<div class="empty-state">No clicks yet</div>'}
+          ` : ''}
+          <p class="analytics-note">Opens are estimates: some mail clients block the tracking image, others load it automatically.</p>
+          <div class="email-actions">
+            <button class="back-btn"><i class="fas fa-arrow-left"></i> Back</button>
+          </div>
+        `;
+
+        emailView.querySelector('.back-btn').addEventListener('click', () => {
+          emailView.style.display = 'none';
+          document.querySelector('.mail-list').style.display = 'block';
+          showCampaigns();
+        });
+      })
+      .catch(error => {
+        console.error('Error loading analytics:', error);
+        emailView.innerHTML = '<div class="empty-state">Could not load analytics</div>';
+      });
+  }
+
+  function loadInbox() {
+    loadMailbox('INBOX');
+  }
+
+  function loadMailbox(mailbox, append = false) {
+    if (threadView) return loadThreads(mailbox, append);
+    if (!append) {
+      nextCursor = null;
+      uidValidity = null;
+    }
+    currentMailbox = mailbox;
+
+    const params = new URLSearchParams({ limit: 20 });
+    if (append && nextCursor) {
+      params.set('before', nextCursor);
+      params.set('uidValidity', uidValidity);
+    }
+
+    loadingMore = true;
+    return apiFetch(`/api/mailboxes/${encodeURIComponent(mailbox)}/messages?${params}`)
+      .then(response => {
+        // Mailbox was renumbered on the server: start over from the newest page
+        if (response.status === 409 && append) {
+          return loadMailbox(mailbox).then(() => null);
+        }
+        if (!response.ok) {
+          apiAvailable = false;
+          throw new Error('API not available');
+        }
+        return response.json();
+      })
+      .then(page => {
+        if (!page || mailbox !== currentMailbox) return;
+        nextCursor = page.nextCursor;
+        uidValidity = page.uidValidity;
+        renderEmails(page.messages, append);
+        updateLoadMore(page);
+      })
+      .catch(error => {
+        if (mailbox !== currentMailbox || append) return;
+        console.warn('Using mock inbox data due to:', error);
+        renderEmails(mailbox === 'INBOX' ? mockInbox : []);
+      })
+      .finally(() => {
+        loadingMore = false;
+      });
+  }
+
+  function loadMoreEmails() {
+    if (loadingMore) return;
+    if (searchState) {
+      if (searchState.hasMore && !searchState.local) runSearch(searchState.q, { append: true });
+      return;
+    }
+    if (threadView ? !nextThreadPage : !nextCursor) return;
+    loadMailbox(currentMailbox, true);
+  }
+
+  function loadThreads(mailbox, append = false) {
+    if (!append) nextThreadPage = null;
+    currentMailbox = mailbox;
+
+    const params = new URLSearchParams({ limit: 20, page: append && nextThreadPage ? nextThreadPage : 1 });
+
+    loadingMore = true;
+    return apiFetch(`/api/mailboxes/${encodeURIComponent(mailbox)}/threads?${params}`)
+      .then(response => {
+        if (!response.ok) {
+          apiAvailable = false;
+          throw new Error('API not available');
+        }
+        return response.json();
+      })
+      .then(page => {
+        if (mailbox !== currentMailbox || !threadView) return;
+        nextThreadPage = page.hasMore ? page.page + 1 : null;
+        renderThreads(page.threads, append);
+        updateLoadMore(page);
+      })
+      .catch(error => {
+        if (mailbox !== currentMailbox || append) return;
+        console.warn('Using mock inbox data due to:', error);
+        renderEmails(mailbox === 'INBOX' ? mockInbox : []);
+      })
+      .finally(() => {
+        loadingMore = false;
+      });
+  }
+
+  threadToggle.classList.toggle('active', threadView);
+  threadToggle.addEventListener('click', () => {
+    threadView = !threadView;
+    localStorage.setItem('threadView', threadView ? '1' : '0');
+    threadToggle.classList.toggle('active', threadView);
+    // Campaigns, drafts, search results etc. keep their list; the choice applies to the next mailbox
+    if (currentMailbox === null) return;
+    document.querySelector('.mail-list').style.display = 'block';
+    emailView.style.display = 'none';
+    loadMailbox(currentMailbox);
+  });
+
+  function updateLoadMore(page) {
+    let loadMoreBtn = document.getElementById('loadMoreBtn');
+
+    if (!page.hasMore) {
+      if (loadMoreBtn) loadMoreBtn.remove();
+      return;
+    }
+
+    if (!loadMoreBtn) {
+      loadMoreBtn = document.createElement('button');
+      loadMoreBtn.id = 'loadMoreBtn';
+      loadMoreBtn.className = 'load-more-btn';
+      loadMoreBtn.addEventListener('click', loadMoreEmails);
+    }
+    const shown = emailList.querySelectorAll('.email').length;
+    loadMoreBtn.textContent = `Load more (${shown} of ${page.total})`;
+    emailList.appendChild(loadMoreBtn);
+  }
+
+  // Infinite scroll: fetch the next page when the list is scrolled near its end
+  document.querySelector('.mail-list').addEventListener('scroll', function() {
+    if (this.scrollTop + this.clientHeight >= this.scrollHeight - 200) {
+      loadMoreEmails();
+    }
+  });
+  
+  function renderEmails(emails, append = false) {
+    if (!append) {
+      emailList.innerHTML = '';
+      updateBulkActions();
+    }
+    
+    if (emails.length === 0 && !append) {
+      emailList.innerHTML = '<div class="empty-state">No emails found</div>';
+      return;
+    }
+    
+    emails.forEach(email => emailList.appendChild(createEmailElement(email)));
+  }
+
+  function createEmailElement(email) {
+    const emailElement = document.createElement('div');
+    emailElement.className = 'email' + (email.unread ? ' unread' : '');
+    if (email.uid) {
+      emailElement.dataset.uid = email.uid;
+      emailElement.dataset.mailbox = email.mailbox || currentMailbox || 'INBOX';
+    }
+    emailElement.innerHTML = `
+      <div class="email-header">
+        <span class="email-sender">
+          ${email.uid ? '<input type="checkbox" class="email-select" title="Select">' : ''}
+          ${escapeHtml(email.from)}
+        </span>
+        <span class="email-date">
+          ${email.uid ? `<button type="button" class="star-btn${email.flagged ? ' starred' : ''}" title="Star"><i class="fas fa-star"></i></button>` : ''}
+          ${formatDate(email.date)}
+        </span>
+      </div>
+      <div class="email-subject">${escapeHtml(email.subject)}</div>
+      <div class="email-preview">${(email.attachments && email.attachments.length) || email.hasAttachments ? '<i class="fas fa-paperclip"></i> ' : ''}${escapeHtml((email.preview || email.body || '').substring(0, 100))}...</div>
+    `;
     
-    emails.forEach(email => {
-      const emailElement = document.createElement('div');
-      emailElement.className = 'email' + (email.unread ? ' unread' : '');
-      emailElement.innerHTML = `
+    emailElement.addEventListener('click', function(e) {
+      if (e.target.closest('.email-select, .star-btn')) return;
+      if (email.partial) openMessage(email);
+      else showEmail(email);
+    });
+
+    const checkbox = emailElement.querySelector('.email-select');
+    if (checkbox) checkbox.addEventListener('change', updateBulkActions);
+
+    const starBtn = emailElement.querySelector('.star-btn');
+    if (starBtn) {
+      starBtn.addEventListener('click', () => {
+        const action = starBtn.classList.contains('starred') ? 'unstar' : 'star';
+        messageAction(action, [emailElement]).then(done => {
+          if (done) email.flagged = action === 'star';
+        });
+      });
+    }
+    
+    return emailElement;
+  }
+
+  // ==================== MESSAGE ACTIONS ====================
+
+  function fillMoveTargets() {
+    moveTarget.innerHTML = '<option value="">Move to...</option>';
+    mailboxDirectory.forEach(mailbox => {
+      moveTarget.appendChild(Object.assign(document.createElement('option'), { value: mailbox.path, textContent: mailbox.name }));
+    });
+  }
+
+  function isTrash(mailbox) {
+    const entry = mailboxDirectory.find(box => box.path === mailbox);
+    return entry ? entry.specialUse === '\\Trash' : /trash/i.test(mailbox);
+  }
+
+  function selectedRows() {
+    return Array.from(emailList.querySelectorAll('.email-select:checked')).map(box => box.closest('.email'));
+  }
+
+  function updateBulkActions() {
+    const count = selectedRows().length;
+    bulkActions.style.display = count ? 'flex' : 'none';
+    document.getElementById('bulkCount').textContent = `${count} selected`;
+  }
+
+  function clearSelection() {
+    emailList.querySelectorAll('.email-select:checked').forEach(box => {
+      box.checked = false;
+    });
+    updateBulkActions();
+  }
+
+  // API request for one action on messages of one mailbox
+  function actionRequest(action, mailbox, uids, target) {
+    const flags = { read: { seen: true }, unread: { seen: false }, star: { flagged: true }, unstar: { flagged: false } };
+    if (flags[action]) return ['/api/messages/flags', Object.assign({ mailbox, uids }, flags[action])];
+    if (action === 'move') return ['/api/messages/move', { mailbox, uids, to: target }];
+    // Deleting from the Trash is for good
+    if (action === 'trash' && isTrash(mailbox)) return ['/api/messages/expunge', { mailbox, uids }];
+    return [`/api/messages/${action}`, { mailbox, uids }];
+  }
+
+  // Run an action on list rows (search results may span several mailboxes:
+  // one request per mailbox). Resolves true when everything succeeded.
+  function messageAction(action, rows, target) {
+    const byMailbox = new Map();
+    rows.forEach(row => {
+      if (!byMailbox.has(row.dataset.mailbox)) byMailbox.set(row.dataset.mailbox, []);
+      byMailbox.get(row.dataset.mailbox).push(parseInt(row.dataset.uid, 10));
+    });
+
+    if (action === 'trash' && Array.from(byMailbox.keys()).some(isTrash) &&
+        !confirm(`Delete ${rows.length === 1 ? 'this message' : `${rows.length} messages`} forever?`)) {
+      return Promise.resolve(false);
+    }
+
+    const requests = Array.from(byMailbox.entries()).map(([mailbox, uids]) => {
+      const [path, body] = actionRequest(action, mailbox, uids, target);
+      return apiFetch(path, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify(body)
+      }).then(response => response.json().then(result => {
+        if (!response.ok) throw new Error(result.error || `HTTP error! status: ${response.status}`);
+        return result;
+      }));
+    });
+
+    return Promise.all(requests)
+      .then(() => {
+        rows.forEach(row => {
+          if (action === 'read' || action === 'unread') {
+            row.classList.toggle('unread', action === 'unread');
+          } else if (action === 'star' || action === 'unstar') {
+            const starBtn = row.querySelector('.star-btn');
+            if (starBtn) starBtn.classList.toggle('starred', action === 'star');
+          } else {
+            row.remove();
+          }
+        });
+        updateBulkActions();
+        return true;
+      })
+      .catch(error => {
+        console.error('Message action error:', error);
+        showNotification(error.message, 'error');
+        return false;
+      });
+  }
+
+  // The list row of an opened message, or a stand-in when it isn't listed
+  function rowFor(email) {
+    const mailbox = email.mailbox || currentMailbox || 'INBOX';
+    const row = Array.from(emailList.querySelectorAll('.email[data-uid]'))
+      .find(candidate => candidate.dataset.uid === String(email.uid) && candidate.dataset.mailbox === mailbox);
+    if (row) return row;
+    const standIn = document.createElement('div');
+    Object.assign(standIn.dataset, { uid: email.uid, mailbox });
+    return standIn;
+  }
+
+  bulkActions.querySelectorAll('button[data-action]').forEach(button => {
+    button.addEventListener('click', () => {
+      if (button.dataset.action === 'clear') {
+        clearSelection();
+        return;
+      }
+      messageAction(button.dataset.action, selectedRows());
+    });
+  });
+
+  moveTarget.addEventListener('change', () => {
+    const target = moveTarget.value;
+    moveTarget.value = '';
+    if (!target) return;
+    const rows = selectedRows().filter(row => row.dataset.mailbox !== target);
+    if (rows.length) {
+      messageAction('move', rows, target).then(done => {
+        if (done) showNotification(`Moved to ${target}`, 'success');
+      });
+    }
+  });
+
+  // Live inbox updates (see /api/events on the server): new mail shows up at
+  // the top of the open inbox and the sidebar keeps the unread count
+  let liveSource = null;
+  let liveRetryTimer = null;
+  let inboxUnread = 0;
+
+  function startLiveUpdates() {
+    clearTimeout(liveRetryTimer);
+    if (liveSource) liveSource.close();
+    liveSource = null;
+
+    // EventSource can't send the Authorization header (and the API is on
+    // another site, so no cookie either): open it with a short-lived ticket
+    apiFetch('/api/events/ticket', { method: 'POST' })
+      .then(response => {
+        if (!response.ok) throw new Error(`HTTP error! status: ${response.status}`);
+        return response.json();
+      })
+      .then(result => openLiveStream(result.ticket))
+      .catch(error => {
+        console.warn('Live updates unavailable:', error.message);
+        liveRetryTimer = setTimeout(startLiveUpdates, LIVE_RETRY_DELAY);
+      });
+  }
+
+  function openLiveStream(ticket) {
+    const source = new EventSource(`${API_BASE_URL}/api/events?${new URLSearchParams({ ticket })}`);
+    liveSource = source;
+
+    const on = (event, handler) => source.addEventListener(event, e => handler(JSON.parse(e.data)));
+    on('ready', data => setInboxUnread(data.unread));
+    on('unread', data => setInboxUnread(data.unread));
+    on('message', showNewMessage);
+    on('expunged', data => {
+      const row = inboxRow(data.uid);
+      if (row) row.remove();
+    });
+    on('flags', data => {
+      const row = inboxRow(data.uid);
+      if (!row) return;
+      row.classList.toggle('unread', data.unread);
+      const starBtn = row.querySelector('.star-btn');
+      if (starBtn) starBtn.classList.toggle('starred', data.flagged);
+    });
+    on('resync', () => {
+      if (currentMailbox === 'INBOX') loadMailbox('INBOX');
+    });
+
+    // Dropped streams are retried by the browser; a refused one (expired ticket,
+    // no mail account yet) is closed, so try again later with a new ticket
+    source.onerror = () => {
+      if (source !== liveSource || source.readyState !== EventSource.CLOSED) return;
+      liveRetryTimer = setTimeout(startLiveUpdates, LIVE_RETRY_DELAY);
+    };
+  }
+
+  // Row of an inbox message in the open (single message) list
+  function inboxRow(uid) {
+    if (currentMailbox !== 'INBOX' || threadView) return null;
+    return emailList.querySelector(`.email[data-uid="${uid}"]`);
+  }
+
+  function showNewMessage(email) {
+    if (currentMailbox === 'INBOX' && threadView) {
+      loadMailbox('INBOX');
+    } else if (currentMailbox === 'INBOX' && !inboxRow(email.uid)) {
+      const emptyState = emailList.querySelector('.empty-state');
+      if (emptyState) emptyState.remove();
+      // Only the headers came with the event: the full message is fetched on click
+      emailList.prepend(createEmailElement(Object.assign(email, { partial: true })));
+    }
+    showNotification(`New mail from ${email.from || 'unknown sender'}: ${email.subject || '(no subject)'}`, 'success');
+  }
+
+  function setInboxUnread(count) {
+    inboxUnread = count;
+    updateUnreadBadge();
+  }
+
+  function updateUnreadBadge() {
+    const item = mailboxList.querySelector('li[data-mailbox="INBOX"]');
+    if (!item) return;
+    let badge = item.querySelector('.unread-badge');
+    if (!badge) {
+      badge = document.createElement('span');
+      badge.className = 'unread-badge';
+      item.appendChild(badge);
+    }
+    badge.textContent = inboxUnread > 999 ? '999+' : inboxUnread;
+    badge.style.display = inboxUnread ? '' : 'none';
+  }
+  
+  // Typing shows instant matches from the local index of fetched messages;
+  // Enter (or the button) asks the mail server. "from:ann has:attachment"
+  // style operators work in both.
+  function runSearch(q, { local = false, append = false } = {}) {
+    if (!append) {
+      const mailbox = currentMailbox || (searchState && searchState.mailbox) || 'INBOX';
+      stopCampaignPolling();
+      searchState = { q, mailbox, page: 0, hasMore: false, local };
+      currentMailbox = null;
+      mailboxTitle.innerHTML = '<i class="fas fa-search"></i> ';
+      mailboxTitle.appendChild(document.createTextNode(local ? `Quick results for "${q}"` : `Results for "${q}"`));
+      document.querySelector('.mail-list').style.display = 'block';
+      emailView.style.display = 'none';
+      updateLoadMore({ hasMore: false });
+    }
+
+    const state = searchState;
+    const params = new URLSearchParams({ q, limit: 20, page: state.page + 1 });
+    // Quick results cover every mailbox, a server search the one that was open
+    if (local) params.set('local', '1');
+    else params.set('mailbox', state.mailbox);
+
+    loadingMore = true;
+    return apiFetch(`/api/search?${params}`)
+      .then(response => response.json().then(result => {
+        if (!response.ok) throw new Error(result.error || `HTTP error! status: ${response.status}`);
+        return result;
+      }))
+      .then(result => {
+        if (state !== searchState) return;
+        state.page = result.page;
+        state.hasMore = result.hasMore;
+        const messages = local ? result.messages.map(email => Object.assign(email, { partial: true })) : result.messages;
+        if (!append && messages.length === 0) {
+          emailList.innerHTML = `<div class="empty-state">No matches${local ? ' among recently viewed messages, press Enter to search the server' : ''}</div>`;
+          return;
+        }
+        renderEmails(messages, append);
+        updateLoadMore(local ? { hasMore: false } : result);
+      })
+      .catch(error => {
+        if (state !== searchState) return;
+        console.error('Search error:', error);
+        if (!append) emailList.innerHTML = `<div class="empty-state">${escapeHtml(error.message)}</div>`;
+      })
+      .finally(() => {
+        loadingMore = false;
+      });
+  }
+
+  // Back to the mailbox that was open before searching
+  function endSearch() {
+    clearTimeout(searchTimer);
+    if (!searchState) return null;
+    const mailbox = searchState.mailbox;
+    searchState = null;
+    searchInput.value = '';
+    return mailbox;
+  }
+
+  function showMailboxAgain(mailbox) {
+    const item = mailboxList.querySelector(`li[data-mailbox="${CSS.escape(mailbox)}"]`);
+    if (item) setTitleFrom(item);
+    else mailboxTitle.innerHTML = '<i class="fas fa-inbox"></i> Inbox';
+    loadMailbox(mailbox);
+  }
+
+  searchInput.addEventListener('input', () => {
+    clearTimeout(searchTimer);
+    const q = searchInput.value.trim();
+    searchTimer = setTimeout(() => {
+      if (q.length >= 2) {
+        runSearch(q, { local: true });
+      } else if (!q && searchState) {
+        showMailboxAgain(endSearch());
+      }
+    }, 300);
+  });
+
+  function submitSearch() {
+    clearTimeout(searchTimer);
+    const q = searchInput.value.trim();
+    if (q) {
+      runSearch(q);
+    } else if (searchState) {
+      showMailboxAgain(endSearch());
+    }
+  }
+
+  searchInput.addEventListener('keydown', e => {
+    if (e.key === 'Enter') submitSearch();
+  });
+  document.querySelector('.search-box button').addEventListener('click', submitSearch);
+
+  // Quick search results carry only a summary: fetch the message before showing it
+  function openMessage(email) {
+    const params = new URLSearchParams({ mailbox: email.mailbox || 'INBOX' });
+    apiFetch(`/api/messages/${email.uid}?${params}`)
+      .then(response => {
+        if (response.status === 404) throw new Error('This message no longer exists');
+        if (!response.ok) throw new Error('Failed to load the message');
+        return response.json();
+      })
+      .then(showEmail)
+      .catch(error => showNotification(error.message, 'error'));
+  }
+
+  function participantNames(thread) {
+    const names = thread.participants.slice(0, 3).map(person => person.name || person.address);
+    return names.join(', ') + (thread.participants.length > 3 ? ` +${thread.participants.length - 3}` : '');
+  }
+
+  function renderThreads(threads, append = false) {
+    if (!append) {
+      emailList.innerHTML = '';
+      updateBulkActions();
+    }
+
+    if (threads.length === 0 && !append) {
+      emailList.innerHTML = '<div class="empty-state">No conversations found</div>';
+      return;
+    }
+
+    threads.forEach(thread => {
+      const threadElement = document.createElement('div');
+      threadElement.className = 'email thread-item' + (thread.unreadCount ? ' unread' : '');
+      threadElement.innerHTML = `
         <div class="email-header">
-          <span class="email-sender">${email.from}</span>
-          <span class="email-date">${formatDate(email.date)}</span>
+          <span class="email-sender">${escapeHtml(participantNames(thread))}${thread.count > 1 ? ` <span class="thread-count">${thread.count}</span>` : ''}</span>
+          <span class="email-date">${formatDate(thread.lastDate)}</span>
         </div>
-        <div class="email-subject">${email.subject}</div>
-        <div class="email-preview">${email.body.substring(0, 100)}...</div>
+        <div class="email-subject">${escapeHtml(thread.subject)}</div>
+        <div class="email-preview">${thread.count > 1 ? `Latest from ${escapeHtml(thread.latest.from)}` : ''}</div>
       `;
-      
-      emailElement.addEventListener('click', function() {
-        showEmail(email);
+
+      threadElement.addEventListener('click', function() {
+        showThread(thread);
       });
-      
-      emailList.appendChild(emailElement);
+
+      emailList.appendChild(threadElement);
     });
   }
-  
+
+  // All messages of a conversation, oldest first. Unread messages and the
+  // latest one start expanded, the rest collapse to a one-line summary.
+  function showThread(thread) {
+    document.querySelector('.mail-list').style.display = 'none';
+    emailView.style.display = 'block';
+    emailView.innerHTML = '<div class="empty-state">Loading conversation...</div>';
+
+    const mailbox = currentMailbox;
+    apiFetch(`/api/mailboxes/${encodeURIComponent(mailbox)}/threads/${thread.id}`)
+      .then(response => {
+        if (!response.ok) throw new Error(`HTTP error! status: ${response.status}`);
+        return response.json();
+      })
+      .then(full => {
+        emailView.innerHTML = `
+          <div class="email-view-header">
+            <h3>${escapeHtml(full.subject)}</h3>
+            <div class="email-meta">
+              <span><i class="fas fa-comments"></i> ${full.count} message${full.count === 1 ? '' : 's'}</span>
+              <span><i class="fas fa-user-friends"></i> ${escapeHtml(participantNames(full))}</span>
+            </div>
+          </div>
+          <div class="thread-messages"></div>
+          <div class="email-actions">
+            <button class="back-btn"><i class="fas fa-arrow-left"></i> Back</button>
+          </div>
+        `;
+
+        const list = emailView.querySelector('.thread-messages');
+        full.messages.forEach((email, index) => {
+          const item = renderThreadMessage(email);
+          list.appendChild(item);
+          if (email.unread || index === full.messages.length - 1) expandThreadMessage(item, email);
+        });
+
+        emailView.querySelector('.back-btn').addEventListener('click', () => {
+          document.querySelector('.mail-list').style.display = 'block';
+          emailView.style.display = 'none';
+        });
+      })
+      .catch(error => {
+        console.error('Error:', error);
+        showNotification('Failed to load conversation', 'error');
+        document.querySelector('.mail-list').style.display = 'block';
+        emailView.style.display = 'none';
+      });
+  }
+
+  function renderThreadMessage(email) {
+    const item = document.createElement('div');
+    item.className = 'thread-message collapsed';
+    item.innerHTML = `
+      <div class="thread-message-header">
+        <span class="email-sender">${escapeHtml(email.from)}</span>
+        <span class="email-date">${formatDate(email.date, true)}</span>
+        <div class="thread-message-preview">${escapeHtml(email.preview)}</div>
+      </div>
+      <div class="thread-message-content"></div>
+    `;
+
+    item.querySelector('.thread-message-header').addEventListener('click', () => {
+      if (item.classList.contains('collapsed')) {
+        expandThreadMessage(item, email);
+      } else {
+        item.classList.add('collapsed');
+      }
+    });
+    return item;
+  }
+
+  // Bodies are rendered on first expand: a hidden iframe can't measure its height
+  function expandThreadMessage(item, email) {
+    item.classList.remove('collapsed');
+    const content = item.querySelector('.thread-message-content');
+    if (content.childElementCount) return;
+
+    content.innerHTML = `
+      ${email.to ? `<div class="email-meta"><i class="fas fa-user-friends"></i> To: ${escapeHtml(email.to)}</div>` : ''}
+      ${email.cc ? `<div class="email-meta"><i class="fas fa-copy"></i> CC: ${escapeHtml(email.cc)}</div>` : ''}
+      ${email.remoteImagesBlocked ? `
+        <div class="remote-images-notice">
+          <i class="fas fa-image"></i> Remote images are hidden to protect your privacy.
+          <button type="button" class="show-images-btn">Show images</button>
+        </div>
+      ` : ''}
+      <div class="email-view-body">
+        ${email.html ? '' : `<p class="email-text-content">${escapeHtml(email.text || email.body || '')}</p>`}
+      </div>
+      ${renderAttachmentManifest(email)}
+      <div class="email-actions">
+        <button class="reply-btn"><i class="fas fa-reply"></i> Reply</button>
+        <button class="reply-all-btn"><i class="fas fa-reply-all"></i> Reply All</button>
+        <button class="forward-btn"><i class="fas fa-share"></i> Forward</button>
+      </div>
+    `;
+
+    if (email.html) {
+      renderHtmlBody(content.querySelector('.email-view-body'), email.html);
+    }
+
+    content.querySelector('.reply-btn').addEventListener('click', () => startResponse(email, 'reply'));
+    content.querySelector('.reply-all-btn').addEventListener('click', () => startResponse(email, 'replyAll'));
+    content.querySelector('.forward-btn').addEventListener('click', () => startResponse(email, 'forward'));
+
+    const showImagesBtn = content.querySelector('.show-images-btn');
+    if (showImagesBtn) {
+      showImagesBtn.addEventListener('click', () => {
+        const params = new URLSearchParams({ mailbox: email.mailbox || 'INBOX', remoteImages: 'allow' });
+        apiFetch(`/api/messages/${email.uid}?${params}`)
+          .then(response => {
+            if (!response.ok) throw new Error(`HTTP error! status: ${response.status}`);
+            return response.json();
+          })
+          .then(full => {
+            renderHtmlBody(content.querySelector('.email-view-body'), full.html, true);
+            content.querySelector('.remote-images-notice').remove();
+          })
+          .catch(error => {
+            console.error('Error:', error);
+            showNotification('Failed to load images', 'error');
+          });
+      });
+    }
+
+    bindAttachmentPreviews(email, content);
+  }
+
   function showEmail(email) {
     document.querySelector('.mail-list').style.display = 'none';
     emailView.style.display = 'block';
     
     emailView.innerHTML = `
       <div class="email-view-header">
-        <h3>${email.subject}</h3>
+        <h3>${escapeHtml(email.subject)}</h3>
         <div class="email-meta">
-          <span><i class="fas fa-user"></i> From: ${email.from}</span>
+          <span><i class="fas fa-user"></i> From: ${escapeHtml(email.from)}</span>
           <span><i class="fas fa-clock"></i> ${formatDate(email.date, true)}</span>
         </div>
-        ${email.replyTo ? `<div class="email-meta"><span><i class="fas fa-reply"></i> Reply-To: ${email.replyTo}</span></div>` : ''}
-        ${email.cc ? `<div class="email-meta"><span><i class="fas fa-copy"></i> CC: ${email.cc}</span></div>` : ''}
-        ${email.bcc ? `<div class="email-meta"><span><i class="fas fa-eye-slash"></i> BCC: ${email.bcc}</span></div>` : ''}
+        ${email.to ? `<div class="email-meta"><span><i class="fas fa-user-friends"></i> To: ${escapeHtml(email.to)}</span></div>` : ''}
+        ${email.replyTo ? `<div class="email-meta"><span><i class="fas fa-reply"></i> Reply-To: ${escapeHtml(email.replyTo)}</span></div>` : ''}
+        ${email.cc ? `<div class="email-meta"><span><i class="fas fa-copy"></i> CC: ${escapeHtml(email.cc)}</span></div>` : ''}
+        ${email.bcc ? `<div class="email-meta"><span><i class="fas fa-eye-slash"></i> BCC: ${escapeHtml(email.bcc)}</span></div>` : ''}
       </div>
+      ${email.remoteImagesBlocked ? `
+        <div class="remote-images-notice">
+          <i class="fas fa-image"></i> Remote images are hidden to protect your privacy.
+          <button type="button" class="show-images-btn">Show images</button>
+        </div>
+      ` : ''}
       <div class="email-view-body">
-        ${email.html ? email.html : `<p>${email.body.replace(/\n/g, '<br>')}</p>`}
+        ${email.html ? '' : `<p class="email-text-content">${escapeHtml(email.text || email.body || '')}</p>`}
       </div>
+      ${email.uid ? renderAttachmentManifest(email) : ''}
       <div class="email-actions">
         <button class="reply-btn"><i class="fas fa-reply"></i> Reply</button>
         <button class="reply-all-btn"><i class="fas fa-reply-all"></i> Reply All</button>
         <button class="forward-btn"><i class="fas fa-share"></i> Forward</button>
-        <button class="back-btn"><i class="fas fa-arrow-left"></i> Back to Inbox</button>
+        ${email.uid ? `
+          <button class="star-message-btn"><i class="${email.flagged ? 'fas' : 'far'} fa-star"></i> ${email.flagged ? 'Unstar' : 'Star'}</button>
+          <button class="unread-btn"><i class="fas fa-envelope"></i> Mark unread</button>
+          <button class="archive-btn"><i class="fas fa-archive"></i> Archive</button>
+          <button class="delete-btn"><i class="fas fa-trash"></i> Delete</button>
+        ` : ''}
+        <button class="back-btn"><i class="fas fa-arrow-left"></i> Back</button>
       </div>
     `;
     
-    emailView.querySelector('.reply-btn').addEventListener('click', () => {
-      composeModal.style.display = 'block';
-      document.getElementById('from').value = email.replyTo || 'your-email@company.com';
-      document.getElementById('to').value = email.from;
-      document.getElementById('subject').value = `Re: ${email.subject}`;
-      document.getElementById('body').value = `\n\n-------- Original Message --------\nFrom: ${email.from}\nDate: ${formatDate(email.date, true)}\nSubject: ${email.subject}\n\n${email.body}`;
-    });
+    if (email.uid) bindMessageActions(email);
+
+    emailView.querySelector('.reply-btn').addEventListener('click', () => startResponse(email, 'reply'));
+    emailView.querySelector('.reply-all-btn').addEventListener('click', () => startResponse(email, 'replyAll'));
+    emailView.querySelector('.forward-btn').addEventListener('click', () => startResponse(email, 'forward'));
     
-    emailView.querySelector('.back-btn').addEventListener('click', () => {
-      document.querySelector('.mail-list').style.display = 'block';
-      emailView.style.display = 'none';
+    if (email.html) {
+      renderHtmlBody(emailView.querySelector('.email-view-body'), email.html);
+    }
+    
+    const showImagesBtn = emailView.querySelector('.show-images-btn');
+    if (showImagesBtn) {
+      showImagesBtn.addEventListener('click', () => {
+        const params = new URLSearchParams({ mailbox: email.mailbox || 'INBOX', remoteImages: 'allow' });
+        apiFetch(`/api/messages/${email.uid}?${params}`)
+          .then(response => {
+            if (!response.ok) throw new Error(`HTTP error! status: ${response.status}`);
+            return response.json();
+          })
+          .then(full => {
+            renderHtmlBody(emailView.querySelector('.email-view-body'), full.html, true);
+            emailView.querySelector('.remote-images-notice').remove();
+          })
+          .catch(error => {
+            console.error('Error:', error);
+            showNotification('Failed to load images', 'error');
+          });
+      });
+    }
+    
+    bindAttachmentPreviews(email);
+    
+    emailView.querySelector('.back-btn').addEventListener('click', closeEmailView);
+  }
+
+  function closeEmailView() {
+    document.querySelector('.mail-list').style.display = 'block';
+    emailView.style.display = 'none';
+  }
+
+  // Star, mark unread, archive and delete buttons of the message view.
+  // Opening an unread message marks it read.
+  function bindMessageActions(email) {
+    if (email.unread) {
+      messageAction('read', [rowFor(email)]).then(done => {
+        if (done) email.unread = false;
+      });
+    }
+
+    emailView.querySelector('.star-message-btn').addEventListener('click', function() {
+      const action = email.flagged ? 'unstar' : 'star';
+      messageAction(action, [rowFor(email)]).then(done => {
+        if (!done) return;
+        email.flagged = action === 'star';
+        this.innerHTML = `<i class="${email.flagged ? 'fas' : 'far'} fa-star"></i> ${email.flagged ? 'Unstar' : 'Star'}`;
+      });
+    });
+
+    emailView.querySelector('.unread-btn').addEventListener('click', () => {
+      messageAction('unread', [rowFor(email)]).then(done => {
+        if (!done) return;
+        email.unread = true;
+        closeEmailView();
+      });
+    });
+
+    [['.archive-btn', 'archive', 'Archived'], ['.delete-btn', 'trash', 'Deleted']].forEach(([selector, action, message]) => {
+      emailView.querySelector(selector).addEventListener('click', () => {
+        messageAction(action, [rowFor(email)]).then(done => {
+          if (!done) return;
+          showNotification(message, 'success');
+          closeEmailView();
+        });
+      });
+    });
+  }
+  
+  // MIME types the attachment route serves inline, so they can be previewed in place
+  const previewableTypes = ['image/png', 'image/jpeg', 'image/gif', 'image/webp', 'image/bmp', 'application/pdf'];
+
+  function attachmentPath(email, att, download = false) {
+    const params = new URLSearchParams({ mailbox: email.mailbox || 'INBOX' });
+    if (download) params.set('download', '1');
+    return `/api/messages/${email.uid}/attachments/${att.partId}?${params}`;
+  }
+
+  // Links and <img>/<iframe> sources can't send the Authorization header, so
+  // files are fetched with it and handed to the browser as blob: URLs
+  function fetchBlobUrl(path) {
+    return apiFetch(path)
+      .then(response => {
+        if (!response.ok) throw new Error(`HTTP error! status: ${response.status}`);
+        return response.blob();
+      })
+      .then(blob => URL.createObjectURL(blob));
+  }
+
+  function downloadFile(path, filename) {
+    fetchBlobUrl(path)
+      .then(url => {
+        const link = Object.assign(document.createElement('a'), { href: url, download: filename });
+        document.body.appendChild(link);
+        link.click();
+        link.remove();
+        setTimeout(() => URL.revokeObjectURL(url), 60000);
+      })
+      .catch(error => showNotification(`Could not download ${filename}: ${error.message}`, 'error'));
+  }
+
+  function renderAttachmentManifest(email) {
+    const attachments = email.attachments;
+    if (!attachments || attachments.length === 0) return '';
+
+    return `
+      <div class="email-attachments">
+        ${attachments.map((att, index) => `
+          <a class="attachment-chip" href="#" data-index="${index}" title="${escapeHtml(att.contentType)}">
+            <i class="fas fa-paperclip"></i> ${escapeHtml(att.filename)} (${formatFileSize(att.size)})
+          </a>
+          ${previewableTypes.includes(att.contentType) ? `
+            <button type="button" class="attachment-preview-btn" data-index="${index}" title="Preview">
+              <i class="fas fa-eye"></i>
+            </button>
+          ` : ''}
+        `).join('')}
+      </div>
+      <div class="attachment-preview" style="display: none;"></div>
+    `;
+  }
+
+  function bindAttachmentPreviews(email, container = emailView) {
+    const preview = container.querySelector('.attachment-preview');
+    if (!preview) return;
+    let previewUrl = null;
+
+    container.querySelectorAll('.attachment-chip').forEach(chip => {
+      chip.addEventListener('click', function(e) {
+        e.preventDefault();
+        const att = email.attachments[parseInt(this.getAttribute('data-index'))];
+        downloadFile(attachmentPath(email, att, true), att.filename);
+      });
     });
+
+    container.querySelectorAll('.attachment-preview-btn').forEach(btn => {
+      btn.addEventListener('click', function() {
+        const att = email.attachments[parseInt(this.getAttribute('data-index'))];
+
+        fetchBlobUrl(attachmentPath(email, att))
+          .then(url => {
+            if (previewUrl) URL.revokeObjectURL(previewUrl);
+            previewUrl = url;
+            preview.innerHTML = '';
+            const frame = att.contentType === 'application/pdf'
+              ? Object.assign(document.createElement('iframe'), { src: url, title: att.filename })
+              : Object.assign(document.createElement('img'), { src: url, alt: att.filename });
+            preview.appendChild(frame);
+            preview.style.display = 'block';
+          })
+          .catch(error => showNotification(`Could not preview ${att.filename}: ${error.message}`, 'error'));
+      });
+    });
+  }
+  
+  function escapeHtml(value) {
+    return String(value || '')
+      .replace(/&/g, '&amp;')
+      .replace(/</g, '&lt;')
+      .replace(/>/g, '&gt;')
+      .replace(/"/g, '&quot;')
+      .replace(/'/g, '&#39;');
+  }
+
+  // Show the server-sanitized HTML body in a sandboxed iframe: no scripts,
+  // no forms, links open in a new tab. The CSP repeats the script ban in case
+  // the sandbox attribute is ever dropped, and unless remote images were
+  // asked for it lets no image or font load from the network either.
+  function renderHtmlBody(container, html, remoteImages = false) {
+    const remote = remoteImages ? ' https: http:' : '';
+    const frame = document.createElement('iframe');
+    frame.className = 'email-html-frame';
+    frame.setAttribute('sandbox', 'allow-same-origin allow-popups allow-popups-to-escape-sandbox');
+    frame.setAttribute('referrerpolicy', 'no-referrer');
+    frame.srcdoc = `<!DOCTYPE html><html><head><meta charset="utf-8">
+      <meta http-equiv="Content-Security-Policy" content="default-src 'none'; img-src${remote} data: cid:; style-src 'unsafe-inline'; font-src${remote} data:">
+      <base target="_blank">
+      <style>body { margin: 0; font-family: -apple-system, BlinkMacSystemFont, 'Segoe UI', Roboto, sans-serif; font-size: 15px; color: #334155; word-wrap: break-word; } img { max-width: 100%; height: auto; }</style>
+      </head><body>${html}</body></html>`;
+    frame.addEventListener('load', () => {
+      frame.style.height = `${frame.contentDocument.documentElement.scrollHeight + 20}px`;
+    });
+
+    container.innerHTML = '';
+    container.appendChild(frame);
   }
   
   function formatDate(dateString, includeTime = false) {